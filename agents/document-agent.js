@@ -1,7 +1,8 @@
 const winston = require('winston');
 const XLSX = require('xlsx');
 const pdfParse = require('pdf-parse');
-const tesseract = require('tesseract.js');
+const CsvParser = require('../processors/csv-parser');
+const OcrProcessor = require('../processors/ocr-processor');
 
 class DocumentAgent {
     constructor(config) {
@@ -9,6 +10,8 @@ class DocumentAgent {
         this.logger = config.logger;
         this.healthy = false;
         this.version = '1.0.0';
+        this.csvParser = new CsvParser();
+        this.ocrProcessor = null;
 
         this.stats = {
             documentsProcessed: 0,
@@ -38,7 +41,16 @@ class DocumentAgent {
     async initializeOCR() {
         // Initialize Tesseract.js for fallback OCR
         this.logger.info('🔍 Initializing OCR engines...');
-        // OCR initialization code would go here
+
+        this.ocrProcessor = new OcrProcessor({
+            enabled: true,
+            lang: process.env.TESSERACT_LANG,
+            oem: process.env.TESSERACT_OEM,
+            psm: process.env.TESSERACT_PSM
+        });
+        await this.ocrProcessor.initialize();
+
+        this.logger.info(`✅ Tesseract ready (${this.ocrProcessor.lang})`);
     }
 
     async processDocument(jobData) {
@@ -54,6 +66,8 @@ class DocumentAgent {
                 result = await this.processPDF(jobData.fileBuffer);
             } else if (['xlsx', 'xls'].includes(fileExtension)) {
                 result = await this.processExcel(jobData.fileBuffer);
+            } else if (fileExtension === 'csv') {
+                result = await this.processCSV(jobData.fileBuffer);
             } else {
                 throw new Error(`Unsupported file type: ${fileExtension}`);
             }
@@ -85,12 +99,33 @@ class DocumentAgent {
         try {
             const pdfData = await pdfParse(fileBuffer);
 
+            // Sparse text layer usually means scanned pages
+            if (this.ocrProcessor && pdfData.text.replace(/\s/g, '').length < this.ocrProcessor.minTextPerPage * pdfData.numpages) {
+                const ocrResult = await this.ocrProcessor.processPDF(fileBuffer);
+
+                if (ocrResult.applied) {
+                    this.logger.info(`🔍 OCR applied to ${ocrResult.ocrPageCount}/${ocrResult.numpages} pages`);
+
+                    return {
+                        content: ocrResult.text,
+                        structure: {
+                            pages: ocrResult.numpages,
+                            textLength: ocrResult.text.length,
+                            hasImages: true,
+                            ocrPages: ocrResult.pages.filter(page => page.ocr).map(page => page.pageNumber),
+                            ocrConfidence: ocrResult.averageConfidence
+                        },
+                        method: 'tesseract-ocr'
+                    };
+                }
+            }
+
             return {
                 content: pdfData.text,
                 structure: {
                     pages: pdfData.numpages,
                     textLength: pdfData.text.length,
-                    hasImages: false // Would be detected in full implementation
+                    hasImages: false
                 },
                 method: 'pdf-parse'
             };
@@ -125,6 +160,29 @@ class DocumentAgent {
         }
     }
 
+    async processCSV(fileBuffer) {
+        try {
+            const csv = this.csvParser.parse(fileBuffer);
+
+            // Shape matches processExcel so the price agent's sheet handling applies
+            return {
+                content: { CSV: csv.rows },
+                structure: {
+                    sheetCount: 1,
+                    sheetNames: ['CSV'],
+                    totalRows: csv.rows.length,
+                    encoding: csv.encoding,
+                    delimiter: csv.delimiter,
+                    headerRow: csv.headerInfo.headerRow
+                },
+                method: 'csv'
+            };
+        } catch (error) {
+            this.logger.error('CSV processing failed:', error);
+            throw error;
+        }
+    }
+
     updateStats(success, processingTime) {
         this.stats.documentsProcessed++;
 
@@ -155,6 +213,7 @@ class DocumentAgent {
             capabilities: {
                 pdf: true,
                 excel: true,
+                csv: true,
                 ocr: this.config.enableOCR || false
             }
         };
@@ -166,6 +225,10 @@ class DocumentAgent {
 
     async shutdown() {
         this.logger.info('🛑 Shutting down Document Agent...');
+
+        if (this.ocrProcessor) {
+            await this.ocrProcessor.terminate();
+        }
         this.healthy = false;
     }
 }
@@ -12,7 +12,8 @@ class LearningAgent {
             learningUpdates: 0,
             configurationImprovements: 0,
             patternRecognitions: 0,
-            successRateImprovements: 0
+            successRateImprovements: 0,
+            reviewDecisions: 0
         };
 
         // Learning patterns storage
@@ -47,6 +48,23 @@ class LearningAgent {
             // Placeholder for pattern loading
             // In full implementation, this would load historical patterns
 
+            // Replay recent review decisions so corrections survive restarts
+            if (this.supabase) {
+                const { data, error } = await this.supabase
+                    .from('review_decisions')
+                    .select('*')
+                    .order('created_at', { ascending: true })
+                    .limit(1000);
+
+                if (error) {
+                    throw error;
+                }
+
+                for (const decision of data || []) {
+                    this.rememberReviewDecision(decision);
+                }
+            }
+
         } catch (error) {
             this.logger.warn('Could not load learning patterns:', error);
         }
@@ -277,6 +295,59 @@ class LearningAgent {
         }
     }
 
+    /**
+     * Learn from a reviewer approving, editing or rejecting a queued product
+     */
+    async recordReviewDecision(decision) {
+        try {
+            const decisions = this.rememberReviewDecision(decision);
+            this.stats.reviewDecisions++;
+
+            // Fields reviewers keep correcting point at an extraction setting for this supplier
+            const recent = decisions.slice(-20);
+            for (const field of decision.edited_fields || []) {
+                const corrections = recent.filter(entry => entry.editedFields.includes(field)).length;
+
+                if (corrections >= 5) {
+                    await this.suggestConfigurationImprovement(decision.supplier, {
+                        type: `review_${field}`,
+                        suggestion: `Reviewers corrected '${field}' on ${corrections} of the last ${recent.length} queued products`,
+                        confidence: Math.round(corrections / recent.length * 100),
+                        evidence: `Based on ${recent.length} review decisions`
+                    });
+                }
+            }
+
+        } catch (error) {
+            this.logger.error('Review decision learning failed:', error);
+        }
+    }
+
+    rememberReviewDecision(decision) {
+        const patternKey = `${decision.supplier}_review`;
+
+        if (!this.patterns.failed.has(patternKey)) {
+            this.patterns.failed.set(patternKey, []);
+        }
+
+        const decisions = this.patterns.failed.get(patternKey);
+        decisions.push({
+            decision: decision.decision,
+            reason: decision.reason,
+            issueTypes: decision.issue_types || [],
+            editedFields: decision.edited_fields || [],
+            confidence: decision.confidence,
+            timestamp: decision.created_at || new Date().toISOString()
+        });
+
+        // Keep only recent decisions (last 100)
+        if (decisions.length > 100) {
+            decisions.splice(0, decisions.length - 100);
+        }
+
+        return decisions;
+    }
+
     async generateImprovements(supplier, learningData) {
         const improvements = [];
 
@@ -381,6 +452,7 @@ class LearningAgent {
                 // Get supplier-specific insights
                 const supplierPatterns = this.patterns.successful.get(`${supplier}_extraction`) || [];
                 const supplierValidation = this.patterns.successful.get(`${supplier}_validation`) || [];
+                const supplierReviews = this.patterns.failed.get(`${supplier}_review`) || [];
 
                 insights.supplierInsights[supplier] = {
                     extractionPatterns: supplierPatterns.length,
@@ -388,7 +460,10 @@ class LearningAgent {
                         supplierPatterns.reduce((sum, p) => sum + p.confidenceScore, 0) / supplierPatterns.length : 0,
                     validationPatterns: supplierValidation.length,
                     averageQuality: supplierValidation.length > 0 ?
-                        supplierValidation.reduce((sum, p) => sum + p.qualityScore, 0) / supplierValidation.length : 0
+                        supplierValidation.reduce((sum, p) => sum + p.qualityScore, 0) / supplierValidation.length : 0,
+                    reviewDecisions: supplierReviews.length,
+                    reviewRejectionRate: supplierReviews.length > 0 ?
+                        supplierReviews.filter(p => p.decision === 'rejected').length / supplierReviews.length : 0
                 };
             }
 
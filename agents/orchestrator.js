@@ -51,6 +51,7 @@ class AgentOrchestrator {
             price: new PriceAgent({
                 logger: this.logger,
                 openai: this.openai,
+                supabase: this.supabase,
                 config: config
             }),
             validation: new ValidationAgent({
@@ -151,7 +152,9 @@ class AgentOrchestrator {
                 documentContent: documentResult.content,
                 documentStructure: documentResult.documentStructure,
                 supplierConfig: supplierConfig,
-                options: jobData.options
+                options: jobData.options,
+                filename: jobData.filename,
+                jobId: jobId
             });
 
             if (!extractionResult.success) {
@@ -1,5 +1,15 @@
 const winston = require('winston');
 const OpenAI = require('openai');
+const SupplierParserRegistry = require('../processors/supplier-parsers');
+const SkuExtractor = require('../processors/sku-extractor');
+const DuplicateDetector = require('../processors/duplicate-detector');
+const PricingEngine = require('../processors/pricing-engine');
+const PriceParser = require('../processors/price-parser');
+const PriceTierExtractor = require('../processors/price-tier-extractor');
+const PromoPriceExtractor = require('../processors/promo-price-extractor');
+const StockExtractor = require('../processors/stock-extractor');
+const LifecycleDetector = require('../processors/lifecycle-detector');
+const ProvenanceRecorder = require('../processors/provenance-recorder');
 
 class PriceAgent {
     constructor(config) {
@@ -8,6 +18,16 @@ class PriceAgent {
         this.openai = config.openai;
         this.healthy = false;
         this.version = '1.0.0';
+        this.parserRegistry = config.parserRegistry || new SupplierParserRegistry({ logger: this.logger });
+        this.skuExtractor = new SkuExtractor();
+        this.duplicateDetector = new DuplicateDetector();
+        this.priceParser = new PriceParser();
+        this.tierExtractor = new PriceTierExtractor({ priceParser: this.priceParser });
+        this.promoExtractor = new PromoPriceExtractor({ priceParser: this.priceParser });
+        this.stockExtractor = new StockExtractor({ dates: this.promoExtractor });
+        this.lifecycleDetector = new LifecycleDetector();
+        this.provenanceRecorder = new ProvenanceRecorder();
+        this.pricingEngine = config.pricingEngine || new PricingEngine({ supabase: config.supabase, logger: this.logger });
 
         this.stats = {
             extractionsPerformed: 0,
@@ -40,19 +60,29 @@ class PriceAgent {
         try {
             this.logger.info('💰 Starting price extraction...');
 
-            const { documentContent, documentStructure, supplierConfig, options } = jobData;
+            const { documentContent, documentStructure, supplierConfig, options, filename, jobId } = jobData;
 
             let products = [];
             let extractionMethod = 'unknown';
             let priceColumnsFound = [];
 
-            if (documentStructure.sheetCount) {
+            // Supplier-specific parser plugins get first go at the document
+            const parser = this.parserRegistry.findParser({ supplierConfig, documentContent, documentStructure });
+            if (parser) {
+                this.logger.info(`🎯 Using ${parser.name} parser for ${supplierConfig.supplierName}`);
+                const result = await this.parserRegistry.parse(parser, { documentContent, documentStructure, supplierConfig });
+                products = result.products;
+                extractionMethod = `plugin:${parser.name}`;
+                priceColumnsFound = result.priceColumnsFound;
+            }
+
+            if (products.length === 0 && documentStructure.sheetCount) {
                 // Excel processing
                 const result = await this.extractFromExcel(documentContent, supplierConfig);
                 products = result.products;
                 extractionMethod = 'excel';
                 priceColumnsFound = result.priceColumnsFound;
-            } else {
+            } else if (products.length === 0) {
                 // PDF processing
                 const result = await this.extractFromPDF(documentContent, supplierConfig);
                 products = result.products;
@@ -60,14 +90,40 @@ class PriceAgent {
                 priceColumnsFound = result.priceColumnsFound;
             }
 
-            // Apply CORRECTED pricing logic
-            products = this.applyPricingLogic(products, options);
+            // Model codes are what we quote and match on
+            this.skuExtractor.assignSkus(products, supplierConfig.skuPatterns);
+
+            // Mixed-line PDFs often yield the same product twice; keep the better copy
+            const deduped = this.duplicateDetector.dedupe(products);
+            products = deduped.products;
+            if (deduped.duplicates.length > 0) {
+                this.logger.info(`🔁 Dropped ${deduped.duplicates.length} duplicate products`);
+            }
+
+            // Text came from Tesseract, so mark every product for closer validation
+            if (documentStructure.ocrPages && documentStructure.ocrPages.length > 0) {
+                products = products.map(product => ({
+                    ...product,
+                    ocr: true,
+                    ocrConfidence: documentStructure.ocrConfidence
+                }));
+                extractionMethod = `${extractionMethod}-ocr`;
+            }
+
+            // Where each product was read from, so a wrong price can be traced to its line or cells
+            products = products.map(product => ({
+                ...product,
+                provenance: this.provenanceRecorder.record(product, { filename, jobId, method: extractionMethod })
+            }));
 
-            // Categorize products if AI is enabled
+            // Categorize products if AI is enabled; category-scoped pricing rules need it first
             if (options.enableAI) {
                 products = await this.categorizeProducts(products);
             }
 
+            // Apply CORRECTED pricing logic
+            products = await this.applyPricingLogic(products, { ...options, supplier: supplierConfig.supplierName });
+
             const processingTime = Date.now() - startTime;
             const confidenceScore = this.calculateConfidenceScore(products, priceColumnsFound);
 
@@ -78,6 +134,7 @@ class PriceAgent {
                 products: products,
                 extractionMethod: extractionMethod,
                 priceColumnsFound: priceColumnsFound,
+                duplicates: deduped.duplicates,
                 confidenceScore: confidenceScore,
                 processingTime: processingTime
             };
@@ -96,6 +153,10 @@ class PriceAgent {
     async extractFromExcel(sheets, supplierConfig) {
         const products = [];
         const priceColumnsFound = [];
+        const numberFormat = this.priceParser.detectFormat(Object.values(sheets));
+        const promoWindow = this.promoExtractor.documentWindow(
+            Object.values(sheets).flatMap(data => data.map(row => (row || []).join(' ')))
+        );
 
         for (const [sheetName, data] of Object.entries(sheets)) {
             // Skip sheets based on configuration
@@ -127,6 +188,11 @@ class PriceAgent {
             // Find price columns with priority
             const priceColumnIndex = this.findBestPriceColumn(headers, supplierConfig.priceColumnPriority);
             const nameColumnIndex = this.findNameColumn(headers);
+            const skuColumnIndex = this.skuExtractor.findSkuColumn(headers);
+            const tierColumns = this.tierExtractor.findTierColumns(headers);
+            const unitColumnIndex = headers.findIndex(header => this.tierExtractor.isUnitHeader(header));
+            const promoColumns = this.promoExtractor.findPromoColumns(headers);
+            const stockColumns = this.stockExtractor.findStockColumns(headers);
 
             if (priceColumnIndex >= 0) {
                 priceColumnsFound.push({
@@ -143,22 +209,59 @@ class PriceAgent {
                 if (!row || row.length === 0) continue;
 
                 const name = nameColumnIndex >= 0 ? row[nameColumnIndex] : row[0];
-                const price = priceColumnIndex >= 0 ? row[priceColumnIndex] : row[1];
-
-                if (name && price && typeof name === 'string' && name.length > 2) {
-                    const numericPrice = this.parsePrice(price);
+                if (!name || typeof name !== 'string' || name.length <= 2) continue;
+
+                // Quantity breaks ("1-9", "10-49", "50+") or per-unit prices ("each", "per pair")
+                const unit = (unitColumnIndex >= 0 && this.tierExtractor.unitFromCell(row[unitColumnIndex])) ||
+                    this.tierExtractor.unitFromText(name);
+                const priceTiers = this.tierExtractor.tiersFromRow(row, tierColumns, value => this.parsePrice(value, numberFormat), unit);
+                const baseTier = this.tierExtractor.baseTier(priceTiers, unit);
+                const measure = this.tierExtractor.productUnit(unit, baseTier);
+
+                const price = priceColumnIndex >= 0 ? row[priceColumnIndex] : (baseTier ? baseTier.price : row[1]);
+                const priceSelectionReason = priceColumnIndex >= 0
+                    ? `Price column "${headers[priceColumnIndex]}"`
+                    : (baseTier ? `Smallest quantity break (${baseTier.label})` : 'Second column; no price column was found');
+
+                // Promo prices are kept beside the regular price with the dates they run between
+                const promoPrice = promoColumns.price >= 0 ? this.parsePrice(row[promoColumns.price], numberFormat) : NaN;
+                const promoDates = promoColumns.window || promoWindow || {};
+                const stock = this.stockExtractor.stockFromRow(row, stockColumns);
+                const lifecycle = this.lifecycleDetector.fromRow(row, { sheetName });
+                const productName = lifecycle ? this.lifecycleDetector.withoutMarkers(name) : name.trim();
+
+                if (price) {
+                    const numericPrice = this.parsePrice(price, numberFormat);
 
                     if (!isNaN(numericPrice) && numericPrice > 0) {
                         products.push({
-                            name: name.trim(),
+                            name: productName,
+                            sku: skuColumnIndex >= 0 && row[skuColumnIndex] ? String(row[skuColumnIndex]) : null,
                             price: numericPrice,
                             supplier: supplierConfig.supplierName,
-                            description: name.trim(),
+                            description: productName,
                             specifications: '',
                             category: 'uncategorized',
                             priceType: this.determinePriceType(headers[priceColumnIndex] || 'Standard'),
+                            unitOfMeasure: measure ? measure.unit : null,
+                            unitSize: measure ? measure.unitSize : null,
+                            priceTiers: priceTiers.length > 0 ? priceTiers : null,
+                            promoPrice: promoPrice > 0 ? promoPrice : null,
+                            promoStartsAt: promoPrice > 0
+                                ? (promoColumns.start >= 0 && this.promoExtractor.dateFromCell(row[promoColumns.start])) || promoDates.startsAt || null
+                                : null,
+                            promoEndsAt: promoPrice > 0
+                                ? (promoColumns.end >= 0 && this.promoExtractor.dateFromCell(row[promoColumns.end])) || promoDates.endsAt || null
+                                : null,
+                            ...(stock || {}),
+                            lifecycleStatus: lifecycle ? lifecycle.lifecycleStatus : 'active',
+                            lifecycleReason: lifecycle ? lifecycle.lifecycleReason : null,
                             sheet: sheetName,
-                            sourceRow: i + 1
+                            sourceRow: i + 1,
+                            // Sheets come without their used range, so cells are counted from A1
+                            cellRange: this.provenanceRecorder.cellRange(row, i),
+                            sourceText: row.filter(cell => cell !== '' && cell !== null && cell !== undefined).join('\t'),
+                            priceSelectionReason: priceSelectionReason
                         });
                     }
                 }
@@ -172,28 +275,25 @@ class PriceAgent {
         const products = [];
         const priceColumnsFound = [];
         const lines = text.split('\n').filter(line => line.trim().length > 0);
+        const numberFormat = this.priceParser.detectFormat(lines);
 
-        // Special handling for Denon/Marantz format with Old RRP / New RRP columns
-        if (supplierConfig.supplierName === 'Denon' || supplierConfig.supplierName === 'Marantz') {
-            this.logger.info(`🎯 Using special ${supplierConfig.supplierName} PDF parsing (Old RRP vs New RRP)`);
-            return this.extractFromDenonMarantzPDF(lines, supplierConfig);
-        }
-
-        // Standard PDF processing for other suppliers
+        // Standard PDF processing (supplier formats are handled by parser plugins)
         this.logger.info('📄 Using standard PDF parsing');
+
+        // Enhanced price detection with priority for "New RRP"; amounts in any local number format
+        const [currencyBefore, currencyAfter] = this.priceParser.currencyPatterns('');
+        const priceMatches = [
+            { pattern: this.priceParser.pattern('New\\s+RRP[:\\s]*', 'i', true), type: 'New RRP', priority: 1 },
+            { pattern: this.priceParser.pattern('Current\\s+Price[:\\s]*', 'i', true), type: 'Current Price', priority: 2 },
+            { pattern: this.priceParser.pattern('RRP[:\\s]*', 'i', true), type: 'RRP', priority: 3 },
+            { pattern: this.priceParser.pattern('Old\\s+RRP[:\\s]*', 'i', true), type: 'Old RRP', priority: 4 },
+            { pattern: currencyBefore, type: 'Standard', priority: 5 },
+            { pattern: currencyAfter, type: 'Standard', priority: 5 }
+        ];
         
         for (let i = 0; i < lines.length; i++) {
             const line = lines[i].trim();
 
-            // Enhanced price detection with priority for "New RRP"
-            const priceMatches = [
-                { pattern: /New\s+RRP[:\s]*R\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/i, type: 'New RRP', priority: 1 },
-                { pattern: /Current\s+Price[:\s]*R\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/i, type: 'Current Price', priority: 2 },
-                { pattern: /RRP[:\s]*R\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/i, type: 'RRP', priority: 3 },
-                { pattern: /Old\s+RRP[:\s]*R\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/i, type: 'Old RRP', priority: 4 },
-                { pattern: /R\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/, type: 'Standard', priority: 5 }
-            ];
-
             // Find the best price match based on priority
             let bestMatch = null;
             let bestPriority = Infinity;
@@ -207,9 +307,15 @@ class PriceAgent {
             }
 
             if (bestMatch) {
-                const productName = line.substring(0, line.indexOf(bestMatch.match[0])).trim();
+                // A line of quantity breaks is named up to its first break and priced from the smallest
+                const unit = this.tierExtractor.unitFromText(line);
+                const tierLine = this.tierExtractor.tiersInLine(line, numberFormat, unit);
+                const baseTier = this.tierExtractor.baseTier(tierLine.tiers, unit);
+                const measure = this.tierExtractor.productUnit(unit, baseTier);
+
+                const productName = line.substring(0, baseTier ? tierLine.start : line.indexOf(bestMatch.match[0])).trim();
                 if (productName.length > 5) {
-                    const price = parseFloat(bestMatch.match[1].replace(/,/g, ''));
+                    const price = baseTier ? baseTier.price : this.priceParser.toNumber(bestMatch.match[1], numberFormat);
 
                     products.push({
                         name: productName,
@@ -219,7 +325,14 @@ class PriceAgent {
                         specifications: '',
                         category: 'uncategorized',
                         priceType: bestMatch.type,
-                        sourceLine: i + 1
+                        unitOfMeasure: measure ? measure.unit : null,
+                        unitSize: measure ? measure.unitSize : null,
+                        priceTiers: baseTier ? tierLine.tiers : null,
+                        sourceLine: i + 1,
+                        sourceText: line,
+                        priceSelectionReason: baseTier
+                            ? `Smallest quantity break (${baseTier.label}) of ${tierLine.tiers.length} on the line`
+                            : `Highest-priority price on the line (${bestMatch.type})`
                     });
 
                     // Track price column types found
@@ -237,208 +350,12 @@ class PriceAgent {
         return { products, priceColumnsFound };
     }
 
-    // 🎯 IMPROVED: Special method for Denon/Marantz PDF format
-    async extractFromDenonMarantzPDF(lines, supplierConfig) {
-        const products = [];
-        const priceColumnsFound = [{
-            type: 'New RRP',
-            pattern: 'Denon/Marantz Column Format',
-            priority: 1
-        }];
-
-        this.logger.info(`🔍 Processing ${lines.length} lines for ${supplierConfig.supplierName} format`);
-        
-        // Clean and prepare lines
-        const cleanLines = lines.map(line => line.trim()).filter(line => 
-            line.length > 0 && 
-            !line.includes('##') &&
-            !line.match(/^(April|Black|White|AV Receivers|Denon Home)$/i)
-        );
-
-        for (let i = 0; i < cleanLines.length; i++) {
-            const line = cleanLines[i];
-            
-            // Skip header lines more thoroughly
-            if (line.includes('Old RRP') || line.includes('New RRP') || 
-                line.includes('April 2025') || line.length < 10) {
-                continue;
-            }
-
-            // Method 1: Single line with product name and two prices
-            // Pattern: "Product Name R9,990.00 R8,990.00"
-            const singleLineMatch = line.match(/^(.+?)\s+R\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)\s+R\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)$/);
-            
-            if (singleLineMatch) {
-                const productName = singleLineMatch[1].trim();
-                const oldRRP = parseFloat(singleLineMatch[2].replace(/,/g, ''));
-                const newRRP = parseFloat(singleLineMatch[3].replace(/,/g, ''));
-                
-                this.logger.info(`✅ Single line format: ${productName} - Old: R${oldRRP} → New: R${newRRP} (Selected New)`);
-                
-                products.push({
-                    name: productName,
-                    price: newRRP, // Always use New RRP (second price)
-                    supplier: supplierConfig.supplierName,
-                    description: productName,
-                    specifications: '',
-                    category: 'uncategorized',
-                    priceType: 'New RRP',
-                    sourceLine: i + 1,
-                    oldRRP: oldRRP,
-                    newRRP: newRRP,
-                    priceSelectionReason: 'Selected New RRP over Old RRP (single line format)'
-                });
-                continue;
-            }
-
-            // Method 2: Product name with prices on same line but different format
-            // Pattern: "Product Name R9,990.00 AnotherProduct R11,990.00 R35,990.00"
-            const mixedLineMatch = line.match(/(.+?)\s+R\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)\s+(.+?)\s+R\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)\s+R\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)$/);
-            
-            if (mixedLineMatch) {
-                // First product
-                const product1Name = mixedLineMatch[1].trim();
-                const product1Price = parseFloat(mixedLineMatch[2].replace(/,/g, ''));
-                
-                products.push({
-                    name: product1Name,
-                    price: product1Price,
-                    supplier: supplierConfig.supplierName,
-                    description: product1Name,
-                    specifications: '',
-                    category: 'uncategorized',
-                    priceType: 'RRP',
-                    sourceLine: i + 1,
-                    priceSelectionReason: 'Mixed line format - first product'
-                });
-                
-                // Second product with two prices (Old RRP, New RRP)
-                const product2Name = mixedLineMatch[3].trim();
-                const product2OldRRP = parseFloat(mixedLineMatch[4].replace(/,/g, ''));
-                const product2NewRRP = parseFloat(mixedLineMatch[5].replace(/,/g, ''));
-                
-                this.logger.info(`✅ Mixed line format: ${product2Name} - Old: R${product2OldRRP} → New: R${product2NewRRP} (Selected New)`);
-                
-                products.push({
-                    name: product2Name,
-                    price: product2NewRRP,
-                    supplier: supplierConfig.supplierName,
-                    description: product2Name,
-                    specifications: '',
-                    category: 'uncategorized',
-                    priceType: 'New RRP',
-                    sourceLine: i + 1,
-                    oldRRP: product2OldRRP,
-                    newRRP: product2NewRRP,
-                    priceSelectionReason: 'Mixed line format - selected New RRP over Old RRP'
-                });
-                continue;
-            }
-
-            // Method 3: Multi-line format - Product name followed by prices
-            if (!line.match(/R\s*\d/) && line.length > 10) {
-                // This line might be a product name, check next few lines for prices
-                const productName = line;
-                
-                // Look ahead for prices in the next 1-3 lines
-                for (let j = i + 1; j < Math.min(i + 4, cleanLines.length); j++) {
-                    const nextLine = cleanLines[j];
-                    
-                    // Check for two prices on the next line
-                    const twoPricesMatch = nextLine.match(/R\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)\s+R\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)$/);
-                    if (twoPricesMatch) {
-                        const oldRRP = parseFloat(twoPricesMatch[1].replace(/,/g, ''));
-                        const newRRP = parseFloat(twoPricesMatch[2].replace(/,/g, ''));
-                        
-                        this.logger.info(`✅ Multi-line format: ${productName} - Old: R${oldRRP} → New: R${newRRP} (Selected New)`);
-                        
-                        products.push({
-                            name: productName,
-                            price: newRRP,
-                            supplier: supplierConfig.supplierName,
-                            description: productName,
-                            specifications: '',
-                            category: 'uncategorized',
-                            priceType: 'New RRP',
-                            sourceLine: i + 1,
-                            oldRRP: oldRRP,
-                            newRRP: newRRP,
-                            priceSelectionReason: 'Multi-line format - selected New RRP over Old RRP'
-                        });
-                        
-                        i = j; // Skip the price line we just processed
-                        break;
-                    }
-                    
-                    // Check for single price on the next line
-                    const onePriceMatch = nextLine.match(/R\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)$/);
-                    if (onePriceMatch) {
-                        const price = parseFloat(onePriceMatch[1].replace(/,/g, ''));
-                        
-                        this.logger.info(`✅ Multi-line format: ${productName} - Single price: R${price}`);
-                        
-                        products.push({
-                            name: productName,
-                            price: price,
-                            supplier: supplierConfig.supplierName,
-                            description: productName,
-                            specifications: '',
-                            category: 'uncategorized',
-                            priceType: 'RRP',
-                            sourceLine: i + 1,
-                            priceSelectionReason: 'Multi-line format - single price'
-                        });
-                        
-                        i = j; // Skip the price line we just processed
-                        break;
-                    }
-                }
-            }
-
-            // Method 4: Handle lines with multiple prices (fallback)
-            const allPrices = line.match(/R\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/g);
-            if (allPrices && allPrices.length >= 2 && line.length > 20) {
-                // Extract product name (everything before first price)
-                const firstPriceIndex = line.indexOf(allPrices[0]);
-                const productName = line.substring(0, firstPriceIndex).trim();
-                
-                if (productName.length > 5 && !productName.includes('R')) {
-                    // Use last price as New RRP
-                    const selectedPrice = parseFloat(allPrices[allPrices.length - 1].replace(/[^\d.]/g, ''));
-                    
-                    this.logger.info(`✅ Multi-price fallback: ${productName} - Selected last price: R${selectedPrice} from ${allPrices.length} prices`);
-                    
-                    products.push({
-                        name: productName,
-                        price: selectedPrice,
-                        supplier: supplierConfig.supplierName,
-                        description: productName,
-                        specifications: '',
-                        category: 'uncategorized',
-                        priceType: 'New RRP',
-                        sourceLine: i + 1,
-                        allPricesFound: allPrices,
-                        priceSelectionReason: `Selected last price R${selectedPrice} from ${allPrices.length} prices (${allPrices.join(', ')})`
-                    });
-                }
-            }
-        }
-
-        this.logger.info(`🎉 ${supplierConfig.supplierName} extraction complete: ${products.length} products found`);
-        
-        // Log first few products for debugging
-        products.slice(0, 3).forEach(product => {
-            this.logger.info(`📝 Product: ${product.name} - R${product.price} (${product.priceSelectionReason})`);
-        });
-        
-        return { products, priceColumnsFound };
-    }
-
     findBestPriceColumn(headers, priorityList) {
         for (const priority of priorityList) {
             const index = headers.findIndex(h => 
                 typeof h === 'string' && 
-                h.toLowerCase().includes(priority.toLowerCase())
+                h.toLowerCase().includes(priority.toLowerCase()) &&
+                !this.promoExtractor.isPromoHeader(h)
             );
             if (index >= 0) return index;
         }
@@ -448,13 +365,15 @@ class PriceAgent {
             typeof h === 'string' && 
             (h.toLowerCase().includes('price') || 
              h.toLowerCase().includes('rrp') || 
-             h.toLowerCase().includes('cost'))
+             h.toLowerCase().includes('cost')) &&
+            !this.promoExtractor.isPromoHeader(h)
         );
     }
 
     findNameColumn(headers) {
         return headers.findIndex(h => 
             typeof h === 'string' && 
+            !this.skuExtractor.isSkuHeader(h) &&
             (h.toLowerCase().includes('product') || 
              h.toLowerCase().includes('name') || 
              h.toLowerCase().includes('description'))
@@ -470,65 +389,18 @@ class PriceAgent {
         return 'Standard';
     }
 
-    parsePrice(priceValue) {
-        if (typeof priceValue === 'number') return priceValue;
-        if (typeof priceValue === 'string') {
-            return parseFloat(priceValue.replace(/[^0-9.]/g, ''));
+    parsePrice(priceValue, numberFormat) {
+        if (typeof priceValue === 'number' || typeof priceValue === 'string') {
+            return this.priceParser.parse(priceValue, numberFormat);
         }
         return NaN;
     }
 
-    // 🔧 CORRECTED PRICING LOGIC
-    applyPricingLogic(products, options) {
-        this.logger.info(`💰 Applying pricing logic: ${options.priceType} with ${options.marginPercentage}% markup`);
-        
-        return products.map(product => {
-            let costPrice = 0;
-            let retailPrice = 0;
-            const originalPrice = product.price;
-            const vatRate = (options.vatRate || 15) / 100;
-            const marginPercentage = (options.marginPercentage || 0) / 100;
-
-            switch (options.priceType) {
-                case 'retail_including_vat':
-                    // Pricelist shows retail price, calculate cost by removing markup
-                    retailPrice = originalPrice;
-                    costPrice = originalPrice / (1 + marginPercentage);
-                    this.logger.info(`📊 ${product.name}: Retail R${retailPrice} → Cost R${costPrice.toFixed(2)} (removed ${options.marginPercentage}% markup)`);
-                    break;
-
-                case 'cost_including_vat':
-                    // Pricelist shows cost including VAT, add markup for retail
-                    costPrice = originalPrice;
-                    retailPrice = costPrice * (1 + marginPercentage);
-                    this.logger.info(`📊 ${product.name}: Cost R${costPrice} → Retail R${retailPrice.toFixed(2)} (added ${options.marginPercentage}% markup)`);
-                    break;
-
-                case 'cost_excluding_vat':
-                    // Pricelist shows cost excluding VAT, add VAT first, then markup
-                    costPrice = originalPrice * (1 + vatRate); // Add VAT to get true cost
-                    retailPrice = costPrice * (1 + marginPercentage); // Add markup for retail
-                    this.logger.info(`📊 ${product.name}: Cost Excl R${originalPrice} → Cost Incl R${costPrice.toFixed(2)} → Retail R${retailPrice.toFixed(2)}`);
-                    break;
+    // 🔧 CORRECTED PRICING LOGIC - shared with the extraction engine and legacy fallback
+    async applyPricingLogic(products, options) {
+        this.logger.info(`💰 Applying pricing logic: ${options.priceType} with ${options.marginPercentage}% default markup`);
 
-                default:
-                    // Fallback - treat as retail
-                    retailPrice = originalPrice;
-                    costPrice = originalPrice / (1 + marginPercentage);
-                    this.logger.info(`📊 ${product.name}: Default pricing - Retail R${retailPrice} → Cost R${costPrice.toFixed(2)}`);
-            }
-
-            return {
-                ...product,
-                original_price: originalPrice,
-                cost_price: Math.round(costPrice * 100) / 100,
-                retail_price: Math.round(retailPrice * 100) / 100,
-                final_price: Math.round(retailPrice * 100) / 100, // Keep for backward compatibility
-                markup_percentage: (options.marginPercentage || 0),
-                vat_rate: (options.vatRate || 15),
-                price_calculation_method: options.priceType
-            };
-        });
+        return this.pricingEngine.applyPricing(products, options);
     }
 
     async categorizeProducts(products) {
@@ -600,6 +472,9 @@ class PriceAgent {
         // Bonus for reasonable product count
         if (products.length >= 10) score += 10;
 
+        // Penalty for OCR-derived text
+        if (products.some(p => p.ocr)) score -= 25;
+
         return Math.max(0, Math.min(100, score));
     }
 
@@ -638,7 +513,7 @@ class PriceAgent {
                 aiCategorization: true,
                 priceTypeDetection: true,
                 multiFormat: true,
-                denonMarantzSpecialHandling: true
+                supplierParsers: this.parserRegistry.listParsers().map(parser => parser.name)
             }
         };
     }
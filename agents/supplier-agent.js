@@ -11,8 +11,10 @@ class SupplierAgent {
         // Default supplier configurations
         this.defaultConfigs = {
             'Denon': {
+                parser: 'denon-marantz',
                 priceColumnPriority: ['New RRP', 'Current Price', 'RRP', 'Price'],
                 productNamePatterns: [/^[A-Z0-9-]+\s+.+/],
+                skuPatterns: [/^([A-Z0-9-]+)\s+/],
                 skipSections: ['Terms', 'Conditions', 'Contact'],
                 documentType: 'pdf'
             },
@@ -41,7 +43,9 @@ class SupplierAgent {
                 documentType: 'pdf'
             },
             'Marantz': {
+                parser: 'denon-marantz',
                 priceColumnPriority: ['New RRP', 'Current RRP', 'Price'],
+                skuPatterns: [/^([A-Z0-9-]+)\s+/],
                 categoryBased: true,
                 priceComparison: true,
                 documentType: 'pdf'
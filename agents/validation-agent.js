@@ -1,4 +1,6 @@
 const winston = require('winston');
+const DuplicateDetector = require('../processors/duplicate-detector');
+const PriceAnomalyDetector = require('../processors/price-anomaly-detector');
 
 class ValidationAgent {
     constructor(config) {
@@ -6,6 +8,13 @@ class ValidationAgent {
         this.logger = config.logger;
         this.healthy = false;
         this.version = '1.0.0';
+        this.duplicateDetector = config.duplicateDetector || new DuplicateDetector();
+        this.priceAnomalyDetector = config.priceAnomalyDetector || new PriceAnomalyDetector();
+
+        // Per-supplier rule sets; without a store every supplier gets the defaults below
+        this.ruleStore = config.ruleStore || null;
+        this.modes = ['strict', 'lenient', 'report-only'];
+        this.severities = ['low', 'medium', 'high'];
 
         this.stats = {
             validationsPerformed: 0,
@@ -15,23 +24,35 @@ class ValidationAgent {
             averageQualityScore: 0
         };
 
-        // Validation rules
+        // Default validation rules; supplier rule sets override them key by key
         this.validationRules = {
+            // strict: any issue blocks import, lenient: only high-severity issues do, report-only: none do
+            mode: this.normalizeMode(process.env.VALIDATION_MODE),
+            requiredFields: ['name', 'price'],
             price: {
-                min: 1,
-                max: 1000000,
+                min: parseFloat(process.env.MIN_PRODUCT_PRICE || '1'),
+                max: parseFloat(process.env.MAX_PRODUCT_PRICE || '1000000'),
                 required: true
             },
             name: {
-                minLength: 3,
-                maxLength: 500,
+                minLength: parseInt(process.env.MIN_PRODUCT_NAME_LENGTH || '3'),
+                maxLength: parseInt(process.env.MAX_PRODUCT_NAME_LENGTH || '500'),
                 required: true,
                 patterns: {
-                    invalid: [/^\s*$/, /^[0-9]+$/] // Empty or only numbers
+                    invalid: [/^\s*$/, /^[0-9]+$/], // Empty or only numbers
+                    required: [] // Names must match every one of these
                 }
             },
+            forbiddenWords: [],
+            severity: {}, // Issue type -> 'low' | 'medium' | 'high'
             category: {
                 validValues: ['home', 'business', 'restaurant', 'gym', 'worship', 'education', 'club', 'uncategorized']
+            },
+            ocr: {
+                minConfidence: 60 // Tesseract page confidence (0-100)
+            },
+            confidence: {
+                reviewThreshold: parseFloat(process.env.REVIEW_CONFIDENCE_THRESHOLD || '0.6') // Extraction confidence (0-1)
             }
         };
     }
@@ -55,31 +76,63 @@ class ValidationAgent {
 
             const { products, supplierConfig, originalOptions } = jobData;
 
+            // Loaded per run so edited rule sets apply to the next upload; jobData.rules tests a draft
+            const rules = await this.resolveRules(supplierConfig.supplierName, jobData.rules);
+
             const validationResults = {
                 validatedProducts: [],
                 invalidProducts: [],
+                lowConfidenceProducts: [],
                 warnings: [],
                 recommendations: [],
                 qualityScore: 0,
-                issuesSummary: {}
+                issuesSummary: {},
+                mode: rules.mode,
+                duplicates: this.findDuplicates(products, jobData.catalogue || [], supplierConfig.supplierName),
+                priceChanges: null
             };
 
+            // previousPrices holds each product's last known price (or null), index for index
+            const priceAnalysis = this.priceAnomalyDetector.analyze(products, jobData.previousPrices || []);
+            validationResults.priceChanges = priceAnalysis.summary;
+
+            const duplicatesByIndex = new Map(validationResults.duplicates.inUpload.map(duplicate => [duplicate.index, duplicate]));
+            const catalogueByIndex = new Map(validationResults.duplicates.crossSupplier.map(duplicate => [duplicate.index, duplicate]));
+
             for (let i = 0; i < products.length; i++) {
                 const product = products[i];
-                const productValidation = await this.validateSingleProduct(product, i, supplierConfig);
+                const productValidation = await this.validateSingleProduct(product, i, supplierConfig, {
+                    rules: rules,
+                    duplicates: {
+                        inUpload: duplicatesByIndex.get(i),
+                        crossSupplier: catalogueByIndex.get(i)
+                    },
+                    priceChange: priceAnalysis.findings.get(i)
+                });
 
                 if (productValidation.isValid) {
                     validationResults.validatedProducts.push(productValidation.product);
+
+                    // Valid but uncertain extractions still need a human look before import
+                    if (this.isLowConfidence(product, rules)) {
+                        validationResults.lowConfidenceProducts.push({
+                            product: productValidation.product,
+                            confidence: product.confidence,
+                            warnings: productValidation.warnings,
+                            index: i
+                        });
+                    }
                 } else {
                     validationResults.invalidProducts.push({
                         product: product,
                         issues: productValidation.issues,
+                        warnings: productValidation.warnings,
                         index: i
                     });
                 }
 
                 // Collect warnings and issues
-                validationResults.warnings.push(...productValidation.warnings);
+                validationResults.warnings.push(...productValidation.warnings.map(warning => ({ ...warning, productIndex: i })));
 
                 // Update issues summary
                 for (const issue of productValidation.issues) {
@@ -107,27 +160,64 @@ class ValidationAgent {
         }
     }
 
-    async validateSingleProduct(product, index, supplierConfig) {
+    /**
+     * Duplicates within this upload (every copy but the winner) and likely matches at other suppliers
+     */
+    findDuplicates(products, catalogue, supplierName) {
+        const inUpload = [];
+
+        for (const group of this.duplicateDetector.findGroups(products)) {
+            const winner = this.duplicateDetector.winnerOf(products, group);
+
+            for (const member of group.members) {
+                if (member.index === winner) continue;
+
+                inUpload.push({
+                    index: member.index,
+                    duplicateOf: winner,
+                    name: products[winner].name,
+                    // The first product of a group records no match; the second matched it
+                    match: member.match || group.members[1].match,
+                    similarity: member.similarity || group.members[1].similarity
+                });
+            }
+        }
+
+        return {
+            inUpload: inUpload,
+            crossSupplier: this.duplicateDetector.findCatalogueDuplicates(products, catalogue, supplierName)
+        };
+    }
+
+    async validateSingleProduct(product, index, supplierConfig, context = {}) {
+        const rules = context.rules || this.validationRules;
         const issues = [];
         const warnings = [];
-        let isValid = true;
         let correctedProduct = { ...product };
 
+        // Rule sets can raise or lower the severity of any issue type
+        const severity = (type, fallback) => rules.severity[type] || fallback;
+
         // Validate price
-        const priceValidation = this.validatePrice(product.price || product.final_price);
+        const priceValidation = this.validatePrice(product.price || product.final_price, rules);
         if (!priceValidation.valid) {
             issues.push({
                 type: 'invalid_price',
                 field: 'price',
                 value: product.price,
                 message: priceValidation.message,
-                severity: 'high'
+                severity: severity('invalid_price', 'high')
             });
-            isValid = false;
+        }
+
+        // Compare with the last known price for misparsed or implausible moves
+        if (context.priceChange) {
+            issues.push(...context.priceChange.issues.map(issue => ({ ...issue, severity: severity(issue.type, issue.severity) })));
+            warnings.push(...context.priceChange.warnings);
         }
 
         // Validate product name
-        const nameValidation = this.validateProductName(product.name);
+        const nameValidation = this.validateProductName(product.name, rules);
         if (!nameValidation.valid) {
             if (nameValidation.canCorrect) {
                 correctedProduct.name = nameValidation.correctedValue;
@@ -145,14 +235,40 @@ class ValidationAgent {
                     field: 'name',
                     value: product.name,
                     message: nameValidation.message,
-                    severity: 'high'
+                    severity: severity('invalid_name', 'high')
                 });
-                isValid = false;
             }
         }
 
+        // Name and price have their own checks above
+        for (const field of rules.requiredFields) {
+            if (field === 'name' || field === 'price') continue;
+
+            const value = product[field];
+            if (value === undefined || value === null || String(value).trim() === '') {
+                issues.push({
+                    type: 'missing_required_field',
+                    field: field,
+                    value: null,
+                    message: `${field} is required`,
+                    severity: severity('missing_required_field', 'high')
+                });
+            }
+        }
+
+        const forbidden = this.findForbiddenWords(correctedProduct, rules);
+        if (forbidden.length > 0) {
+            issues.push({
+                type: 'forbidden_word',
+                field: 'name',
+                value: forbidden,
+                message: `Contains forbidden ${forbidden.length === 1 ? 'word' : 'words'}: ${forbidden.join(', ')}`,
+                severity: severity('forbidden_word', 'high')
+            });
+        }
+
         // Validate category
-        const categoryValidation = this.validateCategory(product.category);
+        const categoryValidation = this.validateCategory(product.category, rules);
         if (!categoryValidation.valid) {
             correctedProduct.category = categoryValidation.correctedValue || 'uncategorized';
             warnings.push({
@@ -175,13 +291,37 @@ class ValidationAgent {
             });
         }
 
+        // OCR-derived products need their digits and names checked against the scan
+        if (product.ocr) {
+            if (product.ocrConfidence !== undefined && product.ocrConfidence < rules.ocr.minConfidence) {
+                issues.push({
+                    type: 'low_ocr_confidence',
+                    field: 'price',
+                    value: product.price,
+                    message: `OCR confidence ${Math.round(product.ocrConfidence)} is below ${rules.ocr.minConfidence} - price cannot be trusted`,
+                    severity: severity('low_ocr_confidence', 'high')
+                });
+            } else {
+                warnings.push({
+                    type: 'ocr_extracted',
+                    field: 'price',
+                    value: product.price,
+                    message: `Extracted by OCR${product.ocrPage ? ` from page ${product.ocrPage}` : ''} - verify price and name against the scanned document`,
+                    severity: 'medium'
+                });
+            }
+        }
+
         // Business logic validations
-        const businessValidation = this.validateBusinessLogic(correctedProduct, supplierConfig);
-        issues.push(...businessValidation.issues);
+        const businessValidation = this.validateBusinessLogic(correctedProduct, supplierConfig, context.duplicates);
+        issues.push(...businessValidation.issues.map(issue => ({ ...issue, severity: severity(issue.type, issue.severity) })));
         warnings.push(...businessValidation.warnings);
 
-        if (businessValidation.issues.some(issue => issue.severity === 'high')) {
-            isValid = false;
+        const isValid = !issues.some(issue => this.isBlocking(issue, rules));
+
+        // Issues the mode lets through are still reported
+        if (isValid) {
+            warnings.push(...issues);
         }
 
         return {
@@ -192,7 +332,174 @@ class ValidationAgent {
         };
     }
 
-    validatePrice(price) {
+    /**
+     * Forbidden words (whole words, any case) in a product's name or description
+     */
+    findForbiddenWords(product, rules) {
+        const text = `${product.name || ''} ${product.description || ''}`.toLowerCase();
+
+        return rules.forbiddenWords.filter(word => {
+            const escaped = word.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`).test(text);
+        });
+    }
+
+    isLowConfidence(product, rules = this.validationRules) {
+        return typeof product.confidence === 'number' &&
+            product.confidence < rules.confidence.reviewThreshold;
+    }
+
+    normalizeMode(mode) {
+        const value = String(mode || '').toLowerCase();
+
+        if (value === 'strict' || value === 'report-only') return value;
+
+        // 'standard' is the name older .env files use for lenient
+        return 'lenient';
+    }
+
+    /**
+     * Defaults merged with the supplier's stored rule set, or with a draft rule set under test
+     */
+    async resolveRules(supplierName, draft = null) {
+        let overrides = draft;
+
+        if (!overrides && this.ruleStore && supplierName) {
+            try {
+                const ruleSet = await this.ruleStore.getRuleSet(supplierName);
+                overrides = ruleSet ? ruleSet.rules : null;
+            } catch (error) {
+                this.logger.warn(`Could not load validation rules for ${supplierName}, using defaults: ${error.message}`);
+            }
+        }
+
+        return this.mergeRules(this.validationRules, overrides || {});
+    }
+
+    /**
+     * Overlay a declarative rule set on the defaults; lists replace, objects merge one level down
+     */
+    mergeRules(base, overrides) {
+        const rules = {
+            ...base,
+            mode: overrides.mode ? this.normalizeMode(overrides.mode) : base.mode,
+            requiredFields: overrides.requiredFields || base.requiredFields,
+            forbiddenWords: overrides.forbiddenWords || base.forbiddenWords,
+            price: { ...base.price, ...overrides.price },
+            name: { ...base.name, ...overrides.name },
+            category: { ...base.category, ...overrides.category },
+            ocr: { ...base.ocr, ...overrides.ocr },
+            confidence: { ...base.confidence, ...overrides.confidence },
+            severity: { ...base.severity, ...overrides.severity }
+        };
+
+        const patterns = (overrides.name && overrides.name.patterns) || {};
+        rules.name.patterns = {
+            invalid: (patterns.invalid || base.name.patterns.invalid).map(pattern => this.toRegExp(pattern)),
+            required: (patterns.required || base.name.patterns.required).map(pattern => this.toRegExp(pattern))
+        };
+
+        return rules;
+    }
+
+    /**
+     * Stored rule sets carry regexes as strings, either "^abc" or "/abc/i"
+     */
+    toRegExp(pattern) {
+        if (pattern instanceof RegExp) return pattern;
+
+        const literal = String(pattern).match(/^\/(.*)\/([imsuy]*)$/);
+        return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern);
+    }
+
+    /**
+     * Problems with a rule set before it is saved; an empty list means it is usable
+     */
+    checkRuleSet(ruleSet) {
+        const errors = [];
+
+        if (!ruleSet || typeof ruleSet !== 'object' || Array.isArray(ruleSet)) {
+            return ['Rule set must be an object'];
+        }
+
+        if (ruleSet.mode !== undefined && !this.modes.includes(ruleSet.mode)) {
+            errors.push(`mode must be one of ${this.modes.join(', ')}`);
+        }
+
+        for (const key of ['requiredFields', 'forbiddenWords']) {
+            if (ruleSet[key] !== undefined &&
+                (!Array.isArray(ruleSet[key]) || ruleSet[key].some(value => typeof value !== 'string'))) {
+                errors.push(`${key} must be a list of strings`);
+            }
+        }
+
+        const price = ruleSet.price || {};
+        for (const key of ['min', 'max']) {
+            if (price[key] !== undefined && (typeof price[key] !== 'number' || price[key] < 0)) {
+                errors.push(`price.${key} must be a non-negative number`);
+            }
+        }
+        if (typeof price.min === 'number' && typeof price.max === 'number' && price.min > price.max) {
+            errors.push('price.min cannot be above price.max');
+        }
+
+        const name = ruleSet.name || {};
+        for (const key of ['minLength', 'maxLength']) {
+            if (name[key] !== undefined && (!Number.isInteger(name[key]) || name[key] < 0)) {
+                errors.push(`name.${key} must be a non-negative integer`);
+            }
+        }
+
+        for (const [key, patterns] of Object.entries(name.patterns || {})) {
+            if (!['invalid', 'required'].includes(key) || !Array.isArray(patterns)) {
+                errors.push(`name.patterns.${key} is not a known pattern list`);
+                continue;
+            }
+
+            for (const pattern of patterns) {
+                try {
+                    this.toRegExp(pattern);
+                } catch (error) {
+                    errors.push(`name.patterns.${key}: ${error.message}`);
+                }
+            }
+        }
+
+        for (const [type, severity] of Object.entries(ruleSet.severity || {})) {
+            if (!this.severities.includes(severity)) {
+                errors.push(`severity.${type} must be one of ${this.severities.join(', ')}`);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * A rule set as JSON, with regexes written back as "/source/flags"
+     */
+    describeRules(rules) {
+        return {
+            ...rules,
+            name: {
+                ...rules.name,
+                patterns: {
+                    invalid: rules.name.patterns.invalid.map(pattern => String(pattern)),
+                    required: rules.name.patterns.required.map(pattern => String(pattern))
+                }
+            }
+        };
+    }
+
+    /**
+     * Whether an issue keeps a product out of the catalogue under the rule set's mode
+     */
+    isBlocking(issue, rules) {
+        if (rules.mode === 'report-only') return false;
+        if (rules.mode === 'strict') return true;
+        return issue.severity === 'high';
+    }
+
+    validatePrice(price, rules = this.validationRules) {
         if (price === null || price === undefined) {
             return { valid: false, message: 'Price is required' };
         }
@@ -203,44 +510,50 @@ class ValidationAgent {
             return { valid: false, message: 'Price must be a valid number' };
         }
 
-        if (numericPrice < this.validationRules.price.min) {
-            return { valid: false, message: `Price must be at least R${this.validationRules.price.min}` };
+        if (numericPrice < rules.price.min) {
+            return { valid: false, message: `Price must be at least R${rules.price.min}` };
         }
 
-        if (numericPrice > this.validationRules.price.max) {
-            return { valid: false, message: `Price cannot exceed R${this.validationRules.price.max}` };
+        if (numericPrice > rules.price.max) {
+            return { valid: false, message: `Price cannot exceed R${rules.price.max}` };
         }
 
         return { valid: true };
     }
 
-    validateProductName(name) {
+    validateProductName(name, rules = this.validationRules) {
         if (!name || typeof name !== 'string') {
             return { valid: false, message: 'Product name is required' };
         }
 
         const trimmedName = name.trim();
 
-        if (trimmedName.length < this.validationRules.name.minLength) {
-            return { valid: false, message: `Product name must be at least ${this.validationRules.name.minLength} characters` };
+        if (trimmedName.length < rules.name.minLength) {
+            return { valid: false, message: `Product name must be at least ${rules.name.minLength} characters` };
         }
 
-        if (trimmedName.length > this.validationRules.name.maxLength) {
+        if (trimmedName.length > rules.name.maxLength) {
             return { 
                 valid: false, 
                 canCorrect: true,
-                correctedValue: trimmedName.substring(0, this.validationRules.name.maxLength),
+                correctedValue: trimmedName.substring(0, rules.name.maxLength),
                 message: 'Product name truncated to maximum length'
             };
         }
 
         // Check for invalid patterns
-        for (const pattern of this.validationRules.name.patterns.invalid) {
+        for (const pattern of rules.name.patterns.invalid) {
             if (pattern.test(trimmedName)) {
                 return { valid: false, message: 'Product name contains invalid pattern' };
             }
         }
 
+        for (const pattern of rules.name.patterns.required) {
+            if (!pattern.test(trimmedName)) {
+                return { valid: false, message: `Product name does not match required pattern ${pattern}` };
+            }
+        }
+
         // Auto-correct common issues
         if (trimmedName !== name) {
             return {
@@ -254,7 +567,7 @@ class ValidationAgent {
         return { valid: true };
     }
 
-    validateCategory(category) {
+    validateCategory(category, rules = this.validationRules) {
         if (!category) {
             return {
                 valid: false,
@@ -263,7 +576,7 @@ class ValidationAgent {
             };
         }
 
-        const validCategories = this.validationRules.category.validValues;
+        const validCategories = rules.category.validValues;
 
         if (!validCategories.includes(category.toLowerCase())) {
             return {
@@ -276,12 +589,33 @@ class ValidationAgent {
         return { valid: true };
     }
 
-    validateBusinessLogic(product, supplierConfig) {
+    validateBusinessLogic(product, supplierConfig, duplicates = {}) {
         const issues = [];
         const warnings = [];
 
-        // Check for duplicate products (basic check by name)
-        // In a full implementation, this would check against existing database
+        // A losing copy of a product already in this upload must not be imported twice
+        if (duplicates.inUpload) {
+            issues.push({
+                type: 'duplicate_in_upload',
+                field: duplicates.inUpload.match === 'sku' ? 'sku' : 'name',
+                value: duplicates.inUpload.match === 'sku' ? product.sku : product.name,
+                message: `Duplicate of product #${duplicates.inUpload.duplicateOf + 1} '${duplicates.inUpload.name}' (matched on ${duplicates.inUpload.match})`,
+                severity: 'high'
+            });
+        }
+
+        // Other suppliers listing the same product are worth a look but are not errors
+        if (duplicates.crossSupplier) {
+            const best = duplicates.crossSupplier.matches[0];
+            warnings.push({
+                type: 'possible_catalogue_duplicate',
+                field: best.match === 'sku' ? 'sku' : 'name',
+                value: best.match === 'sku' ? product.sku : product.name,
+                matches: duplicates.crossSupplier.matches,
+                message: `Looks like ${best.supplier} product '${best.name}'${best.sku ? ` (${best.sku})` : ''} - matched on ${best.match}`,
+                severity: 'medium'
+            });
+        }
 
         // Check for reasonable price ranges by category
         const categoryPriceRanges = {
@@ -366,6 +700,15 @@ class ValidationAgent {
             });
         }
 
+        const scaleErrors = (validationResults.issuesSummary.decimal_shift || 0) + (validationResults.issuesSummary.thousand_separator_error || 0);
+        if (scaleErrors > 0) {
+            recommendations.push({
+                type: 'configuration',
+                priority: 'high',
+                message: `${scaleErrors} prices look like misparsed decimals or thousand separators - check the number format used for ${supplierConfig.supplierName}`
+            });
+        }
+
         if (validationResults.warnings.filter(w => w.type === 'old_rrp_used').length > 0) {
             recommendations.push({
                 type: 'data_quality',
@@ -374,6 +717,14 @@ class ValidationAgent {
             });
         }
 
+        if (validationResults.warnings.some(w => w.type === 'ocr_extracted') || validationResults.issuesSummary.low_ocr_confidence > 0) {
+            recommendations.push({
+                type: 'data_quality',
+                priority: 'medium',
+                message: `Scanned pricelist processed with OCR - ask ${supplierConfig.supplierName} for a digital PDF or Excel version`
+            });
+        }
+
         if (validationResults.validatedProducts.length < validationResults.invalidProducts.length) {
             recommendations.push({
                 type: 'processing',
@@ -2,12 +2,17 @@ const fs = require('fs');
 const path = require('path');
 const { createClient } = require('@supabase/supabase-js');
 const OpenAI = require('openai');
+const XLSX = require('xlsx');
 
 // Import enhanced processors
 const EnhancedDocumentProcessor = require('./processors/enhanced-document-processor');
 const LayoutDetector = require('./processors/layout-detector');
 const PriceExtractionEngine = require('./processors/price-extraction-engine');
+const PricingEngine = require('./processors/pricing-engine');
+const PriceParser = require('./processors/price-parser');
 const TemplateManager = require('./processors/template-manager');
+const ArchiveExtractor = require('./processors/archive-extractor');
+const CsvParser = require('./processors/csv-parser');
 
 /**
  * Enhanced Audico System Integration
@@ -30,6 +35,7 @@ class AudicoEnhancedSystem {
 
             // Performance settings
             maxConcurrentJobs: options.maxConcurrentJobs || 5,
+            batchConcurrency: options.batchConcurrency || parseInt(process.env.BATCH_CONCURRENCY || '2'),
             processingTimeout: options.processingTimeout || 300000, // 5 minutes
             confidenceThreshold: options.confidenceThreshold || 0.7,
 
@@ -46,6 +52,7 @@ class AudicoEnhancedSystem {
         // Initialize processors
         this.layoutDetector = null;
         this.priceExtractor = null;
+        this.pricingEngine = null;
         this.templateManager = null;
         this.documentProcessor = null;
 
@@ -53,6 +60,11 @@ class AudicoEnhancedSystem {
         this.isInitialized = false;
         this.processingQueue = [];
         this.activeJobs = new Map();
+        this.jobRuns = new Map();
+        this.batches = new Map();
+        this.archiveExtractor = new ArchiveExtractor(options.archive || {});
+        this.priceParser = new PriceParser();
+        this.csvParser = new CsvParser({ priceParser: this.priceParser });
 
         // Statistics
         this.systemStats = {
@@ -158,15 +170,23 @@ class AudicoEnhancedSystem {
                 supabase: this.supabase,
                 openai: this.openai,
                 anthropic: this.anthropic,
-                confidenceThreshold: this.config.confidenceThreshold
+                confidenceThreshold: this.config.confidenceThreshold,
+                enableOCR: this.config.enableOCR
             };
 
             // Initialize layout detector
             this.layoutDetector = new LayoutDetector(processorOptions);
             console.log('✅ Layout Detector initialized');
 
+            // Initialize the pricing engine shared by enhanced and legacy pricing
+            this.pricingEngine = new PricingEngine({ supabase: this.supabase });
+            console.log('✅ Pricing Engine initialized');
+
             // Initialize price extractor
-            this.priceExtractor = new PriceExtractionEngine(processorOptions);
+            this.priceExtractor = new PriceExtractionEngine({
+                ...processorOptions,
+                pricingEngine: this.pricingEngine
+            });
             console.log('✅ Price Extraction Engine initialized');
 
             // Initialize template manager
@@ -206,6 +226,7 @@ class AudicoEnhancedSystem {
                 'processing_templates',
                 'supplier_profiles', 
                 'processing_jobs',
+                'processing_batches',
                 'system_analytics',
                 'supplier_patterns'
             ];
@@ -315,28 +336,14 @@ class AudicoEnhancedSystem {
     async processFileAsync(jobId, options) {
         try {
             // Store the job for tracking
-            const job = {
-                id: jobId,
-                status: 'processing',
-                startTime: Date.now(),
-                options: options
-            };
+            const job = this.trackJob(jobId, options);
 
-            this.activeJobs.set(jobId, job);
+            // Process in background; a batch waits on the run before it starts its next file
+            const run = new Promise(resolve => setTimeout(resolve, 0))
+                .then(() => this.runJob(job))
+                .finally(() => this.jobRuns.delete(jobId));
 
-            // Process in background
-            setTimeout(async () => {
-                try {
-                    const result = await this.processFile(options);
-                    job.status = 'completed';
-                    job.result = result;
-                    job.completedAt = Date.now();
-                } catch (error) {
-                    job.status = 'failed';
-                    job.error = error.message;
-                    job.completedAt = Date.now();
-                }
-            }, 0);
+            this.jobRuns.set(jobId, run);
 
             return {
                 jobId: jobId,
@@ -349,6 +356,38 @@ class AudicoEnhancedSystem {
         }
     }
 
+    /**
+     * Register a job so its status can be polled
+     */
+    trackJob(jobId, options) {
+        const job = {
+            id: jobId,
+            status: 'processing',
+            startTime: Date.now(),
+            options: options
+        };
+
+        this.activeJobs.set(jobId, job);
+
+        return job;
+    }
+
+    /**
+     * Process a tracked job, recording its result or error on it; never throws
+     */
+    async runJob(job) {
+        try {
+            const result = await this.processFile(job.options);
+            job.status = 'completed';
+            job.result = result;
+            job.completedAt = Date.now();
+        } catch (error) {
+            job.status = 'failed';
+            job.error = error.message;
+            job.completedAt = Date.now();
+        }
+    }
+
     /**
      * Get job status by ID
      */
@@ -361,6 +400,8 @@ class AudicoEnhancedSystem {
         return {
             id: job.id,
             status: job.status,
+            filename: job.filename || (job.options && job.options.filename),
+            supplier: job.supplier || (job.options && job.options.supplier),
             startTime: job.startTime,
             completedAt: job.completedAt,
             processingTime: job.completedAt ? (job.completedAt - job.startTime) : (Date.now() - job.startTime),
@@ -386,6 +427,242 @@ class AudicoEnhancedSystem {
         return jobs;
     }
 
+    /**
+     * Start a batch: expand ZIP archives and queue one child job per pricelist
+     */
+    async processBatchAsync(batchId, { files, supplier, options = {} }) {
+        const batch = {
+            id: batchId,
+            status: 'processing',
+            supplier: supplier,
+            createdAt: Date.now(),
+            jobs: [],
+            skipped: []
+        };
+
+        const pricelists = [];
+
+        // Expand archives up front so a bad ZIP fails the request instead of a child job
+        for (const file of files) {
+            if (this.archiveExtractor.isArchive(file.filename)) {
+                const extracted = this.archiveExtractor.extract(file.fileBuffer, file.filename);
+                batch.skipped.push(...extracted.skipped);
+                pricelists.push(...extracted.files.map(entry => ({
+                    fileBuffer: entry.buffer,
+                    filename: entry.filename,
+                    sourcePath: entry.path,
+                    archive: file.filename
+                })));
+            } else {
+                pricelists.push({ ...file, sourcePath: file.filename, archive: null });
+            }
+        }
+
+        if (pricelists.length === 0) {
+            throw new Error('Batch contains no supported pricelist files');
+        }
+
+        this.batches.set(batchId, batch);
+
+        const queue = pricelists.map(pricelist => {
+            const child = {
+                jobId: this.generateJobId(),
+                filename: pricelist.filename,
+                sourcePath: pricelist.sourcePath,
+                archive: pricelist.archive
+            };
+
+            batch.jobs.push(child);
+
+            return {
+                child: child,
+                options: {
+                    fileBuffer: pricelist.fileBuffer,
+                    filename: pricelist.filename,
+                    supplier: supplier,
+                    options: { ...options, batchId: batchId }
+                }
+            };
+        });
+
+        await this.saveBatch(batch);
+
+        setTimeout(() => this.runBatch(batch, queue), 0);
+
+        console.log(`📦 Batch ${batchId} started: ${batch.jobs.length} files, ${batch.skipped.length} skipped`);
+
+        return {
+            batchId: batchId,
+            status: 'started',
+            fileCount: batch.jobs.length,
+            jobs: batch.jobs,
+            skipped: batch.skipped
+        };
+    }
+
+    /**
+     * Work through a batch's child jobs a few at a time, since each one is a full PDF/OCR
+     * pipeline, saving the batch after each file; once it has been finished for a while the
+     * batch and its jobs leave memory and its status is read back from processing_batches
+     */
+    async runBatch(batch, queue) {
+        const workers = Math.max(1, Math.min(this.config.batchConcurrency, queue.length));
+
+        await Promise.all(Array.from({ length: workers }, async () => {
+            while (queue.length > 0) {
+                const { child, options } = queue.shift();
+                child.started = true;
+                await this.processFileAsync(child.jobId, options);
+                await this.jobRuns.get(child.jobId);
+                await this.saveBatch(batch);
+            }
+        }));
+
+        batch.completedAt = Date.now();
+        await this.saveBatch(batch);
+
+        // Without a database the batch stays in memory for a day instead of 5 minutes
+        const retention = this.supabase ? 300000 : 24 * 60 * 60 * 1000;
+
+        setTimeout(() => {
+            this.batches.delete(batch.id);
+            for (const child of batch.jobs) {
+                this.activeJobs.delete(child.jobId);
+            }
+        }, retention);
+    }
+
+    /**
+     * Write a batch's aggregate status and per-file results to processing_batches
+     */
+    async saveBatch(batch) {
+        if (!this.supabase) return;
+
+        try {
+            const status = await this.getBatchStatus(batch.id);
+
+            const { error } = await this.supabase
+                .from('processing_batches')
+                .upsert({
+                    batch_id: status.id,
+                    supplier: status.supplier,
+                    status: status.status,
+                    counts: status.counts,
+                    total_products: status.totalProducts,
+                    files: status.files,
+                    skipped: status.skipped,
+                    created_at: new Date(status.createdAt).toISOString(),
+                    completed_at: batch.completedAt ? new Date(batch.completedAt).toISOString() : null,
+                    updated_at: new Date().toISOString()
+                }, { onConflict: 'batch_id' });
+
+            if (error) {
+                throw error;
+            }
+        } catch (error) {
+            console.warn(`Failed to save batch ${batch.id}:`, error.message);
+        }
+    }
+
+    /**
+     * Status of a batch no longer in memory, from processing_batches; a batch still processing
+     * there was cut off by a restart, and its unfinished files will not finish
+     */
+    async loadBatch(batchId) {
+        if (!this.supabase) return null;
+
+        const { data, error } = await this.supabase
+            .from('processing_batches')
+            .select('*')
+            .eq('batch_id', batchId)
+            .limit(1);
+
+        if (error) {
+            throw error;
+        }
+
+        const row = data && data[0];
+        if (!row) {
+            return null;
+        }
+
+        const interrupted = row.status === 'processing';
+
+        return {
+            id: row.batch_id,
+            status: interrupted ? 'interrupted' : row.status,
+            supplier: row.supplier,
+            createdAt: Date.parse(row.created_at),
+            completedAt: row.completed_at ? Date.parse(row.completed_at) : null,
+            counts: row.counts,
+            totalProducts: row.total_products,
+            files: (row.files || []).map(file => (
+                interrupted && (file.status === 'queued' || file.status === 'processing')
+                    ? { ...file, status: 'interrupted', error: 'Processing stopped by a server restart' }
+                    : file
+            )),
+            skipped: row.skipped || []
+        };
+    }
+
+    /**
+     * Aggregate status of a batch from its child jobs, or as last saved once it has left memory
+     */
+    async getBatchStatus(batchId) {
+        const batch = this.batches.get(batchId);
+        if (!batch) {
+            return await this.loadBatch(batchId);
+        }
+
+        const files = [];
+        const counts = { total: batch.jobs.length, queued: 0, processing: 0, completed: 0, failed: 0 };
+        let totalProducts = 0;
+
+        for (const { started, ...child } of batch.jobs) {
+            const job = await this.getJobStatus(child.jobId);
+            const productCount = job && job.result && job.result.products ? job.result.products.length : 0;
+            const status = job ? job.status : (started ? 'expired' : 'queued');
+
+            if (status === 'queued') counts.queued++;
+            else if (status === 'processing') counts.processing++;
+            else if (status === 'completed') counts.completed++;
+            else counts.failed++;
+
+            totalProducts += productCount;
+
+            files.push({
+                ...child,
+                status: status,
+                productCount: productCount,
+                confidence: job && job.result && job.result.metadata ? job.result.metadata.confidence : null,
+                processingTime: job ? job.processingTime : null,
+                error: job ? job.error : (started ? 'Job information expired' : null)
+            });
+        }
+
+        if (counts.queued > 0 || counts.processing > 0) {
+            batch.status = 'processing';
+        } else if (counts.failed === 0) {
+            batch.status = 'completed';
+        } else if (counts.completed === 0) {
+            batch.status = 'failed';
+        } else {
+            batch.status = 'partial';
+        }
+
+        return {
+            id: batch.id,
+            status: batch.status,
+            supplier: batch.supplier,
+            createdAt: batch.createdAt,
+            completedAt: batch.completedAt || null,
+            counts: counts,
+            totalProducts: totalProducts,
+            files: files,
+            skipped: batch.skipped
+        };
+    }
+
     /**
      * Get system statistics
      */
@@ -403,6 +680,8 @@ class AudicoEnhancedSystem {
      * Main processing entry point
      */
     async processDocument(fileBuffer, filename, supplier, options = {}) {
+        let jobId;
+
         try {
             if (!this.isInitialized) {
                 console.warn('System not fully initialized, attempting basic processing...');
@@ -410,7 +689,7 @@ class AudicoEnhancedSystem {
                 return await this.fallbackToLegacyProcessing(fileBuffer, filename, supplier, options);
             }
 
-            const jobId = this.generateJobId();
+            jobId = this.generateJobId();
             const startTime = Date.now();
 
             console.log(`📄 Processing document: ${filename} for ${supplier} (Job: ${jobId})`);
@@ -609,7 +888,6 @@ class AudicoEnhancedSystem {
         console.log('📜 Using legacy processing fallback...');
 
         // Import legacy functions (these would be from your existing server.js)
-        const XLSX = require('xlsx');
         const pdfParse = require('pdf-parse');
 
         let products = [];
@@ -620,10 +898,19 @@ class AudicoEnhancedSystem {
         } else if (filename.toLowerCase().endsWith('.xlsx') || filename.toLowerCase().endsWith('.xls')) {
             const workbook = XLSX.read(fileBuffer, { type: 'buffer' });
             products = await this.legacyParseExcelProducts(workbook, supplier);
+        } else if (filename.toLowerCase().endsWith('.csv')) {
+            // Same dialect and encoding detection as the enhanced path, read as a one-sheet workbook
+            const csv = this.csvParser.parse(fileBuffer);
+            const workbook = { SheetNames: ['CSV'], Sheets: { CSV: XLSX.utils.aoa_to_sheet(csv.rows) } };
+            products = await this.legacyParseExcelProducts(workbook, supplier);
+        } else {
+            const error = new Error(`Legacy processing cannot read ${path.extname(filename) || filename}`);
+            error.code = 'UNSUPPORTED_FILE_TYPE';
+            throw error;
         }
 
         // Apply pricing logic
-        products = this.legacyApplyPricingLogic(products, options);
+        products = await this.legacyApplyPricingLogic(products, { ...options, supplier });
 
         return { products: products, success: true };
     }
@@ -675,7 +962,6 @@ class AudicoEnhancedSystem {
                 const pdfData = await pdfParse(fileBuffer);
                 text = pdfData.text;
             } else {
-                const XLSX = require('xlsx');
                 const workbook = XLSX.read(fileBuffer, { type: 'buffer' });
                 const worksheet = workbook.Sheets[workbook.SheetNames[0]];
                 const data = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
@@ -684,11 +970,12 @@ class AudicoEnhancedSystem {
 
             // Very basic pattern matching
             const lines = text.split('\n');
+            const numberFormat = this.priceParser.detectFormat(lines);
             for (const line of lines) {
-                const priceMatch = line.match(/R\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/);
+                const priceMatch = this.priceParser.findAll(line, numberFormat)[0];
                 if (priceMatch && line.length > 20) {
-                    const price = parseFloat(priceMatch[1].replace(/,/g, ''));
-                    const name = line.substring(0, line.indexOf(priceMatch[0])).trim();
+                    const price = priceMatch.value;
+                    const name = line.substring(0, priceMatch.index).trim();
 
                     if (name.length > 5 && price > 0) {
                         products.push({
@@ -718,6 +1005,7 @@ class AudicoEnhancedSystem {
         return {
             processors: {
                 layoutDetection: true,
+                pdfCoordinateExtraction: true,
                 priceExtraction: true,
                 templateLearning: this.config.enableLearning,
                 errorRecovery: this.config.enableFallback
@@ -725,6 +1013,7 @@ class AudicoEnhancedSystem {
             formats: {
                 pdf: true,
                 excel: true,
+                csv: true,
                 multiSheet: true,
                 scannedDocuments: this.config.enableOCR
             },
@@ -870,6 +1159,10 @@ class AudicoEnhancedSystem {
             await this.saveSystemAnalytics();
 
             // Cleanup processors
+            if (this.documentProcessor) {
+                await this.documentProcessor.ocrProcessor.terminate();
+            }
+
             if (this.templateManager) {
                 // Save any pending templates
                 console.log('💾 Saving templates...');
@@ -988,19 +1281,23 @@ class AudicoEnhancedSystem {
     async legacyParsePDFProducts(text, supplier) {
         const products = [];
         const lines = text.split('\n').filter(line => line.trim().length > 0);
+        const numberFormat = this.priceParser.detectFormat(lines);
+        const newRRPPattern = this.priceParser.pattern('New\\s+RRP[:\\s]*', 'i', true);
+        const oldRRPPattern = this.priceParser.pattern('Old\\s+RRP[:\\s]*', 'i', true);
+        const [generalPattern] = this.priceParser.currencyPatterns('');
 
         for (const line of lines) {
             // Enhanced price detection - prioritize "New RRP"
-            const newRRPMatch = line.match(/New\s+RRP[:\s]*R\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/i);
-            const oldRRPMatch = line.match(/Old\s+RRP[:\s]*R\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/i);
-            const generalPriceMatch = line.match(/R\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/);
+            const newRRPMatch = line.match(newRRPPattern);
+            const oldRRPMatch = line.match(oldRRPPattern);
+            const generalPriceMatch = line.match(generalPattern);
 
             let priceMatch = newRRPMatch || oldRRPMatch || generalPriceMatch;
 
             if (priceMatch) {
                 const productName = line.substring(0, line.indexOf(priceMatch[0])).trim();
                 if (productName.length > 5) {
-                    const price = parseFloat(priceMatch[1].replace(/,/g, ''));
+                    const price = this.priceParser.toNumber(priceMatch[1], numberFormat);
                     products.push({
                         name: productName,
                         price: price,
@@ -1023,6 +1320,7 @@ class AudicoEnhancedSystem {
         for (const sheetName of workbook.SheetNames) {
             const worksheet = workbook.Sheets[sheetName];
             const data = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+            const numberFormat = this.priceParser.detectFormat(data);
 
             if (data.length < 2) continue;
 
@@ -1076,7 +1374,7 @@ class AudicoEnhancedSystem {
                 const price = selectedPriceCol >= 0 ? row[selectedPriceCol] : row[1];
 
                 if (name && price && typeof name === 'string' && name.length > 2) {
-                    const numericPrice = typeof price === 'number' ? price : parseFloat(String(price).replace(/[^0-9.]/g, ''));
+                    const numericPrice = this.priceParser.parse(price, numberFormat);
 
                     if (!isNaN(numericPrice) && numericPrice > 0) {
                         products.push({
@@ -1097,28 +1395,9 @@ class AudicoEnhancedSystem {
         return products;
     }
 
-    legacyApplyPricingLogic(products, options) {
-        return products.map(product => {
-            let finalPrice = product.price;
-
-            switch (options.priceType) {
-                case 'retail_including_vat':
-                    break;
-                case 'cost_including_vat':
-                    finalPrice = finalPrice * (1 + (options.marginPercentage || 0) / 100);
-                    break;
-                case 'cost_excluding_vat':
-                    finalPrice = finalPrice * (1 + (options.vatRate || 15) / 100);
-                    finalPrice = finalPrice * (1 + (options.marginPercentage || 0) / 100);
-                    break;
-            }
-
-            return {
-                ...product,
-                original_price: product.price,
-                final_price: Math.round(finalPrice * 100) / 100
-            };
-        });
+    async legacyApplyPricingLogic(products, options) {
+        const pricingEngine = this.pricingEngine || new PricingEngine({ supabase: this.supabase });
+        return pricingEngine.applyPricing(products, options);
     }
 }
 
@@ -0,0 +1,206 @@
+
+const zlib = require('zlib');
+
+/**
+ * ZIP Archive Extractor for Audico Batch Uploads
+ * Unpacks supplier ZIP files into individual pricelists with size, count and nesting limits
+ */
+class ArchiveExtractor {
+    constructor(options = {}) {
+        this.maxDepth = options.maxDepth || parseInt(process.env.ZIP_MAX_DEPTH || '2');
+        this.maxFiles = options.maxFiles || parseInt(process.env.ZIP_MAX_FILES || '100');
+        this.maxFileSize = options.maxFileSize || parseInt(process.env.ZIP_MAX_FILE_SIZE_MB || '50') * 1024 * 1024;
+        this.maxTotalSize = options.maxTotalSize || parseInt(process.env.ZIP_MAX_TOTAL_SIZE_MB || '200') * 1024 * 1024;
+
+        // Pricelists compress well, but not a thousand to one
+        this.maxCompressionRatio = options.maxCompressionRatio || 100;
+
+        this.supportedExtensions = options.supportedExtensions || ['pdf', 'xlsx', 'xls', 'csv'];
+    }
+
+    /**
+     * Check whether an upload is a ZIP archive (xlsx files are ZIPs too, so go by extension)
+     */
+    isArchive(filename) {
+        return filename.toLowerCase().endsWith('.zip');
+    }
+
+    /**
+     * Extract supported pricelists from a ZIP buffer, descending into nested archives
+     */
+    extract(fileBuffer, archiveName, depth = 0, totals = { files: 0, bytes: 0 }) {
+        if (depth >= this.maxDepth) {
+            throw this.archiveError(`Archive ${archiveName} is nested more than ${this.maxDepth} levels deep`);
+        }
+
+        const entries = this.readCentralDirectory(fileBuffer);
+        const files = [];
+        const skipped = [];
+
+        console.log(`🗜️ Extracting ${archiveName}: ${entries.length} entries`);
+
+        for (const entry of entries) {
+            const entryPath = `${archiveName}/${entry.name}`;
+            const baseName = entry.name.split('/').pop();
+            const extension = baseName.toLowerCase().split('.').pop();
+
+            if (entry.isDirectory) continue;
+
+            // macOS resource forks and hidden files are never pricelists
+            if (entry.name.startsWith('__MACOSX/') || baseName.startsWith('.')) {
+                skipped.push({ path: entryPath, reason: 'system file' });
+                continue;
+            }
+
+            if (entry.encrypted) {
+                skipped.push({ path: entryPath, reason: 'encrypted entry' });
+                continue;
+            }
+
+            if (extension !== 'zip' && !this.supportedExtensions.includes(extension)) {
+                skipped.push({ path: entryPath, reason: `unsupported file type: ${extension}` });
+                continue;
+            }
+
+            this.checkLimits(entry, entryPath, totals);
+
+            const buffer = this.readEntry(fileBuffer, entry);
+
+            if (extension === 'zip') {
+                const nested = this.extract(buffer, entryPath, depth + 1, totals);
+                files.push(...nested.files);
+                skipped.push(...nested.skipped);
+                continue;
+            }
+
+            totals.files++;
+            files.push({
+                filename: baseName,
+                path: entryPath,
+                buffer: buffer,
+                size: buffer.length
+            });
+        }
+
+        return { files, skipped };
+    }
+
+    /**
+     * Reject entries that would exceed the batch limits before inflating them
+     */
+    checkLimits(entry, entryPath, totals) {
+        if (totals.files >= this.maxFiles) {
+            throw this.archiveError(`Archive contains more than ${this.maxFiles} files`);
+        }
+
+        if (entry.uncompressedSize > this.maxFileSize) {
+            throw this.archiveError(`${entryPath} is larger than ${Math.round(this.maxFileSize / 1024 / 1024)}MB`);
+        }
+
+        if (entry.compressedSize > 0 && entry.uncompressedSize / entry.compressedSize > this.maxCompressionRatio) {
+            throw this.archiveError(`${entryPath} has a suspicious compression ratio`);
+        }
+
+        totals.bytes += entry.uncompressedSize;
+
+        if (totals.bytes > this.maxTotalSize) {
+            throw this.archiveError(`Archive expands to more than ${Math.round(this.maxTotalSize / 1024 / 1024)}MB`);
+        }
+    }
+
+    archiveError(message) {
+        const error = new Error(message);
+        error.code = 'INVALID_ARCHIVE';
+        return error;
+    }
+
+    /**
+     * Read entry metadata from the ZIP central directory
+     */
+    readCentralDirectory(buffer) {
+        const eocdOffset = this.findEndOfCentralDirectory(buffer);
+        const entryCount = buffer.readUInt16LE(eocdOffset + 10);
+        const directoryOffset = buffer.readUInt32LE(eocdOffset + 16);
+
+        if (entryCount === 0xFFFF || directoryOffset === 0xFFFFFFFF) {
+            throw this.archiveError('ZIP64 archives are not supported');
+        }
+
+        const entries = [];
+        let offset = directoryOffset;
+
+        for (let i = 0; i < entryCount; i++) {
+            if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+                throw this.archiveError('Corrupt ZIP central directory');
+            }
+
+            const flags = buffer.readUInt16LE(offset + 8);
+            const nameLength = buffer.readUInt16LE(offset + 28);
+            const extraLength = buffer.readUInt16LE(offset + 30);
+            const commentLength = buffer.readUInt16LE(offset + 32);
+            const name = buffer.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+
+            entries.push({
+                name: name,
+                method: buffer.readUInt16LE(offset + 10),
+                compressedSize: buffer.readUInt32LE(offset + 20),
+                uncompressedSize: buffer.readUInt32LE(offset + 24),
+                localHeaderOffset: buffer.readUInt32LE(offset + 42),
+                encrypted: (flags & 0x1) === 0x1,
+                isDirectory: name.endsWith('/')
+            });
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    findEndOfCentralDirectory(buffer) {
+        // The record is 22 bytes plus an optional comment of up to 64KB
+        const searchStart = Math.max(0, buffer.length - 22 - 0xFFFF);
+
+        for (let offset = buffer.length - 22; offset >= searchStart; offset--) {
+            if (buffer.readUInt32LE(offset) === 0x06054b50) {
+                return offset;
+            }
+        }
+
+        throw this.archiveError('Not a valid ZIP archive');
+    }
+
+    /**
+     * Inflate a single entry, never producing more than its declared size
+     */
+    readEntry(buffer, entry) {
+        const headerOffset = entry.localHeaderOffset;
+
+        if (headerOffset + 30 > buffer.length || buffer.readUInt32LE(headerOffset) !== 0x04034b50) {
+            throw this.archiveError(`Corrupt ZIP entry: ${entry.name}`);
+        }
+
+        const dataStart = headerOffset + 30 + buffer.readUInt16LE(headerOffset + 26) + buffer.readUInt16LE(headerOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+
+        let content;
+        if (entry.method === 0) {
+            content = Buffer.from(data);
+        } else if (entry.method === 8) {
+            try {
+                content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(1, entry.uncompressedSize) });
+            } catch (error) {
+                throw this.archiveError(`Cannot inflate ${entry.name}: ${error.message}`);
+            }
+        } else {
+            throw this.archiveError(`Unsupported compression method ${entry.method} for ${entry.name}`);
+        }
+
+        if (content.length !== entry.uncompressedSize) {
+            throw this.archiveError(`Size mismatch for ${entry.name}`);
+        }
+
+        return content;
+    }
+}
+
+module.exports = ArchiveExtractor;
@@ -0,0 +1,222 @@
+const PriceParser = require('./price-parser');
+
+/**
+ * CSV Parser for Audico Pricelist Processing
+ * Turns distributor CSV exports into the same sheet structure used for Excel files
+ */
+class CsvParser {
+    constructor(options = {}) {
+        // Delimiters we are prepared to detect, in order of preference on ties
+        this.candidateDelimiters = options.candidateDelimiters || [',', ';', '\t', '|'];
+        this.candidateQuotes = options.candidateQuotes || ['"', "'"];
+        this.priceParser = options.priceParser || new PriceParser();
+
+        // Number of lines sampled for dialect and header detection
+        this.sampleSize = options.sampleSize || 50;
+
+        this.headerKeywords = [
+            'product', 'name', 'description', 'price', 'rrp', 'cost',
+            'model', 'code', 'sku', 'brand', 'category', 'qty', 'quantity',
+            'new', 'old', 'current', 'retail', 'wholesale', 'stock'
+        ];
+    }
+
+    /**
+     * Parse a CSV file buffer into rows plus detection metadata
+     */
+    parse(fileBuffer) {
+        const encoding = this.detectEncoding(fileBuffer);
+        const text = this.decode(fileBuffer, encoding);
+        const dialect = this.detectDialect(text);
+        const rows = this.parseRows(text, dialect)
+            .filter(row => row.some(cell => cell.trim() !== ''));
+        const headerInfo = this.detectHeader(rows);
+
+        console.log(`📑 CSV detected: encoding=${encoding}, delimiter=${JSON.stringify(dialect.delimiter)}, quote=${dialect.quoteChar}, header row=${headerInfo.headerRow}`);
+
+        return {
+            rows: rows,
+            encoding: encoding,
+            delimiter: dialect.delimiter,
+            quoteChar: dialect.quoteChar,
+            headerInfo: headerInfo
+        };
+    }
+
+    /**
+     * Detect text encoding (UTF-8 with or without BOM, UTF-16, or Windows-1252)
+     */
+    detectEncoding(buffer) {
+        if (buffer.length >= 3 && buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+            return 'utf-8';
+        }
+        if (buffer.length >= 2 && buffer[0] === 0xFF && buffer[1] === 0xFE) {
+            return 'utf-16le';
+        }
+        if (buffer.length >= 2 && buffer[0] === 0xFE && buffer[1] === 0xFF) {
+            return 'utf-16be';
+        }
+
+        // Anything that is not valid UTF-8 is most likely an Excel "CSV" export in Windows-1252
+        try {
+            new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+            return 'utf-8';
+        } catch (error) {
+            return 'windows-1252';
+        }
+    }
+
+    /**
+     * Decode buffer to text, dropping any byte order mark
+     */
+    decode(buffer, encoding) {
+        const text = new TextDecoder(encoding).decode(buffer);
+        return text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+    }
+
+    /**
+     * Detect delimiter and quote character from a sample of the text
+     */
+    detectDialect(text) {
+        const sample = text.split(/\r\n|\n|\r/)
+            .filter(line => line.trim().length > 0)
+            .slice(0, this.sampleSize)
+            .join('\n');
+
+        const quoteChar = this.detectQuoteChar(sample);
+
+        let best = { delimiter: ',', score: -1 };
+
+        for (const delimiter of this.candidateDelimiters) {
+            const rows = this.parseRows(sample, { delimiter, quoteChar });
+            const counts = rows.map(row => row.length).filter(count => count > 1);
+
+            if (counts.length === 0) continue;
+
+            // Prefer delimiters that split most lines into the same number of fields
+            const modeCount = this.mostCommon(counts);
+            const consistency = counts.filter(count => count === modeCount).length / rows.length;
+            const score = consistency * Math.min(modeCount, 10);
+
+            if (score > best.score) {
+                best = { delimiter, score };
+            }
+        }
+
+        return { delimiter: best.delimiter, quoteChar: quoteChar };
+    }
+
+    /**
+     * Pick the quote character that appears wrapped around fields most often
+     */
+    detectQuoteChar(sample) {
+        let bestQuote = '"';
+        let bestCount = 0;
+
+        for (const quote of this.candidateQuotes) {
+            const escaped = quote.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const pattern = new RegExp(`(^|[,;\\t|])${escaped}[^${escaped}\\n]*${escaped}(?=[,;\\t|]|$)`, 'gm');
+            const count = (sample.match(pattern) || []).length;
+
+            if (count > bestCount) {
+                bestCount = count;
+                bestQuote = quote;
+            }
+        }
+
+        return bestQuote;
+    }
+
+    /**
+     * Split text into rows of fields, honouring quoted fields and doubled quotes
+     */
+    parseRows(text, dialect) {
+        const { delimiter, quoteChar } = dialect;
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === quoteChar) {
+                    if (text[i + 1] === quoteChar) {
+                        field += quoteChar;
+                        i++;
+                    } else {
+                        inQuotes = false;
+                    }
+                } else {
+                    field += char;
+                }
+                continue;
+            }
+
+            if (char === quoteChar && field.trim() === '') {
+                field = '';
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field.trim());
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field.trim());
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field.trim());
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Detect whether the file starts with a header row
+     */
+    detectHeader(rows) {
+        let bestRow = -1;
+        let bestScore = 0;
+
+        // Some exports put a title or date line above the real header
+        for (let i = 0; i < Math.min(5, rows.length); i++) {
+            const row = rows[i];
+            const textCells = row.filter(cell => cell !== '' && !this.priceParser.isPrice(cell));
+
+            // A header row is mostly text with no price-like values
+            if (textCells.length < Math.max(2, row.filter(cell => cell !== '').length * 0.8)) continue;
+
+            const cellText = row.join(' ').toLowerCase();
+            const score = this.headerKeywords.filter(keyword => cellText.includes(keyword)).length;
+
+            if (score > bestScore) {
+                bestScore = score;
+                bestRow = i;
+            }
+        }
+
+        return {
+            headerRow: bestScore >= 2 ? bestRow : -1,
+            headers: bestScore >= 2 ? rows[bestRow] : [],
+            score: bestScore
+        };
+    }
+
+    mostCommon(values) {
+        const counts = {};
+        for (const value of values) {
+            counts[value] = (counts[value] || 0) + 1;
+        }
+        return Number(Object.entries(counts).sort(([, a], [, b]) => b - a)[0][0]);
+    }
+}
+
+module.exports = CsvParser;
@@ -0,0 +1,286 @@
+
+/**
+ * Duplicate Product Detector for Audico Pricelist Processing
+ * Finds the same product emitted twice by one extraction (exact SKU or a near-identical name)
+ * and products that look like rows another supplier already has in the catalogue
+ */
+class DuplicateDetector {
+    constructor(options = {}) {
+        // Dice similarity of name bigrams at or above which two names are the same product
+        this.nameThreshold = options.nameThreshold || parseFloat(process.env.DUPLICATE_NAME_THRESHOLD || '0.85');
+
+        // Lower rank wins when two duplicates disagree on price type
+        this.priceTypeRank = options.priceTypeRank || {
+            'New RRP': 0,
+            'Current Price': 1,
+            'RRP': 2,
+            'Standard': 3,
+            'Old RRP': 4
+        };
+    }
+
+    normalizeName(name) {
+        return String(name || '')
+            .toLowerCase()
+            .replace(/^\s*\d{1,4}[.)]\s+/, '')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    bigrams(text) {
+        const compact = text.replace(/\s+/g, ' ');
+        const grams = new Set();
+
+        for (let i = 0; i < compact.length - 1; i++) {
+            grams.add(compact.substring(i, i + 2));
+        }
+
+        return grams;
+    }
+
+    /**
+     * Dice coefficient of two name bigram sets (0-1)
+     */
+    similarity(a, b) {
+        if (a.size === 0 || b.size === 0) return 0;
+
+        let shared = 0;
+        for (const gram of a) {
+            if (b.has(gram)) shared++;
+        }
+
+        return (2 * shared) / (a.size + b.size);
+    }
+
+    /**
+     * Tokens used to find comparison candidates; model-like tokens carry a digit
+     */
+    blockingKeys(name) {
+        const keys = name.split(' ').filter(token => /\d/.test(token) && token.length > 1);
+
+        // Names without model numbers only meet names that normalise identically
+        return keys.length > 0 ? keys : [name];
+    }
+
+    numberTokens(name) {
+        return name.split(' ').filter(token => /\d/.test(token)).sort().join(' ');
+    }
+
+    /**
+     * Index products or catalogue rows for matching
+     */
+    buildEntries(items) {
+        return items.map((item, index) => {
+            const name = this.normalizeName(item.name);
+            return {
+                index,
+                item,
+                sku: item.sku || null,
+                name,
+                numbers: this.numberTokens(name),
+                grams: this.bigrams(name)
+            };
+        });
+    }
+
+    /**
+     * How two entries match, or null: the same SKU, or similar names when a SKU is missing
+     */
+    match(a, b) {
+        if (a.sku && b.sku) {
+            return a.sku === b.sku ? { match: 'sku', similarity: 1 } : null;
+        }
+
+        if (!a.name || !b.name) return null;
+
+        // "Home 150" and "Home 250" are different products however alike the rest reads
+        if (a.numbers !== b.numbers) return null;
+
+        const similarity = this.similarity(a.grams, b.grams);
+        if (similarity < this.nameThreshold) return null;
+
+        return { match: 'name', similarity: Math.round(similarity * 1000) / 1000 };
+    }
+
+    /**
+     * Group duplicate products within one extraction; groups hold product indexes
+     */
+    findGroups(products) {
+        const entries = this.buildEntries(products);
+        const groupOf = new Map();
+        const groups = [];
+        const bySku = new Map();
+        const byKey = new Map();
+
+        for (const entry of entries) {
+            let found = null;
+
+            if (entry.sku && bySku.has(entry.sku)) {
+                found = { other: bySku.get(entry.sku), match: 'sku', similarity: 1 };
+            } else {
+                const candidates = new Set();
+                for (const key of this.blockingKeys(entry.name)) {
+                    for (const other of byKey.get(key) || []) candidates.add(other);
+                }
+
+                for (const other of candidates) {
+                    const result = this.match(entry, other);
+                    if (result && (!found || result.similarity > found.similarity)) {
+                        found = { other, ...result };
+                    }
+                }
+            }
+
+            if (found) {
+                const group = groupOf.get(found.other.index);
+                group.members.push({ index: entry.index, match: found.match, similarity: found.similarity });
+                groupOf.set(entry.index, group);
+            } else {
+                const group = { members: [{ index: entry.index, match: null, similarity: null }] };
+                groups.push(group);
+                groupOf.set(entry.index, group);
+            }
+
+            if (entry.sku && !bySku.has(entry.sku)) bySku.set(entry.sku, entry);
+            for (const key of this.blockingKeys(entry.name)) {
+                if (!byKey.has(key)) byKey.set(key, []);
+                byKey.get(key).push(entry);
+            }
+        }
+
+        return groups.filter(group => group.members.length > 1);
+    }
+
+    /**
+     * Pick which of two duplicates to keep: New RRP over Old RRP, then higher confidence, then the first seen
+     */
+    prefer(a, b) {
+        const rankA = this.rankPriceType(a.priceType);
+        const rankB = this.rankPriceType(b.priceType);
+        if (rankA !== rankB) return rankA < rankB ? a : b;
+
+        const confidenceA = typeof a.confidence === 'number' ? a.confidence : 0;
+        const confidenceB = typeof b.confidence === 'number' ? b.confidence : 0;
+        if (confidenceA !== confidenceB) return confidenceA > confidenceB ? a : b;
+
+        return a;
+    }
+
+    rankPriceType(priceType) {
+        const rank = this.priceTypeRank[priceType];
+        return rank === undefined ? this.priceTypeRank['Standard'] : rank;
+    }
+
+    /**
+     * Index of the product that wins a duplicate group
+     */
+    winnerOf(products, group) {
+        return group.members.reduce((best, member) =>
+            this.prefer(products[best], products[member.index]) === products[best] ? best : member.index,
+        group.members[0].index);
+    }
+
+    /**
+     * Drop duplicates from one extraction, keeping the winner of each group in its first position
+     */
+    dedupe(products) {
+        const groups = this.findGroups(products);
+        const replacements = new Map();
+        const dropped = new Set();
+        const duplicates = [];
+
+        for (const group of groups) {
+            const first = group.members[0].index;
+            const winner = this.winnerOf(products, group);
+            const kept = { ...products[winner] };
+
+            for (const member of group.members) {
+                if (member.index === winner) continue;
+
+                const loser = products[member.index];
+
+                // A losing copy may still have read the model code or specs the winner missed
+                if (!kept.sku && loser.sku) {
+                    kept.sku = loser.sku;
+                    kept.skuSource = loser.skuSource;
+                }
+                if (!kept.specifications && loser.specifications) kept.specifications = loser.specifications;
+
+                duplicates.push({
+                    kept: { index: winner, name: kept.name, sku: kept.sku || null, price: kept.price, priceType: kept.priceType || null },
+                    dropped: { index: member.index, name: loser.name, sku: loser.sku || null, price: loser.price, priceType: loser.priceType || null },
+                    // The first product of a group records no match; the second matched it
+                    match: member.match || group.members[1].match,
+                    similarity: member.similarity || group.members[1].similarity
+                });
+            }
+
+            for (const member of group.members) {
+                if (member.index !== first) dropped.add(member.index);
+            }
+            replacements.set(first, kept);
+        }
+
+        const result = [];
+        for (let i = 0; i < products.length; i++) {
+            if (dropped.has(i)) continue;
+            result.push(replacements.has(i) ? replacements.get(i) : products[i]);
+        }
+
+        return { products: result, duplicates };
+    }
+
+    /**
+     * Catalogue rows from other suppliers that look like the same product
+     */
+    findCatalogueDuplicates(products, catalogueRows, supplier) {
+        const rows = this.buildEntries(catalogueRows.filter(row =>
+            row.supplier !== supplier && row.is_listed !== false
+        ));
+
+        const bySku = new Map();
+        const byKey = new Map();
+        for (const row of rows) {
+            if (row.sku) {
+                if (!bySku.has(row.sku)) bySku.set(row.sku, []);
+                bySku.get(row.sku).push(row);
+            }
+            for (const key of this.blockingKeys(row.name)) {
+                if (!byKey.has(key)) byKey.set(key, []);
+                byKey.get(key).push(row);
+            }
+        }
+
+        const flagged = [];
+
+        for (const entry of this.buildEntries(products)) {
+            const candidates = new Set(entry.sku ? bySku.get(entry.sku) || [] : []);
+            for (const key of this.blockingKeys(entry.name)) {
+                for (const row of byKey.get(key) || []) candidates.add(row);
+            }
+
+            const matches = [];
+            for (const row of candidates) {
+                const result = this.match(entry, row);
+                if (result) {
+                    matches.push({
+                        id: row.item.id,
+                        supplier: row.item.supplier,
+                        sku: row.item.sku || null,
+                        name: row.item.name,
+                        ...result
+                    });
+                }
+            }
+
+            if (matches.length > 0) {
+                matches.sort((a, b) => b.similarity - a.similarity);
+                flagged.push({ index: entry.index, name: entry.item.name, sku: entry.sku, matches: matches.slice(0, 5) });
+            }
+        }
+
+        return flagged;
+    }
+}
+
+module.exports = DuplicateDetector;
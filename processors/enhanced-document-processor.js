@@ -4,6 +4,9 @@ const path = require('path');
 const XLSX = require('xlsx');
 const pdfParse = require('pdf-parse');
 const { createClient } = require('@supabase/supabase-js');
+const CsvParser = require('./csv-parser');
+const OcrProcessor = require('./ocr-processor');
+const PdfTextExtractor = require('./pdf-text-extractor');
 
 /**
  * Enhanced Document Processor for Audico Quoting System
@@ -18,6 +21,10 @@ class EnhancedDocumentProcessor {
         this.layoutDetector = options.layoutDetector;
         this.priceExtractor = options.priceExtractor;
         this.errorRecovery = options.errorRecovery;
+        this.csvParser = options.csvParser || new CsvParser();
+        this.ocrProcessor = options.ocrProcessor || new OcrProcessor({ enabled: options.enableOCR });
+        this.pdfTextExtractor = options.pdfTextExtractor || new PdfTextExtractor();
+        this.enableCoordinateExtraction = options.enableCoordinateExtraction !== false;
 
         // Processing statistics
         this.stats = {
@@ -42,8 +49,10 @@ class EnhancedDocumentProcessor {
         try {
             console.log(`🔄 Processing ${filename} for supplier: ${supplier}`);
 
-            // Step 1: Detect document layout and format
-            const layoutInfo = await this.layoutDetector.analyzeLayout(fileBuffer, filename);
+            // Step 1: Detect document layout and format (on OCR text for scanned PDFs)
+            const ocrResult = await this.runOCR(fileBuffer, filename);
+            const positionalText = await this.extractPositionalText(fileBuffer, filename, ocrResult);
+            const layoutInfo = await this.layoutDetector.analyzeLayout(fileBuffer, filename, { ocrResult, positionalText });
             console.log(`📊 Layout detected: ${layoutInfo.type} (confidence: ${layoutInfo.confidence})`);
 
             // Step 2: Check for existing template
@@ -52,9 +61,11 @@ class EnhancedDocumentProcessor {
             // Step 3: Extract raw data based on file type
             let rawData;
             if (filename.toLowerCase().endsWith('.pdf')) {
-                rawData = await this.processPDF(fileBuffer, template, layoutInfo);
+                rawData = await this.processPDF(fileBuffer, template, layoutInfo, { ocrResult, positionalText });
             } else if (filename.toLowerCase().endsWith('.xlsx') || filename.toLowerCase().endsWith('.xls')) {
                 rawData = await this.processExcel(fileBuffer, template, layoutInfo);
+            } else if (filename.toLowerCase().endsWith('.csv')) {
+                rawData = await this.processCSV(fileBuffer, template, layoutInfo);
             } else {
                 throw new Error(`Unsupported file type: ${filename}`);
             }
@@ -64,11 +75,12 @@ class EnhancedDocumentProcessor {
                 rawData, 
                 supplier, 
                 template,
-                options
+                { ...options, filename }
             );
 
             // Step 5: Validate and clean results
-            const validatedProducts = await this.validateProducts(extractedProducts, options);
+            const validationIssues = [];
+            const validatedProducts = await this.validateProducts(extractedProducts, options, validationIssues);
 
             // Step 6: Learn from successful extraction
             if (validatedProducts.length > 0) {
@@ -85,6 +97,16 @@ class EnhancedDocumentProcessor {
             return {
                 success: true,
                 products: validatedProducts,
+                layoutInfo: {
+                    type: layoutInfo.type,
+                    subtype: layoutInfo.subtype,
+                    confidence: layoutInfo.confidence
+                },
+                validation: {
+                    extractedCount: extractedProducts.length,
+                    rejectedCount: validationIssues.length,
+                    issues: validationIssues
+                },
                 metadata: {
                     supplier,
                     filename,
@@ -92,7 +114,9 @@ class EnhancedDocumentProcessor {
                     confidence: this.calculateConfidence(validatedProducts),
                     processingTime: Date.now() - startTime,
                     extractedCount: validatedProducts.length,
-                    templateUsed: template?.id || 'auto-generated'
+                    templateUsed: template?.id || 'auto-generated',
+                    ocrApplied: !!ocrResult?.applied,
+                    ocrPages: ocrResult?.ocrPageCount || 0
                 }
             };
 
@@ -120,11 +144,18 @@ class EnhancedDocumentProcessor {
     /**
      * Process PDF documents with advanced parsing
      */
-    async processPDF(fileBuffer, template, layoutInfo) {
+    async processPDF(fileBuffer, template, layoutInfo, sources = {}) {
         try {
-            const pdfData = await pdfParse(fileBuffer);
+            const { ocrResult = null, positionalText = null } = sources;
+            const pdfData = ocrResult && ocrResult.applied ? ocrResult : await pdfParse(fileBuffer);
             let text = pdfData.text;
 
+            // Rebuild rows from text positions so cells of neighbouring columns are not merged
+            const usePositions = !!positionalText && ['table', 'multi-column'].includes(layoutInfo.type);
+            if (usePositions) {
+                text = this.pdfTextExtractor.toText(positionalText);
+            }
+
             // Apply layout-specific preprocessing
             if (layoutInfo.type === 'table') {
                 text = this.preprocessTablePDF(text, layoutInfo);
@@ -143,7 +174,13 @@ class EnhancedDocumentProcessor {
                 lines: lines,
                 pages: pdfData.numpages,
                 layoutInfo: layoutInfo,
-                metadata: pdfData.metadata || {}
+                metadata: pdfData.metadata || {},
+                pageLines: this.getPageLines(ocrResult, positionalText, usePositions),
+                ocr: pdfData === ocrResult ? this.summarizeOCR(ocrResult) : null,
+                positional: usePositions ? {
+                    tables: this.pdfTextExtractor.getTables(positionalText),
+                    runCount: positionalText.runCount
+                } : null
             };
 
         } catch (error) {
@@ -152,6 +189,85 @@ class EnhancedDocumentProcessor {
         }
     }
 
+    /**
+     * Text lines of each page, so products read from the flattened text can be traced to their
+     * page; empty when only the plain text layer was read, as it does not mark page breaks
+     */
+    getPageLines(ocrResult, positionalText, usePositions) {
+        const trimmed = lines => lines.map(line => line.trim()).filter(line => line.length > 0);
+
+        if (positionalText && usePositions) {
+            return positionalText.pages.map(page => ({ pageNumber: page.pageNumber, lines: trimmed(this.pdfTextExtractor.pageLines(page)) }));
+        }
+
+        // The OCR pass reads every page's text layer, scanned or not
+        if (ocrResult) {
+            return ocrResult.pages.map(page => ({ pageNumber: page.pageNumber, lines: trimmed(page.text.split('\n')) }));
+        }
+
+        if (positionalText) {
+            return positionalText.pages.map(page => ({ pageNumber: page.pageNumber, lines: trimmed(page.rows.map(row => row.text)) }));
+        }
+
+        return [];
+    }
+
+    /**
+     * OCR image-only PDF pages when OCR is enabled
+     */
+    async runOCR(fileBuffer, filename) {
+        if (!filename.toLowerCase().endsWith('.pdf') || !this.ocrProcessor.isEnabled()) {
+            return null;
+        }
+
+        try {
+            const ocrResult = await this.ocrProcessor.processPDF(fileBuffer);
+
+            if (ocrResult.applied) {
+                console.log(`🔍 OCR applied to ${ocrResult.ocrPageCount}/${ocrResult.numpages} pages (confidence: ${ocrResult.averageConfidence.toFixed(0)})`);
+            }
+
+            return ocrResult;
+        } catch (error) {
+            // Fall back to the plain text layer rather than failing the whole document
+            console.warn(`⚠️ OCR failed for ${filename}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Extract text runs with coordinates for column reconstruction
+     */
+    async extractPositionalText(fileBuffer, filename, ocrResult) {
+        if (!filename.toLowerCase().endsWith('.pdf') || !this.enableCoordinateExtraction || ocrResult?.applied) {
+            return null;
+        }
+
+        try {
+            return await this.pdfTextExtractor.extract(fileBuffer);
+        } catch (error) {
+            console.warn(`⚠️ Positional text extraction failed for ${filename}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Summarise OCR pages for the price extractor
+     */
+    summarizeOCR(ocrResult) {
+        const ocrPages = ocrResult.pages.filter(page => page.ocr);
+
+        return {
+            allPages: ocrPages.length === ocrResult.numpages,
+            averageConfidence: ocrResult.averageConfidence,
+            pages: ocrPages.map(page => ({
+                pageNumber: page.pageNumber,
+                confidence: page.confidence,
+                lines: page.text.split('\n').map(line => line.trim()).filter(line => line.length > 0)
+            }))
+        };
+    }
+
     /**
      * Process Excel documents with multi-sheet support
      */
@@ -177,7 +293,9 @@ class EnhancedDocumentProcessor {
                     data: data,
                     structure: sheetInfo,
                     rowCount: data.length,
-                    columnCount: Math.max(...data.map(row => row.length))
+                    columnCount: Math.max(...data.map(row => row.length)),
+                    struckRows: this.findStruckRows(worksheet),
+                    origin: this.getSheetOrigin(worksheet)
                 });
             }
 
@@ -194,6 +312,78 @@ class EnhancedDocumentProcessor {
         }
     }
 
+    /**
+     * First cell of a sheet's used range (0-based); data rows and columns count from here
+     */
+    getSheetOrigin(worksheet) {
+        if (!worksheet['!ref']) return { row: 0, column: 0 };
+
+        const range = XLSX.utils.decode_range(worksheet['!ref']);
+        return { row: range.s.r, column: range.s.c };
+    }
+
+    /**
+     * Rows (as indexes into the sheet's data) with a text cell struck through from end to end, which
+     * suppliers use to mark discontinued lines. Only rich-text strikethrough is visible here: the
+     * spreadsheet reader does not expose strikethrough set as whole-cell formatting
+     */
+    findStruckRows(worksheet) {
+        const struck = [];
+        if (!worksheet['!ref']) return struck;
+
+        const range = XLSX.utils.decode_range(worksheet['!ref']);
+
+        for (const [address, cell] of Object.entries(worksheet)) {
+            if (address[0] === '!' || !cell || cell.t !== 's' || !cell.h || !cell.h.includes('<s>')) continue;
+            if (!/[a-z]{3}/i.test(String(cell.v))) continue;
+
+            // "Was R 999" with only "Was" struck is a price note, not a struck product
+            const unstruck = cell.h.replace(/<s>[\s\S]*?<\/s>/g, '').replace(/<[^>]+>/g, '');
+            if (unstruck.trim()) continue;
+
+            const index = XLSX.utils.decode_cell(address).r - range.s.r;
+            if (!struck.includes(index)) struck.push(index);
+        }
+
+        return struck.sort((a, b) => a - b);
+    }
+
+    /**
+     * Process CSV exports as a single-sheet workbook so Excel extraction applies
+     */
+    async processCSV(fileBuffer, template, layoutInfo) {
+        try {
+            const csv = this.csvParser.parse(fileBuffer);
+            const sheetName = 'CSV';
+            const sheetInfo = this.analyzeSheetStructure(csv.rows, sheetName);
+
+            return {
+                type: 'excel',
+                sourceFormat: 'csv',
+                sheets: [{
+                    name: sheetName,
+                    data: csv.rows,
+                    structure: sheetInfo,
+                    headerInfo: csv.headerInfo,
+                    rowCount: csv.rows.length,
+                    columnCount: Math.max(0, ...csv.rows.map(row => row.length))
+                }],
+                sheetNames: [sheetName],
+                layoutInfo: layoutInfo,
+                csvInfo: {
+                    encoding: csv.encoding,
+                    delimiter: csv.delimiter,
+                    quoteChar: csv.quoteChar,
+                    headerRow: csv.headerInfo.headerRow
+                }
+            };
+
+        } catch (error) {
+            console.error('CSV processing error:', error);
+            throw new Error(`CSV processing failed: ${error.message}`);
+        }
+    }
+
     /**
      * Preprocess table-style PDFs
      */
@@ -358,17 +548,27 @@ class EnhancedDocumentProcessor {
     /**
      * Validate extracted products
      */
-    async validateProducts(products, options) {
+    async validateProducts(products, options, issues = []) {
         const validated = [];
 
+        // Rejected products are reported so previews can show why they were dropped
+        const reject = (product, reason) => issues.push({
+            name: product.name || null,
+            price: product.price || null,
+            rawLine: product.rawLine || null,
+            reason: reason
+        });
+
         for (const product of products) {
             try {
                 // Basic validation
                 if (!product.name || product.name.length < 3) {
+                    reject(product, 'Product name missing or shorter than 3 characters');
                     continue;
                 }
 
                 if (!product.price || product.price <= 0) {
+                    reject(product, 'Price missing or not positive');
                     continue;
                 }
 
@@ -376,6 +576,7 @@ class EnhancedDocumentProcessor {
                 if (this.anthropic && options.enableAdvancedValidation) {
                     const isValid = await this.validateProductWithAI(product);
                     if (!isValid) {
+                        reject(product, 'Rejected by AI validation');
                         continue;
                     }
                 }
@@ -384,6 +585,7 @@ class EnhancedDocumentProcessor {
 
             } catch (error) {
                 console.warn(`Validation failed for product: ${product.name}`, error);
+                reject(product, `Validation error: ${error.message}`);
             }
         }
 
@@ -525,6 +727,7 @@ class EnhancedDocumentProcessor {
     getStats() {
         return {
             ...this.stats,
+            ocr: this.ocrProcessor.getStats(),
             averageProcessingTime: this.stats.processingTimes.length > 0 
                 ? this.stats.processingTimes.reduce((a, b) => a + b, 0) / this.stats.processingTimes.length 
                 : 0,
@@ -0,0 +1,126 @@
+const RuleResolver = require('./rule-resolver');
+
+/**
+ * Landed Cost Calculator for Audico Pricing
+ * Converts a foreign supplier price to a ZAR cost on the shelf: exchange rate in force on the
+ * pricing date, freight, customs duty for the product's category and clearing (a percentage of
+ * customs value, a flat fee per unit, or both), before any VAT
+ */
+class LandedCostCalculator {
+    constructor(options = {}) {
+        this.baseCurrency = 'ZAR';
+
+        // Used for any component no landed-cost rule sets
+        this.defaults = {
+            freight_percent: options.freightPercent !== undefined ? options.freightPercent : parseFloat(process.env.LANDED_FREIGHT_PERCENT || '0'),
+            duty_percent: options.dutyPercent !== undefined ? options.dutyPercent : parseFloat(process.env.LANDED_DUTY_PERCENT || '0'),
+            clearing_percent: options.clearingPercent !== undefined ? options.clearingPercent : parseFloat(process.env.LANDED_CLEARING_PERCENT || '0'),
+            // ZAR per unit, not a percentage
+            clearing_fee: options.clearingFee !== undefined ? options.clearingFee : parseFloat(process.env.LANDED_CLEARING_FEE || '0')
+        };
+
+        // Category rules beat supplier rules when both set the same component
+        this.resolver = options.resolver || new RuleResolver();
+    }
+
+    /**
+     * Exchange rate to ZAR in force on a date: the latest one effective on or before it
+     */
+    rateFor(currency, rates = [], date = new Date()) {
+        if (currency === this.baseCurrency) {
+            return { rate: 1, effectiveFrom: null };
+        }
+
+        const day = new Date(date).toISOString().substring(0, 10);
+        let best = null;
+
+        for (const rate of rates) {
+            if (rate.currency !== currency) continue;
+
+            const effective = String(rate.effective_from).substring(0, 10);
+            if (effective > day) continue;
+
+            if (!best || effective > String(best.effective_from).substring(0, 10)) {
+                best = rate;
+            }
+        }
+
+        return best ? { rate: parseFloat(best.rate_to_zar), effectiveFrom: String(best.effective_from).substring(0, 10) } : null;
+    }
+
+    /**
+     * Currencies among the given ones that have no rate on the date
+     */
+    missingRates(currencies, rates, date) {
+        return Array.from(new Set(currencies)).filter(currency => !this.rateFor(currency, rates, date));
+    }
+
+    /**
+     * Each component comes from the most specific active rule that sets it, else the default
+     */
+    resolveComponents(product, rules = [], options = {}) {
+        const components = {};
+
+        for (const field of Object.keys(this.defaults)) {
+            const best = this.resolver.resolve(rules, rule =>
+                rule[field] === null || rule[field] === undefined ? null : this.resolver.matchScopes(rule, product, options));
+
+            components[field] = best
+                ? { value: parseFloat(best.rule[field]), ruleId: best.rule.id }
+                : { value: this.defaults[field], ruleId: null };
+        }
+
+        return components;
+    }
+
+    /**
+     * ZAR landed cost (excluding VAT) of one unit and how it was built up;
+     * duty and clearing are charged on the converted supplier price, as customs values it, and
+     * the clearing fee is added per unit on top
+     */
+    calculate(price, currency, product, config = {}, options = {}) {
+        const rate = this.rateFor(currency, config.rates || [], options.pricingDate || new Date());
+        if (!rate) {
+            const error = new Error(`No ${currency} exchange rate effective on ${new Date(options.pricingDate || new Date()).toISOString().substring(0, 10)}`);
+            error.code = 'EXCHANGE_RATE_MISSING';
+            throw error;
+        }
+
+        const components = this.resolveComponents(product, config.rules || [], options);
+        const customsValue = price * rate.rate;
+        const freight = customsValue * components.freight_percent.value / 100;
+        const duty = customsValue * components.duty_percent.value / 100;
+        const clearing = customsValue * components.clearing_percent.value / 100;
+        const clearingFee = components.clearing_fee.value;
+        const landedCost = customsValue + freight + duty + clearing + clearingFee;
+        const round = value => Math.round(value * 100) / 100;
+
+        return {
+            landedCost: round(landedCost),
+            exchangeRate: rate.rate,
+            breakdown: {
+                sourceCurrency: currency,
+                sourcePrice: price,
+                exchangeRate: rate.rate,
+                rateEffectiveFrom: rate.effectiveFrom,
+                customsValue: round(customsValue),
+                freightPercent: components.freight_percent.value,
+                freight: round(freight),
+                dutyPercent: components.duty_percent.value,
+                duty: round(duty),
+                clearingPercent: components.clearing_percent.value,
+                clearing: round(clearing),
+                clearingFee: round(clearingFee),
+                landedCost: round(landedCost),
+                ruleIds: {
+                    freight: components.freight_percent.ruleId,
+                    duty: components.duty_percent.ruleId,
+                    clearing: components.clearing_percent.ruleId,
+                    clearingFee: components.clearing_fee.ruleId
+                }
+            }
+        };
+    }
+}
+
+module.exports = LandedCostCalculator;
@@ -1,6 +1,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const CsvParser = require('./csv-parser');
+const PdfTextExtractor = require('./pdf-text-extractor');
 
 /**
  * Intelligent Layout Detector for Audico Pricelist Processing
@@ -11,6 +13,8 @@ class LayoutDetector {
         this.openai = options.openai;
         this.anthropic = options.anthropic;
         this.confidenceThreshold = options.confidenceThreshold || 0.7;
+        this.csvParser = options.csvParser || new CsvParser();
+        this.pdfTextExtractor = options.pdfTextExtractor || new PdfTextExtractor();
 
         // Known layout patterns learned from processing
         this.knownPatterns = new Map();
@@ -23,7 +27,7 @@ class LayoutDetector {
     /**
      * Main layout analysis entry point
      */
-    async analyzeLayout(fileBuffer, filename) {
+    async analyzeLayout(fileBuffer, filename, options = {}) {
         try {
             console.log(`🔍 Analyzing layout for: ${filename}`);
 
@@ -31,9 +35,11 @@ class LayoutDetector {
             let layoutInfo;
 
             if (fileType === 'pdf') {
-                layoutInfo = await this.analyzePDFLayout(fileBuffer);
+                layoutInfo = await this.analyzePDFLayout(fileBuffer, options);
             } else if (fileType === 'excel') {
                 layoutInfo = await this.analyzeExcelLayout(fileBuffer);
+            } else if (fileType === 'csv') {
+                layoutInfo = await this.analyzeCSVLayout(fileBuffer);
             } else {
                 throw new Error(`Unsupported file type: ${fileType}`);
             }
@@ -64,11 +70,13 @@ class LayoutDetector {
     /**
      * Analyze PDF layout structure
      */
-    async analyzePDFLayout(fileBuffer) {
+    async analyzePDFLayout(fileBuffer, options = {}) {
         const pdfParse = require('pdf-parse');
+        const ocrResult = options.ocrResult || null;
 
         try {
-            const pdfData = await pdfParse(fileBuffer);
+            // Scanned PDFs are analysed on their OCR text instead of the (empty) text layer
+            const pdfData = ocrResult && ocrResult.applied ? ocrResult : await pdfParse(fileBuffer);
             const text = pdfData.text;
             const lines = text.split('\n').filter(line => line.trim().length > 0);
 
@@ -84,6 +92,14 @@ class LayoutDetector {
                 consistentFormatting: this.analyzeFormattingConsistency(lines)
             };
 
+            // Text positions beat guessing columns from line lengths (not available for OCR text)
+            if (!(ocrResult && ocrResult.applied)) {
+                const positionalText = options.positionalText || await this.extractPositionalText(fileBuffer);
+                if (positionalText) {
+                    this.applyPositionalAnalysis(analysis, this.pdfTextExtractor.summarize(positionalText));
+                }
+            }
+
             // Classify layout type
             const layoutType = this.classifyPDFLayout(analysis);
             const confidence = this.calculateLayoutConfidence(analysis, layoutType);
@@ -97,7 +113,9 @@ class LayoutDetector {
                 metadata: {
                     pages: pdfData.numpages,
                     fileSize: fileBuffer.length,
-                    textDensity: text.length / pdfData.numpages
+                    textDensity: text.length / pdfData.numpages,
+                    ocrApplied: !!(ocrResult && ocrResult.applied),
+                    ocrPages: ocrResult ? ocrResult.ocrPageCount : 0
                 }
             };
 
@@ -106,6 +124,45 @@ class LayoutDetector {
         }
     }
 
+    /**
+     * Extract coordinate-aware text, returning null if the PDF cannot be read that way
+     */
+    async extractPositionalText(fileBuffer) {
+        try {
+            return await this.pdfTextExtractor.extract(fileBuffer);
+        } catch (error) {
+            console.warn(`⚠️ Positional text extraction failed: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Override text-based column guesses with evidence from text positions
+     */
+    applyPositionalAnalysis(analysis, positional) {
+        analysis.positionalLayout = positional;
+
+        if (positional.tabularPages > 0 && positional.tabularRowRatio >= 0.6) {
+            analysis.hasTabularData = {
+                detected: true,
+                confidence: Math.max(analysis.hasTabularData.confidence, Math.min(1.0, positional.tabularRowRatio + 0.1)),
+                indicators: analysis.hasTabularData.indicators,
+                columns: positional.maxColumns,
+                source: 'coordinates'
+            };
+        }
+
+        if (positional.multiRegionPages > 0) {
+            analysis.hasMultiColumn = {
+                ...analysis.hasMultiColumn,
+                detected: true,
+                confidence: Math.max(analysis.hasMultiColumn.confidence, 0.9),
+                regionPages: positional.multiRegionPages,
+                source: 'coordinates'
+            };
+        }
+    }
+
     /**
      * Analyze Excel layout structure
      */
@@ -124,19 +181,7 @@ class LayoutDetector {
                 const worksheet = workbook.Sheets[sheetName];
                 const data = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
 
-                const sheetAnalysis = {
-                    name: sheetName,
-                    rowCount: data.length,
-                    columnCount: Math.max(...data.map(row => row.length)),
-                    hasHeaders: this.detectExcelHeaders(data),
-                    dataStructure: this.analyzeExcelDataStructure(data),
-                    priceColumns: this.detectExcelPriceColumns(data),
-                    productColumns: this.detectExcelProductColumns(data),
-                    emptyRatio: this.calculateEmptyRatio(data),
-                    consistencyScore: this.calculateExcelConsistency(data)
-                };
-
-                analysis.sheets.push(sheetAnalysis);
+                analysis.sheets.push(this.analyzeSheetData(sheetName, data));
             }
 
             // Classify overall Excel layout
@@ -160,6 +205,56 @@ class LayoutDetector {
         }
     }
 
+    /**
+     * Analyze CSV layout structure (treated as a single-sheet workbook)
+     */
+    async analyzeCSVLayout(fileBuffer) {
+        try {
+            const csv = this.csvParser.parse(fileBuffer);
+            const analysis = {
+                sheetCount: 1,
+                sheets: [this.analyzeSheetData('CSV', csv.rows)]
+            };
+
+            const layoutType = this.classifyExcelLayout(analysis);
+            const confidence = this.calculateExcelConfidence(analysis, layoutType);
+
+            return {
+                type: layoutType.type,
+                subtype: layoutType.subtype,
+                confidence: confidence,
+                characteristics: analysis,
+                processingHints: this.generateExcelProcessingHints(layoutType, analysis),
+                metadata: {
+                    sourceFormat: 'csv',
+                    encoding: csv.encoding,
+                    delimiter: csv.delimiter,
+                    primarySheet: this.identifyPrimarySheet(analysis.sheets)
+                }
+            };
+
+        } catch (error) {
+            throw new Error(`CSV layout analysis failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Analyze a single sheet of row data
+     */
+    analyzeSheetData(sheetName, data) {
+        return {
+            name: sheetName,
+            rowCount: data.length,
+            columnCount: Math.max(0, ...data.map(row => row.length)),
+            hasHeaders: this.detectExcelHeaders(data),
+            dataStructure: this.analyzeExcelDataStructure(data),
+            priceColumns: this.detectExcelPriceColumns(data),
+            productColumns: this.detectExcelProductColumns(data),
+            emptyRatio: this.calculateEmptyRatio(data),
+            consistencyScore: this.calculateExcelConsistency(data)
+        };
+    }
+
     /**
      * Detect tabular data patterns in PDF
      */
@@ -659,6 +754,7 @@ class LayoutDetector {
         const ext = path.extname(filename).toLowerCase();
         if (ext === '.pdf') return 'pdf';
         if (ext === '.xlsx' || ext === '.xls') return 'excel';
+        if (ext === '.csv') return 'csv';
         return 'unknown';
     }
 
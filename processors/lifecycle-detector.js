@@ -0,0 +1,103 @@
+/**
+ * Lifecycle Detector for Audico Pricelist Processing
+ * Spots products a list marks as on their way out: "EOL", "Discontinued", "While stocks last",
+ * struck-through rows and sheets named like "Discontinued" or "EOL Stock"
+ */
+class LifecycleDetector {
+    constructor(options = {}) {
+        // Markers written beside a product; a product marked both ways counts as discontinued
+        this.markers = [
+            { status: 'discontinued', pattern: /\b(?:discontinued|obsolete|no\s+longer\s+(?:available|stocked|supplied))\b/i },
+            { status: 'end_of_life', pattern: /\b(?:eol|end[\s-]+of[\s-]+life|while\s+stocks?\s+lasts?|last\s+stock|final\s+stock|run[\s-]?out\s+stock)\b/i }
+        ];
+
+        // Sheet names, matched the way shouldSkipSheet matches its patterns
+        this.sheetPatterns = options.sheetPatterns || [
+            { status: 'discontinued', names: ['discontinued', 'obsolete', 'deleted lines'] },
+            { status: 'end_of_life', names: ['eol', 'end of life', 'run out', 'runout', 'last stock'] }
+        ];
+
+        // Worst first
+        this.statusRank = { discontinued: 3, likely_discontinued: 2, end_of_life: 1, active: 0 };
+    }
+
+    /**
+     * Lifecycle a marker in text gives, with where the marker starts; null when the text has none
+     */
+    fromText(text) {
+        const value = String(text || '');
+
+        for (const { status, pattern } of this.markers) {
+            const match = value.match(pattern);
+            if (match) {
+                return { lifecycleStatus: status, lifecycleReason: `Marked "${match[0]}"`, start: match.index };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Lifecycle of every product on a sheet named like "Discontinued" or "EOL", else null
+     */
+    fromSheetName(sheetName) {
+        const lowerName = String(sheetName || '').toLowerCase();
+
+        for (const { status, names } of this.sheetPatterns) {
+            // Whole words, so "eol" does not match inside another word
+            if (names.some(name => new RegExp(`\\b${name}\\b`).test(lowerName))) {
+                return { lifecycleStatus: status, lifecycleReason: `Listed on sheet "${sheetName}"` };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Lifecycle of a spreadsheet row from its cells, whether it was struck through and its sheet;
+     * the worst one found wins. Null when nothing marks the row
+     */
+    fromRow(row, context = {}) {
+        const found = [];
+
+        for (const cell of row || []) {
+            if (typeof cell !== 'string') continue;
+
+            const marked = this.fromText(cell);
+            if (marked) {
+                found.push({ lifecycleStatus: marked.lifecycleStatus, lifecycleReason: marked.lifecycleReason });
+            }
+        }
+
+        if (context.struck) {
+            found.push({ lifecycleStatus: 'discontinued', lifecycleReason: 'Struck through on the list' });
+        }
+
+        const sheet = this.fromSheetName(context.sheetName);
+        if (sheet) found.push(sheet);
+
+        return this.worst(found);
+    }
+
+    worst(lifecycles) {
+        return lifecycles.reduce((worst, lifecycle) =>
+            !worst || this.statusRank[lifecycle.lifecycleStatus] > this.statusRank[worst.lifecycleStatus] ? lifecycle : worst,
+        null);
+    }
+
+    /**
+     * Product name without its lifecycle marker: "AVR-X1800 (EOL)" becomes "AVR-X1800"; a name that
+     * is nothing but a marker is kept
+     */
+    withoutMarkers(name) {
+        const text = String(name || '');
+        const cleaned = this.markers.reduce((result, { pattern }) =>
+            result.replace(new RegExp(`[\\s(\\[*–-]*(?:${pattern.source})[\\s)\\]*–-]*`, 'gi'), ' '), text)
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        return cleaned.length > 2 ? cleaned : text.trim();
+    }
+}
+
+module.exports = LifecycleDetector;
@@ -0,0 +1,262 @@
+
+const tesseract = require('tesseract.js');
+
+// Same pdf.js build that pdf-parse uses, so page text matches the normal extraction path
+const PDFJS = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+
+/**
+ * OCR Processor for Audico Pricelist Processing
+ * Finds image-only pages in scanned PDFs and recognises their text locally with Tesseract
+ */
+class OcrProcessor {
+    constructor(options = {}) {
+        this.enabled = options.enabled !== undefined ? options.enabled : process.env.ENABLE_OCR === 'true';
+
+        this.lang = options.lang || process.env.TESSERACT_LANG || 'eng';
+        this.oem = parseInt(options.oem || process.env.TESSERACT_OEM || '1');
+        this.psm = String(options.psm || process.env.TESSERACT_PSM || '6');
+        this.langPath = options.langPath || process.env.TESSERACT_LANG_PATH;
+
+        // A page with less extractable text than this is treated as a scanned image
+        this.minTextPerPage = options.minTextPerPage || parseInt(process.env.OCR_MIN_TEXT_PER_PAGE || '50');
+        this.maxPages = options.maxPages || parseInt(process.env.OCR_MAX_PAGES || '50');
+
+        this.worker = null;
+
+        this.stats = {
+            documentsScanned: 0,
+            pagesRecognised: 0,
+            averageConfidence: 0
+        };
+    }
+
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * Start the Tesseract worker (reused across documents)
+     */
+    async initialize() {
+        if (this.worker) return this.worker;
+
+        console.log(`🔍 Initializing Tesseract OCR (lang=${this.lang}, oem=${this.oem}, psm=${this.psm})`);
+
+        const workerOptions = {};
+        if (this.langPath) {
+            workerOptions.langPath = this.langPath;
+        }
+
+        this.worker = await tesseract.createWorker(this.lang, this.oem, workerOptions);
+        await this.worker.setParameters({
+            tessedit_pageseg_mode: this.psm,
+            preserve_interword_spaces: '1'
+        });
+
+        return this.worker;
+    }
+
+    /**
+     * Extract PDF text page by page, replacing image-only pages with OCR output
+     */
+    async processPDF(fileBuffer) {
+        PDFJS.disableWorker = true;
+
+        // Decode JPEG scans in pdf.js itself so we get raw pixels back
+        const doc = await PDFJS.getDocument({
+            data: new Uint8Array(fileBuffer),
+            nativeImageDecoderSupport: 'none'
+        });
+
+        const pages = [];
+
+        try {
+            for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+                const page = await doc.getPage(pageNumber);
+                const text = await this.getPageText(page);
+
+                const pageResult = {
+                    pageNumber: pageNumber,
+                    text: text,
+                    ocr: false,
+                    confidence: null
+                };
+
+                const ocrPageCount = pages.filter(p => p.ocr).length;
+
+                if (text.replace(/\s/g, '').length < this.minTextPerPage && ocrPageCount < this.maxPages) {
+                    const images = await this.extractPageImages(page);
+
+                    if (images.length > 0) {
+                        const recognised = await this.recognisePage(images);
+                        console.log(`🔍 OCR page ${pageNumber}: ${recognised.text.length} chars (confidence: ${recognised.confidence.toFixed(0)})`);
+
+                        pageResult.text = recognised.text;
+                        pageResult.ocr = true;
+                        pageResult.confidence = recognised.confidence;
+                    }
+                }
+
+                pages.push(pageResult);
+            }
+        } finally {
+            doc.destroy();
+        }
+
+        const ocrPages = pages.filter(page => page.ocr);
+        const averageConfidence = ocrPages.length > 0 ?
+            ocrPages.reduce((sum, page) => sum + page.confidence, 0) / ocrPages.length : null;
+
+        this.updateStats(ocrPages);
+
+        return {
+            applied: ocrPages.length > 0,
+            text: pages.map(page => page.text).join('\n'),
+            numpages: doc.numPages,
+            pages: pages,
+            ocrPageCount: ocrPages.length,
+            averageConfidence: averageConfidence
+        };
+    }
+
+    /**
+     * Join page text items into lines the same way pdf-parse does
+     */
+    async getPageText(page) {
+        const textContent = await page.getTextContent({
+            normalizeWhitespace: false,
+            disableCombineTextItems: false
+        });
+
+        let lastY;
+        let text = '';
+
+        for (const item of textContent.items) {
+            if (lastY == item.transform[5] || !lastY) {
+                text += item.str;
+            } else {
+                text += '\n' + item.str;
+            }
+            lastY = item.transform[5];
+        }
+
+        return text;
+    }
+
+    /**
+     * Rasterise the images painted on a page into BMP buffers
+     */
+    async extractPageImages(page) {
+        const operatorList = await page.getOperatorList();
+        const images = [];
+
+        for (let i = 0; i < operatorList.fnArray.length; i++) {
+            const fn = operatorList.fnArray[i];
+            let imgData = null;
+
+            if (fn === PDFJS.OPS.paintImageXObject) {
+                imgData = page.objs.get(operatorList.argsArray[i][0]);
+            } else if (fn === PDFJS.OPS.paintInlineImageXObject) {
+                imgData = operatorList.argsArray[i][0];
+            }
+
+            // Skip logos and icons; scanned pages are large images
+            if (imgData && imgData.data && imgData.width >= 300 && imgData.height >= 300) {
+                images.push(this.encodeBMP(imgData));
+            }
+        }
+
+        return images;
+    }
+
+    /**
+     * Recognise all images on a page and merge the results
+     */
+    async recognisePage(images) {
+        const worker = await this.initialize();
+        const texts = [];
+        let confidenceTotal = 0;
+
+        for (const image of images) {
+            const { data } = await worker.recognize(image);
+            texts.push(data.text);
+            confidenceTotal += data.confidence;
+        }
+
+        return {
+            text: texts.join('\n').replace(/\n{2,}/g, '\n').trim(),
+            confidence: confidenceTotal / images.length
+        };
+    }
+
+    /**
+     * Encode pdf.js image data (1bpp grey, RGB or RGBA) as a 24-bit BMP
+     */
+    encodeBMP(imgData) {
+        const { width, height, data, kind } = imgData;
+        const rowSize = Math.ceil(width * 3 / 4) * 4;
+        const pixelBytes = rowSize * height;
+        const buffer = Buffer.alloc(54 + pixelBytes);
+
+        buffer.write('BM', 0);
+        buffer.writeUInt32LE(54 + pixelBytes, 2);
+        buffer.writeUInt32LE(54, 10);
+        buffer.writeUInt32LE(40, 14);
+        buffer.writeInt32LE(width, 18);
+        buffer.writeInt32LE(-height, 22); // Top-down rows
+        buffer.writeUInt16LE(1, 26);
+        buffer.writeUInt16LE(24, 28);
+        buffer.writeUInt32LE(pixelBytes, 34);
+
+        const bytesPerPixel = kind === 3 ? 4 : 3;
+        const bitRowSize = Math.ceil(width / 8);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let r, g, b;
+
+                if (kind === 1) {
+                    const bit = (data[y * bitRowSize + (x >> 3)] >> (7 - (x & 7))) & 1;
+                    r = g = b = bit ? 255 : 0;
+                } else {
+                    const offset = (y * width + x) * bytesPerPixel;
+                    r = data[offset];
+                    g = data[offset + 1];
+                    b = data[offset + 2];
+                }
+
+                const target = 54 + y * rowSize + x * 3;
+                buffer[target] = b;
+                buffer[target + 1] = g;
+                buffer[target + 2] = r;
+            }
+        }
+
+        return buffer;
+    }
+
+    updateStats(ocrPages) {
+        if (ocrPages.length === 0) return;
+
+        const previousPages = this.stats.pagesRecognised;
+        const pageConfidence = ocrPages.reduce((sum, page) => sum + page.confidence, 0);
+
+        this.stats.documentsScanned++;
+        this.stats.pagesRecognised += ocrPages.length;
+        this.stats.averageConfidence =
+            (this.stats.averageConfidence * previousPages + pageConfidence) / this.stats.pagesRecognised;
+    }
+
+    getStats() {
+        return { ...this.stats, enabled: this.enabled };
+    }
+
+    async terminate() {
+        if (this.worker) {
+            await this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
+
+module.exports = OcrProcessor;
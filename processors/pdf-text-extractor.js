@@ -0,0 +1,328 @@
+
+// Same pdf.js build that pdf-parse uses, so text runs match the normal extraction path
+const PDFJS = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+const PriceParser = require('./price-parser');
+
+/**
+ * Coordinate-aware PDF Text Extractor for Audico Pricelist Processing
+ * Keeps position, font size and page of every text run and rebuilds table columns from them
+ */
+class PdfTextExtractor {
+    constructor(options = {}) {
+        // Runs whose baselines differ by less than this fraction of the font size share a row
+        this.rowTolerance = options.rowTolerance || 0.5;
+
+        // Horizontal gaps (in PDF points) that separate columns and side-by-side page regions
+        this.minColumnGap = options.minColumnGap || 6;
+        this.minGutterWidth = options.minGutterWidth || 18;
+
+        // Rows with at least two runs needed before a page is treated as tabular
+        this.minTableRows = options.minTableRows || 3;
+
+        this.priceParser = options.priceParser || new PriceParser();
+    }
+
+    /**
+     * Extract positioned text runs, rows, columns and regions for every page
+     */
+    async extract(fileBuffer) {
+        PDFJS.disableWorker = true;
+
+        const doc = await PDFJS.getDocument({ data: new Uint8Array(fileBuffer) });
+        const pages = [];
+
+        try {
+            for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+                const page = await doc.getPage(pageNumber);
+                const viewport = page.getViewport(1);
+                const textContent = await page.getTextContent({
+                    normalizeWhitespace: false,
+                    disableCombineTextItems: false
+                });
+
+                const runs = this.buildRuns(textContent.items, pageNumber, viewport.height);
+                const rows = this.groupIntoRows(runs);
+                const columns = this.detectColumns(rows, viewport.width);
+
+                for (const row of rows) {
+                    row.cells = this.assignCells(row, columns);
+                }
+
+                pages.push({
+                    pageNumber: pageNumber,
+                    width: viewport.width,
+                    height: viewport.height,
+                    runs: runs,
+                    rows: rows,
+                    columns: columns,
+                    regions: this.detectRegions(rows, columns)
+                });
+            }
+        } finally {
+            doc.destroy();
+        }
+
+        return {
+            numpages: doc.numPages,
+            pages: pages,
+            runCount: pages.reduce((sum, page) => sum + page.runs.length, 0)
+        };
+    }
+
+    /**
+     * Convert pdf.js text items into runs with top-left based coordinates
+     */
+    buildRuns(items, pageNumber, pageHeight) {
+        const runs = [];
+
+        for (const item of items) {
+            if (!item.str || item.str.trim() === '') continue;
+
+            const [a, b, c, d, e, f] = item.transform;
+            const fontSize = Math.hypot(c, d) || Math.hypot(a, b);
+            const charWidth = item.width / item.str.length;
+
+            // Generators often put a whole table row in one string padded with spaces
+            const pattern = /\S+(?:\s\S+)*/g;
+            let match;
+
+            while ((match = pattern.exec(item.str)) !== null) {
+                runs.push({
+                    page: pageNumber,
+                    x: e + match.index * charWidth,
+                    y: pageHeight - f,
+                    width: match[0].length * charWidth,
+                    fontSize: Math.round(fontSize * 100) / 100,
+                    fontName: item.fontName,
+                    text: match[0]
+                });
+            }
+        }
+
+        return runs;
+    }
+
+    /**
+     * Group runs that share a baseline into rows, ordered top to bottom
+     */
+    groupIntoRows(runs) {
+        const sorted = [...runs].sort((a, b) => a.y - b.y || a.x - b.x);
+        const rows = [];
+        let current = null;
+
+        for (const run of sorted) {
+            const tolerance = Math.max(run.fontSize, current ? current.fontSize : 0) * this.rowTolerance;
+
+            if (current && Math.abs(run.y - current.y) <= tolerance) {
+                current.runs.push(run);
+                current.fontSize = Math.max(current.fontSize, run.fontSize);
+            } else {
+                current = { page: run.page, y: run.y, fontSize: run.fontSize, runs: [run] };
+                rows.push(current);
+            }
+        }
+
+        for (const row of rows) {
+            row.runs.sort((a, b) => a.x - b.x);
+            row.text = row.runs.map(run => run.text).join(' ');
+        }
+
+        return rows;
+    }
+
+    /**
+     * Find column boundaries from horizontal occupancy of multi-run rows
+     */
+    detectColumns(rows, pageWidth) {
+        const tabularRows = rows.filter(row => row.runs.length >= 2);
+        if (tabularRows.length < this.minTableRows) return [];
+
+        const width = Math.ceil(pageWidth) + 1;
+        const occupancy = new Array(width).fill(0);
+
+        for (const row of tabularRows) {
+            const covered = new Set();
+            for (const run of row.runs) {
+                const start = Math.max(0, Math.floor(run.x));
+                const end = Math.min(width - 1, Math.ceil(run.x + run.width));
+                for (let x = start; x <= end; x++) covered.add(x);
+            }
+            for (const x of covered) occupancy[x]++;
+        }
+
+        // Tolerate the odd long name spilling into a gap
+        const threshold = Math.max(1, tabularRows.length * 0.1);
+        const columns = [];
+        let start = null;
+
+        for (let x = 0; x <= width; x++) {
+            const occupied = x < width && occupancy[x] > threshold;
+
+            if (occupied && start === null) {
+                start = x;
+            } else if (!occupied && start !== null) {
+                const previous = columns[columns.length - 1];
+                if (previous && start - previous.right < this.minColumnGap) {
+                    previous.right = x - 1;
+                } else {
+                    columns.push({ left: start, right: x - 1 });
+                }
+                start = null;
+            }
+        }
+
+        return columns.length >= 2 ? columns.map((column, index) => ({ ...column, index })) : [];
+    }
+
+    /**
+     * Place each run of a row into the column under its centre
+     */
+    assignCells(row, columns) {
+        if (columns.length === 0) return [row.text];
+
+        const cells = new Array(columns.length).fill('');
+
+        for (const run of row.runs) {
+            const centre = run.x + run.width / 2;
+            let target = columns.findIndex(column => centre >= column.left && centre <= column.right);
+
+            if (target === -1) {
+                // Fall back to the nearest column edge
+                let bestDistance = Infinity;
+                columns.forEach((column, index) => {
+                    const distance = Math.min(Math.abs(centre - column.left), Math.abs(centre - column.right));
+                    if (distance < bestDistance) {
+                        bestDistance = distance;
+                        target = index;
+                    }
+                });
+            }
+
+            cells[target] = cells[target] ? `${cells[target]} ${run.text}` : run.text;
+        }
+
+        return cells;
+    }
+
+    /**
+     * Split columns into side-by-side regions when a page repeats the same table twice
+     */
+    detectRegions(rows, columns) {
+        if (columns.length === 0) return [];
+
+        const kinds = columns.map((column, index) => this.classifyColumn(rows, index));
+        const regions = [];
+        let current = [0];
+
+        for (let i = 1; i < columns.length; i++) {
+            const gap = columns[i].left - columns[i - 1].right;
+            const currentKinds = current.map(index => kinds[index]);
+            const remainingKinds = kinds.slice(i);
+
+            // A gutter only splits the page when both sides are complete product tables
+            const isGutter = gap >= this.minGutterWidth &&
+                currentKinds.includes('price') && currentKinds.includes('text') &&
+                remainingKinds.includes('price') && remainingKinds.includes('text') &&
+                kinds[i] === 'text';
+
+            if (isGutter) {
+                regions.push(current);
+                current = [i];
+            } else {
+                current.push(i);
+            }
+        }
+
+        regions.push(current);
+        return regions;
+    }
+
+    /**
+     * Classify a column as price, text or empty from its cells
+     */
+    classifyColumn(rows, index) {
+        const values = rows
+            .map(row => (row.cells[index] || '').trim())
+            .filter(value => value !== '');
+
+        if (values.length === 0) return 'empty';
+
+        const priceCount = values.filter(value => this.priceParser.isPrice(value)).length;
+        return priceCount / values.length >= 0.5 ? 'price' : 'text';
+    }
+
+    /**
+     * Build sheet-like tables (one per page region) for column-based price extraction
+     */
+    getTables(extraction) {
+        const tables = [];
+
+        for (const page of extraction.pages) {
+            page.regions.forEach((region, regionIndex) => {
+                const data = page.rows
+                    .map(row => region.map(index => row.cells[index] || ''))
+                    .filter(cells => cells.some(cell => cell !== ''));
+
+                if (data.length < this.minTableRows) return;
+
+                tables.push({
+                    name: page.regions.length > 1 ? `Page ${page.pageNumber} (column ${regionIndex + 1})` : `Page ${page.pageNumber}`,
+                    page: page.pageNumber,
+                    region: regionIndex,
+                    data: data,
+                    columnBounds: region.map(index => page.columns[index])
+                });
+            });
+        }
+
+        return tables;
+    }
+
+    /**
+     * Rebuild plain text in reading order, one line per row and region, cells tab separated
+     */
+    toText(extraction) {
+        return extraction.pages.flatMap(page => this.pageLines(page)).join('\n');
+    }
+
+    /**
+     * Lines of one page as toText writes them
+     */
+    pageLines(page) {
+        if (page.regions.length === 0) {
+            return page.rows.map(row => row.text);
+        }
+
+        const lines = [];
+
+        for (const region of page.regions) {
+            for (const row of page.rows) {
+                const cells = region.map(index => row.cells[index] || '').filter(cell => cell !== '');
+                if (cells.length > 0) {
+                    lines.push(cells.join('\t'));
+                }
+            }
+        }
+
+        return lines;
+    }
+
+    /**
+     * Summarise positional structure for layout classification
+     */
+    summarize(extraction) {
+        const rows = extraction.pages.flatMap(page => page.rows);
+        const tabularPages = extraction.pages.filter(page => page.columns.length >= 2);
+
+        return {
+            totalRows: rows.length,
+            tabularRowRatio: rows.length > 0 ? rows.filter(row => row.runs.length >= 2).length / rows.length : 0,
+            tabularPages: tabularPages.length,
+            maxColumns: Math.max(0, ...extraction.pages.map(page => page.columns.length)),
+            multiRegionPages: extraction.pages.filter(page => page.regions.length > 1).length,
+            fontSizes: [...new Set(extraction.pages.flatMap(page => page.runs.map(run => run.fontSize)))].sort((a, b) => a - b)
+        };
+    }
+}
+
+module.exports = PdfTextExtractor;
@@ -0,0 +1,175 @@
+
+/**
+ * Price Change Anomaly Detector for Audico Pricelist Processing
+ * Compares extracted prices with the last known catalogue prices to catch misparsed
+ * decimals and thousand separators, implausible jumps and moves against the rest of the list
+ */
+class PriceAnomalyDetector {
+    constructor(options = {}) {
+        // Absolute percentage change that earns a warning, and one that holds the product back
+        this.warnPercent = options.warnPercent || parseFloat(process.env.PRICE_CHANGE_WARN_PERCENT || '20');
+        this.issuePercent = options.issuePercent || parseFloat(process.env.PRICE_CHANGE_ISSUE_PERCENT || '50');
+
+        // The list only has a direction once its median move is at least this big
+        this.trendMinPercent = options.trendMinPercent || parseFloat(process.env.PRICE_TREND_MIN_PERCENT || '2');
+        this.minTrendSample = options.minTrendSample || 5;
+
+        // How close new/old must sit to a power of ten to count as a scale error
+        this.scaleTolerance = options.scaleTolerance || 0.1;
+    }
+
+    /**
+     * Check every product with a previous price; previousPrices is aligned with products
+     */
+    analyze(products, previousPrices = []) {
+        const changes = [];
+
+        for (let i = 0; i < products.length; i++) {
+            const oldPrice = parseFloat(previousPrices[i]);
+            const newPrice = parseFloat(products[i].price);
+
+            if (!(oldPrice > 0) || !(newPrice > 0)) continue;
+
+            changes.push({
+                index: i,
+                oldPrice: oldPrice,
+                newPrice: newPrice,
+                changePercent: Math.round((newPrice - oldPrice) / oldPrice * 10000) / 100,
+                scaleError: this.scaleError(oldPrice, newPrice)
+            });
+        }
+
+        const trend = this.listTrend(changes);
+        const findings = new Map();
+
+        for (const change of changes) {
+            const finding = this.checkChange(change, trend);
+            if (finding.issues.length > 0 || finding.warnings.length > 0) {
+                findings.set(change.index, finding);
+            }
+        }
+
+        return {
+            findings: findings,
+            summary: {
+                compared: changes.length,
+                trend: trend.direction,
+                medianChangePercent: trend.medianChangePercent,
+                flagged: findings.size
+            }
+        };
+    }
+
+    /**
+     * A new price that is the old one times or divided by a power of ten
+     */
+    scaleError(oldPrice, newPrice) {
+        const ratio = newPrice / oldPrice;
+
+        for (const power of [1, 2, 3]) {
+            const factor = Math.pow(10, power);
+
+            for (const [scale, direction] of [[ratio / factor, 'up'], [ratio * factor, 'down']]) {
+                if (Math.abs(scale - 1) <= this.scaleTolerance) {
+                    return {
+                        // Three places is a thousand separator read as a decimal point (or the reverse)
+                        type: power === 3 ? 'thousand_separator_error' : 'decimal_shift',
+                        factor: factor,
+                        direction: direction
+                    };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Median move of the list, ignoring scale errors
+     */
+    listTrend(changes) {
+        const percents = changes
+            .filter(change => !change.scaleError)
+            .map(change => change.changePercent)
+            .sort((a, b) => a - b);
+
+        if (percents.length < this.minTrendSample) {
+            return { direction: null, medianChangePercent: null };
+        }
+
+        const middle = Math.floor(percents.length / 2);
+        const median = percents.length % 2 === 0
+            ? (percents[middle - 1] + percents[middle]) / 2
+            : percents[middle];
+
+        let direction = 'flat';
+        if (median >= this.trendMinPercent) direction = 'up';
+        if (median <= -this.trendMinPercent) direction = 'down';
+
+        return { direction, medianChangePercent: Math.round(median * 100) / 100 };
+    }
+
+    /**
+     * Issues and warnings for one product's price change
+     */
+    checkChange(change, trend) {
+        const issues = [];
+        const warnings = [];
+        const moved = `R${change.oldPrice} to R${change.newPrice} (${change.changePercent > 0 ? '+' : ''}${change.changePercent}%)`;
+        const detail = { oldPrice: change.oldPrice, newPrice: change.newPrice, changePercent: change.changePercent };
+
+        if (change.scaleError) {
+            const { type, factor, direction } = change.scaleError;
+            issues.push({
+                type: type,
+                field: 'price',
+                value: change.newPrice,
+                ...detail,
+                message: `Price moved from ${moved} - looks like a ${type === 'decimal_shift' ? 'misplaced decimal point' : 'misread thousand separator'} (${direction === 'up' ? 'x' : '/'}${factor})`,
+                severity: 'high'
+            });
+
+            return { issues, warnings };
+        }
+
+        const size = Math.abs(change.changePercent);
+
+        if (size >= this.issuePercent) {
+            issues.push({
+                type: 'price_change_extreme',
+                field: 'price',
+                value: change.newPrice,
+                ...detail,
+                message: `Price moved from ${moved}, beyond the ${this.issuePercent}% limit`,
+                severity: 'high'
+            });
+        } else if (size >= this.warnPercent) {
+            warnings.push({
+                type: 'price_change_large',
+                field: 'price',
+                value: change.newPrice,
+                ...detail,
+                message: `Price moved from ${moved}, beyond the ${this.warnPercent}% warning threshold`,
+                severity: 'medium'
+            });
+        }
+
+        const against = (trend.direction === 'up' && change.changePercent <= -this.trendMinPercent) ||
+            (trend.direction === 'down' && change.changePercent >= this.trendMinPercent);
+
+        if (against) {
+            warnings.push({
+                type: 'price_against_trend',
+                field: 'price',
+                value: change.newPrice,
+                ...detail,
+                message: `Price moved from ${moved} while the list moved ${trend.direction} (median ${trend.medianChangePercent}%)`,
+                severity: 'medium'
+            });
+        }
+
+        return { issues, warnings };
+    }
+}
+
+module.exports = PriceAnomalyDetector;
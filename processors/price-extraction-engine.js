@@ -1,6 +1,16 @@
 
 const fs = require('fs');
 const path = require('path');
+const SupplierParserRegistry = require('./supplier-parsers');
+const SkuExtractor = require('./sku-extractor');
+const DuplicateDetector = require('./duplicate-detector');
+const PricingEngine = require('./pricing-engine');
+const PriceParser = require('./price-parser');
+const PriceTierExtractor = require('./price-tier-extractor');
+const PromoPriceExtractor = require('./promo-price-extractor');
+const StockExtractor = require('./stock-extractor');
+const LifecycleDetector = require('./lifecycle-detector');
+const ProvenanceRecorder = require('./provenance-recorder');
 
 /**
  * Advanced Price Extraction Engine for Audico Quoting System
@@ -11,6 +21,19 @@ class PriceExtractionEngine {
         this.openai = options.openai;
         this.anthropic = options.anthropic;
         this.confidenceThreshold = options.confidenceThreshold || 0.7;
+        this.parserRegistry = options.parserRegistry || new SupplierParserRegistry();
+        this.skuExtractor = options.skuExtractor || new SkuExtractor();
+        this.duplicateDetector = options.duplicateDetector || new DuplicateDetector();
+        this.pricingEngine = options.pricingEngine || new PricingEngine({ supabase: options.supabase, logger: options.logger });
+        this.priceParser = options.priceParser || new PriceParser();
+        this.tierExtractor = options.tierExtractor || new PriceTierExtractor({ priceParser: this.priceParser });
+        this.promoExtractor = options.promoExtractor || new PromoPriceExtractor({ priceParser: this.priceParser });
+        this.stockExtractor = options.stockExtractor || new StockExtractor({ dates: this.promoExtractor });
+        this.lifecycleDetector = options.lifecycleDetector || new LifecycleDetector();
+        this.provenanceRecorder = options.provenanceRecorder || new ProvenanceRecorder();
+
+        // Upper bound on confidence kept by products read from OCR text
+        this.ocrConfidenceFactor = options.ocrConfidenceFactor || 0.75;
 
         // Price format patterns with priority scoring
         this.pricePatterns = this.initializePricePatterns();
@@ -26,7 +49,9 @@ class PriceExtractionEngine {
             'cost_price': 40,
             'wholesale_price': 30,
             'price': 20,
-            'amount': 10
+            'amount': 10,
+            // Promo and special prices are kept apart with their dates, never taken as the main price
+            'promo_price': 0
         };
 
         // Statistics tracking
@@ -47,9 +72,34 @@ class PriceExtractionEngine {
         try {
             console.log(`💰 Extracting products for supplier: ${supplier}`);
 
-            let products = [];
+            // Decimal comma or point is decided once per document, so "1.234" reads the same on every line
+            if (!options.numberFormat) {
+                options = {
+                    ...options,
+                    numberFormat: this.priceParser.detectFormat(rawData.type === 'excel'
+                        ? rawData.sheets.map(sheet => sheet.data)
+                        : rawData.lines || rawData.content)
+                };
+            }
+
+            // A footnote such as "Promo prices valid until 31 October" dates promos that carry no dates of their own
+            if (options.promoWindow === undefined) {
+                options = {
+                    ...options,
+                    promoWindow: this.promoExtractor.documentWindow(rawData.type === 'excel'
+                        ? rawData.sheets.flatMap(sheet => sheet.data.map(row => (row || []).join(' ')))
+                        : rawData.lines || String(rawData.content || '').split('\n'), options.pricingDate)
+                };
+            }
+
+            // Supplier-specific parser plugins take precedence over the generic strategies
+            let products = await this.extractWithParserPlugin(rawData, supplier, options);
 
-            if (rawData.type === 'pdf') {
+            if (products.length > 0) {
+                if (rawData.ocr) {
+                    this.flagOCRProducts(products, rawData.ocr);
+                }
+            } else if (rawData.type === 'pdf') {
                 products = await this.extractFromPDF(rawData, supplier, template, options);
             } else if (rawData.type === 'excel') {
                 products = await this.extractFromExcel(rawData, supplier, template, options);
@@ -57,13 +107,32 @@ class PriceExtractionEngine {
                 throw new Error(`Unsupported data type: ${rawData.type}`);
             }
 
-            // Apply pricing logic and categorization
-            products = await this.applyPricingLogic(products, options);
+            // Model codes from a SKU column, otherwise from the start of the product line
+            this.skuExtractor.assignSkus(products, (options.supplierConfig || {}).skuPatterns);
+
+            // The same product can come out of more than one line or column
+            const deduped = this.duplicateDetector.dedupe(products);
+            if (deduped.duplicates.length > 0) {
+                console.log(`🔁 Dropped ${deduped.duplicates.length} duplicate products`);
+                products = deduped.products;
+            }
+
+            // Where each product was read from, kept with it through review and import
+            for (const product of products) {
+                product.provenance = this.provenanceRecorder.record(product, {
+                    filename: options.filename,
+                    jobId: options.jobId,
+                    pageLines: rawData.pageLines
+                });
+            }
 
+            // Categorize first so category-scoped pricing rules can match, then price
             if (options.enableAI) {
                 products = await this.enhanceWithAI(products, supplier);
             }
 
+            products = await this.applyPricingLogic(products, { ...options, supplier });
+
             // Update statistics
             this.updateExtractionStats(products);
 
@@ -77,6 +146,36 @@ class PriceExtractionEngine {
         }
     }
 
+    /**
+     * Dispatch to a registered supplier parser plugin, if one handles this document
+     */
+    async extractWithParserPlugin(rawData, supplier, options) {
+        const isExcel = rawData.type === 'excel';
+
+        // Plugins take the same input shape the price agent gets from the document agent
+        const documentContent = isExcel
+            ? Object.fromEntries(rawData.sheets.map(sheet => [sheet.name, sheet.data]))
+            : rawData.content;
+        const documentStructure = isExcel
+            ? { sheetCount: rawData.sheets.length, sheetNames: rawData.sheets.map(sheet => sheet.name) }
+            : { pages: rawData.pages };
+        const supplierConfig = { ...(options.supplierConfig || {}), supplierName: supplier };
+
+        const parser = this.parserRegistry.findParser({ supplierConfig, documentContent, documentStructure });
+        if (!parser) return [];
+
+        console.log(`🎯 Using ${parser.name} parser for ${supplier}`);
+
+        const result = await this.parserRegistry.parse(parser, { documentContent, documentStructure, supplierConfig });
+
+        return result.products.map(product => ({
+            confidence: 0.9,
+            ...product,
+            supplier: product.supplier || supplier,
+            extractionMethod: `plugin:${parser.name}`
+        }));
+    }
+
     /**
      * Extract products from PDF data
      */
@@ -86,19 +185,127 @@ class PriceExtractionEngine {
 
         console.log(`📄 Processing ${lines.length} lines from PDF`);
 
+        // Tables rebuilt from text positions map each price to its own column header
+        if (rawData.positional && rawData.positional.tables.length > 0) {
+            products.push(...await this.extractFromPositionalTables(rawData.positional.tables, supplier, template, options));
+        }
+
         // Choose extraction strategy based on layout
-        switch (rawData.layoutInfo.type) {
-            case 'table':
-                return await this.extractFromTablePDF(lines, supplier, template, options);
-            case 'multi-column':
-                return await this.extractFromMultiColumnPDF(lines, supplier, template, options);
-            case 'catalog':
-                return await this.extractFromCatalogPDF(lines, supplier, template, options);
-            default:
-                return await this.extractFromGenericPDF(lines, supplier, template, options);
+        if (products.length === 0) {
+            switch (rawData.layoutInfo.type) {
+                case 'table':
+                    products.push(...await this.extractFromTablePDF(lines, supplier, template, options));
+                    break;
+                case 'multi-column':
+                    products.push(...await this.extractFromMultiColumnPDF(lines, supplier, template, options));
+                    break;
+                case 'catalog':
+                    products.push(...await this.extractFromCatalogPDF(lines, supplier, template, options));
+                    break;
+                default:
+                    products.push(...await this.extractFromGenericPDF(lines, supplier, template, options));
+            }
+        }
+
+        if (rawData.ocr) {
+            this.flagOCRProducts(products, rawData.ocr);
+        }
+
+        return products;
+    }
+
+    /**
+     * Extract from PDF tables reconstructed from text coordinates
+     */
+    async extractFromPositionalTables(tables, supplier, template, options) {
+        const products = [];
+        let lastHeaders = null;
+
+        console.log(`📐 Processing ${tables.length} positional tables from PDF`);
+
+        for (const table of tables) {
+            let data = table.data;
+            let headerInfo = this.analyzeExcelHeaders(data);
+
+            // Product rows can contain header words, but header rows never contain prices
+            const headerHasPrices = headerInfo.headerRow >= 0 &&
+                data[headerInfo.headerRow].some(cell => this.priceParser.isPrice(cell));
+
+            if (headerInfo.score >= 2 && !headerHasPrices) {
+                lastHeaders = headerInfo.headers;
+            } else if (lastHeaders && lastHeaders.length === data[0].length) {
+                // Continuation pages repeat the columns but not the header row
+                data = [lastHeaders, ...data];
+                headerInfo = { headerRow: 0, headers: lastHeaders, score: 2 };
+            } else {
+                headerInfo = { headerRow: -1, headers: [], score: 0 };
+            }
+
+            const tableProducts = await this.extractFromExcelSheet(
+                { name: table.name, data: data, headerInfo: headerInfo },
+                supplier,
+                template,
+                options
+            );
+
+            for (const product of tableProducts) {
+                product.extractionMethod = 'positional_pdf';
+                product.page = table.page;
+                product.rawLine = data[product.rowIndex].filter(cell => cell !== '').join('\t');
+            }
+
+            products.push(...tableProducts);
+        }
+
+        return products;
+    }
+
+    /**
+     * Flag products read from OCR pages and lower their confidence. A product is on an OCR page
+     * when one of its source lines is a whole line of that page; parts of lines are not enough,
+     * since a short OCR line ("R", "Model") turns up inside lines from the text layer
+     */
+    flagOCRProducts(products, ocr) {
+        const pages = ocr.pages.map(ocrPage => ({ ...ocrPage, lineSet: new Set(ocrPage.lines) }));
+
+        for (const product of products) {
+            const sourceLines = this.sourceLines(product);
+
+            let page = pages.find(ocrPage => sourceLines.some(line => ocrPage.lineSet.has(line)));
+
+            if (!page && ocr.allPages) {
+                page = { pageNumber: null, confidence: ocr.averageConfidence };
+            }
+
+            if (!page) continue;
+
+            product.ocr = true;
+            product.ocrPage = page.pageNumber;
+            product.ocrConfidence = page.confidence;
+            product.confidence = product.confidence * Math.min(this.ocrConfidenceFactor, page.confidence / 100);
         }
     }
 
+    /**
+     * Whole lines of extracted text a product was read from, trimmed like OCR page lines
+     */
+    sourceLines(product) {
+        let lines;
+
+        if (product.rawLine || product.sourceText) {
+            lines = [product.rawLine || product.sourceText];
+        } else if (Array.isArray(product.blockData)) {
+            lines = product.blockData;
+        } else if (product.columnData) {
+            // A reconstructed product starts at its name line
+            lines = [product.columnData.name];
+        } else {
+            lines = [product.name];
+        }
+
+        return lines.map(line => String(line || '').trim()).filter(line => line.length > 0);
+    }
+
     /**
      * Extract from table-style PDF
      */
@@ -110,7 +317,7 @@ class PriceExtractionEngine {
             if (line.length < 10) continue; // Skip short lines
 
             // Enhanced price detection with priority system
-            const priceAnalysis = this.analyzePricesInLine(line);
+            const priceAnalysis = this.analyzePricesInLine(line, options.numberFormat);
 
             if (priceAnalysis.prices.length > 0) {
                 // Select best price based on priority
@@ -130,11 +337,14 @@ class PriceExtractionEngine {
                             specifications: this.extractSpecifications(line),
                             category: 'uncategorized',
                             rawLine: line,
+                            sourceLine: i + 1, // Counts non-empty lines of the extracted text
                             extractionMethod: 'table_pdf',
-                            priceAnalysis: priceAnalysis
+                            priceAnalysis: priceAnalysis,
+                            priceSelectionReason: this.describePriceSelection(selectedPrice, priceAnalysis.prices)
                         };
 
-                        products.push(product);
+                        const priced = this.applyLinePromo(this.applyLineTiers(product, line, options.numberFormat), priceAnalysis, line, options);
+                        products.push(this.applyLineLifecycle(this.applyLineStock(priced, line, options), line));
                     }
                 }
             }
@@ -143,6 +353,113 @@ class PriceExtractionEngine {
         return products;
     }
 
+    /**
+     * Stock written on a table line ("SOH: 12", "Out of Stock", "ETA 15 Nov"); the name stops
+     * short of it when it was read up to a later price
+     */
+    applyLineStock(product, line, options = {}) {
+        const stock = this.stockExtractor.stockFromLine(line, options.pricingDate);
+        if (!stock) return product;
+
+        const nameStart = line.indexOf(product.name);
+        const name = nameStart >= 0 && stock.start > nameStart && stock.start < nameStart + product.name.length
+            ? this.extractProductName(line, stock.start)
+            : null;
+
+        return {
+            ...product,
+            name: name || product.name,
+            description: product.description === product.name && name ? name : product.description,
+            stockQuantity: stock.stockQuantity,
+            stockStatus: stock.stockStatus,
+            stockStatusText: stock.stockStatusText,
+            stockEta: stock.stockEta
+        };
+    }
+
+    /**
+     * "EOL", "Discontinued" or "While stocks last" written on a PDF line; the marker is taken out of
+     * the product name
+     */
+    applyLineLifecycle(product, line) {
+        const lifecycle = this.lifecycleDetector.fromText(line);
+        if (!lifecycle) return product;
+
+        return this.withLifecycle(product, lifecycle);
+    }
+
+    /**
+     * Mark a product with a lifecycle status and strip the marker from its name
+     */
+    withLifecycle(product, lifecycle) {
+        const name = this.lifecycleDetector.withoutMarkers(product.name);
+
+        return {
+            ...product,
+            name: name,
+            description: product.description === product.name ? name : product.description,
+            lifecycleStatus: lifecycle.lifecycleStatus,
+            lifecycleReason: lifecycle.lifecycleReason
+        };
+    }
+
+    /**
+     * Unit and quantity breaks written on a PDF line ("1-9: R12,50  10-49: R11,00  50+: R9,90");
+     * the smallest break is the product's price and its name ends where the breaks start
+     */
+    applyLineTiers(product, line, format) {
+        const unit = this.tierExtractor.unitFromText(line);
+        const { tiers, start } = this.tierExtractor.tiersInLine(line, format, unit);
+
+        if (unit) {
+            product.unitOfMeasure = unit.unit;
+            product.unitSize = unit.unitSize;
+        }
+
+        if (tiers.length === 0) return product;
+
+        const base = this.tierExtractor.baseTier(tiers, unit);
+        const name = this.extractProductName(line, start);
+
+        return {
+            ...product,
+            name: name || product.name,
+            description: name || product.description,
+            price: base.price,
+            unitOfMeasure: base.unit,
+            unitSize: base.unitSize,
+            priceTiers: tiers,
+            priceSelectionReason: `Smallest quantity break (${base.label}) of ${tiers.length} on the line`
+        };
+    }
+
+    /**
+     * Promo price marked on a PDF line ("Promo R 8 999 valid until 31 Oct"), kept beside the
+     * product's regular price; a line whose only price is the promo is priced from it instead
+     */
+    applyLinePromo(product, priceAnalysis, line, options = {}) {
+        const promo = priceAnalysis.prices.find(price => price.type === 'Promo');
+        if (!promo || product.priceType === 'Promo') return product;
+
+        const window = this.promoExtractor.windowFromText(line.substring(promo.position + promo.rawMatch.length), options.pricingDate) ||
+            options.promoWindow;
+
+        // A name read up to a later regular price would otherwise end in "Promo R 8 999"
+        const nameStart = line.indexOf(product.name);
+        const name = nameStart >= 0 && promo.position < nameStart + product.name.length
+            ? this.extractProductName(line, promo.position)
+            : null;
+
+        return {
+            ...product,
+            name: name || product.name,
+            description: product.description === product.name && name ? name : product.description,
+            promoPrice: promo.value,
+            promoStartsAt: window ? window.startsAt : null,
+            promoEndsAt: window ? window.endsAt : null
+        };
+    }
+
     /**
      * Extract from multi-column PDF
      */
@@ -153,7 +470,7 @@ class PriceExtractionEngine {
         const reconstructedProducts = this.reconstructProductsFromColumns(lines);
 
         for (const productData of reconstructedProducts) {
-            const priceAnalysis = this.analyzePricesInText(productData.text);
+            const priceAnalysis = this.analyzePricesInText(productData.text, options.numberFormat);
 
             if (priceAnalysis.prices.length > 0) {
                 const selectedPrice = this.selectBestPrice(priceAnalysis.prices);
@@ -169,7 +486,8 @@ class PriceExtractionEngine {
                         specifications: productData.specifications || '',
                         category: 'uncategorized',
                         extractionMethod: 'multi_column_pdf',
-                        columnData: productData
+                        columnData: productData,
+                        priceSelectionReason: this.describePriceSelection(selectedPrice, priceAnalysis.prices)
                     };
 
                     products.push(product);
@@ -191,7 +509,7 @@ class PriceExtractionEngine {
 
         for (const block of productBlocks) {
             const blockText = block.join(' ');
-            const priceAnalysis = this.analyzePricesInText(blockText);
+            const priceAnalysis = this.analyzePricesInText(blockText, options.numberFormat);
 
             if (priceAnalysis.prices.length > 0) {
                 const selectedPrice = this.selectBestPrice(priceAnalysis.prices);
@@ -211,7 +529,8 @@ class PriceExtractionEngine {
                         specifications: specifications,
                         category: 'uncategorized',
                         extractionMethod: 'catalog_pdf',
-                        blockData: block
+                        blockData: block,
+                        priceSelectionReason: this.describePriceSelection(selectedPrice, priceAnalysis.prices)
                     };
 
                     products.push(product);
@@ -228,8 +547,8 @@ class PriceExtractionEngine {
     async extractFromGenericPDF(lines, supplier, template, options) {
         const products = [];
 
-        for (const line of lines) {
-            const priceAnalysis = this.analyzePricesInLine(line);
+        for (const [index, line] of lines.entries()) {
+            const priceAnalysis = this.analyzePricesInLine(line, options.numberFormat);
 
             if (priceAnalysis.prices.length > 0) {
                 const selectedPrice = this.selectBestPrice(priceAnalysis.prices);
@@ -247,10 +566,14 @@ class PriceExtractionEngine {
                             description: productName,
                             specifications: '',
                             category: 'uncategorized',
-                            extractionMethod: 'generic_pdf'
+                            sourceText: line,
+                            sourceLine: index + 1,
+                            extractionMethod: 'generic_pdf',
+                            priceSelectionReason: this.describePriceSelection(selectedPrice, priceAnalysis.prices)
                         };
 
-                        products.push(product);
+                        const priced = this.applyLinePromo(this.applyLineTiers(product, line, options.numberFormat), priceAnalysis, line, options);
+                        products.push(this.applyLineLifecycle(priced, line));
                     }
                 }
             }
@@ -288,14 +611,15 @@ class PriceExtractionEngine {
 
         if (data.length === 0) return products;
 
-        // Find header row and column mappings
-        const headerInfo = this.analyzeExcelHeaders(data);
-        const columnMappings = this.createColumnMappings(headerInfo, sheet);
+        // Find header row and column mappings (CSV sources carry their own header detection)
+        const headerInfo = sheet.headerInfo || this.analyzeExcelHeaders(data);
+        const columnMappings = this.createColumnMappings(headerInfo, sheet, options);
 
         console.log(`     Found columns: ${Object.keys(columnMappings).join(', ')}`);
 
         // Process data rows
         const startRow = headerInfo.headerRow >= 0 ? headerInfo.headerRow + 1 : 0;
+        const struckRows = new Set(sheet.struckRows || []);
 
         for (let i = startRow; i < data.length; i++) {
             const row = data[i];
@@ -311,7 +635,15 @@ class PriceExtractionEngine {
             );
 
             if (product) {
-                products.push(product);
+                // Workbook sheets know their first cell; CSV rows and PDF tables have no cell addresses
+                if (sheet.origin) {
+                    product.cellRange = this.provenanceRecorder.cellRange(row, i, sheet.origin);
+                }
+                product.sourceText = row.filter(cell => cell !== '' && cell !== null && cell !== undefined).join('\t');
+
+                // "EOL" / "Discontinued" cells, struck-through rows and sheets named "Discontinued"
+                const lifecycle = this.lifecycleDetector.fromRow(row, { sheetName: sheet.name, struck: struckRows.has(i) });
+                products.push(lifecycle ? this.withLifecycle(product, lifecycle) : product);
             }
         }
 
@@ -328,13 +660,31 @@ class PriceExtractionEngine {
             if (!productName || productName.length < 3) return null;
 
             // Extract prices with priority system
-            const priceData = this.extractPricesFromExcelRow(row, columnMappings);
+            const priceData = this.extractPricesFromExcelRow(row, columnMappings, options.numberFormat);
+
+            // Quantity-break or per-unit columns; a list with only those is priced from the smallest break
+            const unit = this.tierExtractor.unitFromCell(this.getValueFromMappings(row, columnMappings.unit)) ||
+                this.tierExtractor.unitFromText(productName);
+            const priceTiers = this.tierExtractor.tiersFromRow(row, columnMappings.tiers, value => this.parsePrice(value, options.numberFormat), unit);
+            const baseTier = this.tierExtractor.baseTier(priceTiers, unit);
+
+            if (!priceData.selectedPrice && baseTier) {
+                priceData.selectedPrice = { value: baseTier.price, type: 'Price', priority: 20, confidence: 0.85, column: 'tiers' };
+                priceData.selectionReason = `Smallest quantity break (${baseTier.label}); the row has no single price column`;
+            }
+
+            // A promo column is kept apart unless it is the only price the row has
+            const promo = this.extractPromoFromExcelRow(row, columnMappings, options);
+            if (!priceData.selectedPrice && promo) {
+                priceData.selectedPrice = { value: promo.price, type: 'Promo', priority: 0, confidence: 0.7, column: 'promo' };
+                priceData.selectionReason = 'Promo price; the row has no regular price';
+            }
             if (!priceData.selectedPrice) return null;
 
             // Extract additional data
             const description = this.getValueFromMappings(row, columnMappings.description) || productName;
             const specifications = this.getValueFromMappings(row, columnMappings.specifications) || '';
-            const model = this.getValueFromMappings(row, columnMappings.model) || '';
+            const sku = this.getValueFromMappings(row, columnMappings.sku) || '';
             const brand = this.getValueFromMappings(row, columnMappings.brand) || '';
 
             const product = {
@@ -345,16 +695,36 @@ class PriceExtractionEngine {
                 supplier: supplier,
                 description: description.trim(),
                 specifications: specifications,
-                model: model,
+                sku: sku,
                 brand: brand,
                 category: 'uncategorized',
                 extractionMethod: 'excel',
                 sheetName: sheetName,
                 rowIndex: rowIndex,
                 allPrices: priceData.allPrices,
-                columnMappings: Object.keys(columnMappings)
+                columnMappings: Object.keys(columnMappings),
+                priceSelectionReason: priceData.selectionReason || this.describePriceSelection(priceData.selectedPrice, priceData.allPrices)
             };
 
+            const measure = this.tierExtractor.productUnit(unit, baseTier);
+            if (measure) {
+                product.unitOfMeasure = measure.unit;
+                product.unitSize = measure.unitSize;
+            }
+            if (priceTiers.length > 0) {
+                product.priceTiers = priceTiers;
+            }
+            if (promo && priceData.selectedPrice.type !== 'Promo') {
+                product.promoPrice = promo.price;
+                product.promoStartsAt = promo.startsAt;
+                product.promoEndsAt = promo.endsAt;
+            }
+
+            const stock = this.stockExtractor.stockFromRow(row, columnMappings.stock, options.pricingDate);
+            if (stock) {
+                Object.assign(product, stock);
+            }
+
             return product;
 
         } catch (error) {
@@ -363,10 +733,35 @@ class PriceExtractionEngine {
         }
     }
 
+    /**
+     * Promo price of a row with its window: the row's promo date cells, else the dates in the promo
+     * column's header, else the document's promo footnote
+     */
+    extractPromoFromExcelRow(row, columnMappings, options = {}) {
+        const promo = columnMappings.promo;
+        if (!promo) return null;
+
+        const value = row[promo.price];
+        if (value === undefined || value === null || value === '') return null;
+
+        const price = this.parsePrice(value, options.numberFormat);
+        if (!(price > 0)) return null;
+
+        const window = promo.window || options.promoWindow || {};
+        const startsAt = promo.start >= 0 ? this.promoExtractor.dateFromCell(row[promo.start], options.pricingDate) : null;
+        const endsAt = promo.end >= 0 ? this.promoExtractor.dateFromCell(row[promo.end], options.pricingDate) : null;
+
+        return {
+            price: price,
+            startsAt: startsAt || window.startsAt || null,
+            endsAt: endsAt || window.endsAt || null
+        };
+    }
+
     /**
      * Analyze prices in a single line of text
      */
-    analyzePricesInLine(line) {
+    analyzePricesInLine(line, format) {
         const prices = [];
         const analysis = {
             line: line,
@@ -377,7 +772,7 @@ class PriceExtractionEngine {
         };
 
         // Check for New RRP patterns (highest priority)
-        const newRRPMatches = this.findPriceMatches(line, this.pricePatterns.newRRP);
+        const newRRPMatches = this.findPriceMatches(line, this.pricePatterns.newRRP, format);
         for (const match of newRRPMatches) {
             prices.push({
                 value: match.value,
@@ -392,7 +787,7 @@ class PriceExtractionEngine {
         }
 
         // Check for Old RRP patterns (lower priority)
-        const oldRRPMatches = this.findPriceMatches(line, this.pricePatterns.oldRRP);
+        const oldRRPMatches = this.findPriceMatches(line, this.pricePatterns.oldRRP, format);
         for (const match of oldRRPMatches) {
             prices.push({
                 value: match.value,
@@ -407,7 +802,7 @@ class PriceExtractionEngine {
         }
 
         // Check for general RRP patterns
-        const rrpMatches = this.findPriceMatches(line, this.pricePatterns.rrp);
+        const rrpMatches = this.findPriceMatches(line, this.pricePatterns.rrp, format);
         for (const match of rrpMatches) {
             // Skip if already found as New/Old RRP
             if (!this.isPositionAlreadyMatched(match.position, prices)) {
@@ -424,7 +819,7 @@ class PriceExtractionEngine {
         }
 
         // Check for cost price patterns
-        const costMatches = this.findPriceMatches(line, this.pricePatterns.cost);
+        const costMatches = this.findPriceMatches(line, this.pricePatterns.cost, format);
         for (const match of costMatches) {
             if (!this.isPositionAlreadyMatched(match.position, prices)) {
                 prices.push({
@@ -439,10 +834,26 @@ class PriceExtractionEngine {
             }
         }
 
+        // Check for promo and special prices, which only become the main price when nothing else is found
+        const promoMatches = this.findPriceMatches(line, this.pricePatterns.promo, format);
+        for (const match of promoMatches) {
+            if (!this.isPositionAlreadyMatched(match.position, prices)) {
+                prices.push({
+                    value: match.value,
+                    type: 'Promo',
+                    priority: 10,
+                    confidence: 0.6,
+                    position: match.position,
+                    rawMatch: match.raw,
+                    currency: match.currency
+                });
+            }
+        }
+
         // Check for general price patterns
-        const generalMatches = this.findPriceMatches(line, this.pricePatterns.general);
+        const generalMatches = this.findPriceMatches(line, this.pricePatterns.general, format);
         for (const match of generalMatches) {
-            if (!this.isPositionAlreadyMatched(match.position, prices)) {
+            if (!this.isPositionAlreadyMatched(match.position, prices) && !this.isInsideMatch(match.position, prices)) {
                 prices.push({
                     value: match.value,
                     type: 'Price',
@@ -465,12 +876,12 @@ class PriceExtractionEngine {
     /**
      * Analyze prices in text block
      */
-    analyzePricesInText(text) {
+    analyzePricesInText(text, format) {
         const lines = text.split('\n');
         const allPrices = [];
 
         for (const line of lines) {
-            const lineAnalysis = this.analyzePricesInLine(line);
+            const lineAnalysis = this.analyzePricesInLine(line, format);
             allPrices.push(...lineAnalysis.prices);
         }
 
@@ -508,10 +919,27 @@ class PriceExtractionEngine {
         return bestPrice;
     }
 
+    /**
+     * Why a price was picked from the ones found, in words: "Selected New RRP over Old RRP"
+     */
+    describePriceSelection(selected, prices = []) {
+        const passedOver = Array.from(new Set(prices.filter(price => price !== selected).map(price => price.type)))
+            .filter(type => type !== selected.type);
+
+        if (passedOver.length > 0) {
+            return `Selected ${selected.type} over ${passedOver.join(', ')}`;
+        }
+        if (prices.length > 1) {
+            return `Selected the most confident of ${prices.length} ${selected.type} prices`;
+        }
+
+        return `Only price found (${selected.type})`;
+    }
+
     /**
      * Extract prices from Excel row using column mappings
      */
-    extractPricesFromExcelRow(row, columnMappings) {
+    extractPricesFromExcelRow(row, columnMappings, format) {
         const allPrices = [];
 
         // Check each price column with priority
@@ -528,7 +956,7 @@ class PriceExtractionEngine {
         for (const column of priceColumns) {
             const value = this.getValueFromMappings(row, columnMappings[column.key]);
             if (value !== null && value !== undefined && value !== '') {
-                const numericValue = this.parsePrice(value);
+                const numericValue = this.parsePrice(value, format);
                 if (numericValue > 0) {
                     allPrices.push({
                         value: numericValue,
@@ -553,7 +981,7 @@ class PriceExtractionEngine {
     /**
      * Create column mappings from Excel headers
      */
-    createColumnMappings(headerInfo, sheet) {
+    createColumnMappings(headerInfo, sheet, options = {}) {
         const mappings = {};
 
         if (headerInfo.headerRow < 0) {
@@ -566,14 +994,19 @@ class PriceExtractionEngine {
         for (let i = 0; i < headers.length; i++) {
             const header = String(headers[i] || '').toLowerCase().trim();
 
+            // "Product Code" and "Item No" hold model codes, not names
+            const isSkuHeader = this.skuExtractor.isSkuHeader(header);
+
             // Map product name columns
-            if (this.matchesPattern(header, ['product', 'name', 'description', 'item'])) {
+            if (!isSkuHeader && this.matchesPattern(header, ['product', 'name', 'description', 'item'])) {
                 if (!mappings.name) mappings.name = [i];
                 else mappings.name.push(i);
             }
 
-            // Map price columns with priority
-            if (this.matchesPattern(header, ['new rrp', 'new_rrp', 'newrrp'])) {
+            // Map price columns with priority; promo columns and their dates are mapped separately below
+            if (this.promoExtractor.isPromoHeader(header) || this.promoExtractor.promoDateColumn(header)) {
+                // Not the main price
+            } else if (this.matchesPattern(header, ['new rrp', 'new_rrp', 'newrrp'])) {
                 mappings.newRRP = [i];
             } else if (this.matchesPattern(header, ['current rrp', 'current_rrp', 'currentrrp'])) {
                 mappings.currentRRP = [i];
@@ -590,20 +1023,48 @@ class PriceExtractionEngine {
             }
 
             // Map other columns
-            if (this.matchesPattern(header, ['model', 'model number', 'model_number'])) {
-                mappings.model = [i];
-            }
             if (this.matchesPattern(header, ['brand', 'manufacturer', 'make'])) {
                 mappings.brand = [i];
             }
             if (this.matchesPattern(header, ['specification', 'specs', 'details'])) {
                 mappings.specifications = [i];
             }
-            if (this.matchesPattern(header, ['description', 'desc'])) {
+            if (!isSkuHeader && this.matchesPattern(header, ['description', 'desc'])) {
                 if (!mappings.description) mappings.description = [i];
             }
         }
 
+        const skuColumn = this.skuExtractor.findSkuColumn(headers);
+        if (skuColumn >= 0) {
+            mappings.sku = [skuColumn];
+        }
+
+        // "1-9" / "10-49" / "50+" or "each" / "per pair" price columns, and a unit-of-measure column;
+        // cost and RRP columns are never breaks
+        const pricedColumns = ['costPrice', 'rrp', 'newRRP', 'currentRRP', 'oldRRP', 'retailPrice']
+            .reduce((indexes, field) => indexes.concat(mappings[field] || []), []);
+        const tierColumns = this.tierExtractor.findTierColumns(headers, pricedColumns);
+        if (tierColumns.length > 0) {
+            mappings.tiers = tierColumns;
+        }
+
+        const unitColumn = headers.findIndex(header => this.tierExtractor.isUnitHeader(header));
+        if (unitColumn >= 0) {
+            mappings.unit = [unitColumn];
+        }
+
+        // "Stock" / "SOH" / "Available" quantities, a stock status column and an ETA column
+        const stockColumns = this.stockExtractor.findStockColumns(headers);
+        if (this.stockExtractor.hasStockColumns(stockColumns)) {
+            mappings.stock = stockColumns;
+        }
+
+        // "Promo Price" or "Special" column, with "Promo Start" / "Promo End" date columns if present
+        const promoColumns = this.promoExtractor.findPromoColumns(headers, options.pricingDate);
+        if (promoColumns.price >= 0) {
+            mappings.promo = promoColumns;
+        }
+
         return mappings;
     }
 
@@ -673,36 +1134,39 @@ class PriceExtractionEngine {
     }
 
     /**
-     * Initialize price patterns
+     * Initialize price patterns; amounts in any local format are matched and read by the price parser
      */
     initializePricePatterns() {
+        const labelled = label => this.priceParser.pattern(label, 'gi');
+
         return {
             newRRP: [
-                /new\s+rrp[:\s]*R?\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/gi,
-                /new\s+recommended\s+retail\s+price[:\s]*R?\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/gi,
-                /new_rrp[:\s]*R?\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/gi
+                labelled('new\\s+rrp[:\\s]*'),
+                labelled('new\\s+recommended\\s+retail\\s+price[:\\s]*'),
+                labelled('new_rrp[:\\s]*')
             ],
             oldRRP: [
-                /old\s+rrp[:\s]*R?\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/gi,
-                /old\s+recommended\s+retail\s+price[:\s]*R?\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/gi,
-                /old_rrp[:\s]*R?\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/gi,
-                /previous\s+rrp[:\s]*R?\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/gi
+                labelled('old\\s+rrp[:\\s]*'),
+                labelled('old\\s+recommended\\s+retail\\s+price[:\\s]*'),
+                labelled('old_rrp[:\\s]*'),
+                labelled('previous\\s+rrp[:\\s]*')
             ],
             rrp: [
-                /\brrp[:\s]*R?\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/gi,
-                /recommended\s+retail\s+price[:\s]*R?\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/gi,
-                /retail[:\s]*R?\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/gi
+                labelled('\\brrp[:\\s]*'),
+                labelled('recommended\\s+retail\\s+price[:\\s]*'),
+                labelled('retail[:\\s]*')
             ],
             cost: [
-                /cost[:\s]*R?\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/gi,
-                /cost\s+price[:\s]*R?\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/gi,
-                /wholesale[:\s]*R?\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/gi
+                labelled('cost[:\\s]*'),
+                labelled('cost\\s+price[:\\s]*'),
+                labelled('wholesale[:\\s]*')
+            ],
+            promo: [
+                this.priceParser.pattern('\\b(?:promo(?:tion(?:al)?)?|specials?|sale)(?:\\s+price)?[:\\s]*', 'gi', true)
             ],
             general: [
-                /R\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/g,
-                /\$\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/g,
-                /€\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/g,
-                /price[:\s]*R?\s*(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/gi
+                ...this.priceParser.currencyPatterns('g'),
+                labelled('price[:\\s]*')
             ]
         };
     }
@@ -710,7 +1174,7 @@ class PriceExtractionEngine {
     /**
      * Find price matches using patterns
      */
-    findPriceMatches(text, patterns) {
+    findPriceMatches(text, patterns, format) {
         const matches = [];
 
         for (const pattern of patterns) {
@@ -718,7 +1182,7 @@ class PriceExtractionEngine {
             const regex = new RegExp(pattern.source, pattern.flags);
 
             while ((match = regex.exec(text)) !== null) {
-                const value = parseFloat(match[1].replace(/,/g, ''));
+                const value = this.priceParser.toNumber(match[1], format);
                 if (value > 0) {
                     matches.push({
                         value: value,
@@ -734,40 +1198,10 @@ class PriceExtractionEngine {
     }
 
     /**
-     * Parse price from various formats
+     * Parse price from various formats; 0 when the value holds no price
      */
-    parsePrice(value) {
-        if (typeof value === 'number') return value;
-
-        const str = String(value).trim();
-
-        // Remove currency symbols and clean up
-        const cleaned = str
-            .replace(/[R$€£¥]/g, '')
-            .replace(/[^\d.,]/g, '')
-            .trim();
-
-        if (cleaned === '') return 0;
-
-        // Handle different decimal separators
-        let numericValue;
-        if (cleaned.includes(',') && cleaned.includes('.')) {
-            // Both comma and dot - assume comma is thousands separator
-            numericValue = parseFloat(cleaned.replace(/,/g, ''));
-        } else if (cleaned.includes(',')) {
-            // Only comma - could be decimal or thousands separator
-            const parts = cleaned.split(',');
-            if (parts.length === 2 && parts[1].length <= 2) {
-                // Likely decimal separator
-                numericValue = parseFloat(cleaned.replace(',', '.'));
-            } else {
-                // Likely thousands separator
-                numericValue = parseFloat(cleaned.replace(/,/g, ''));
-            }
-        } else {
-            numericValue = parseFloat(cleaned);
-        }
-
+    parsePrice(value, format) {
+        const numericValue = this.priceParser.parse(value, format);
         return isNaN(numericValue) ? 0 : numericValue;
     }
 
@@ -775,34 +1209,12 @@ class PriceExtractionEngine {
      * Apply pricing logic based on options
      */
     async applyPricingLogic(products, options) {
+        const rules = await this.pricingEngine.loadRules(options.supplier);
+        this.pricingEngine.checkRates(products, rules, options);
         const processedProducts = [];
 
         for (const product of products) {
             try {
-                let finalPrice = product.price;
-                const originalPrice = product.price;
-
-                // Apply pricing transformations based on price type and options
-                switch (options.priceType) {
-                    case 'retail_including_vat':
-                        // Price is already retail with VAT - no change needed
-                        break;
-
-                    case 'cost_including_vat':
-                        // Add margin to cost price
-                        const marginMultiplier = 1 + (options.marginPercentage || 0) / 100;
-                        finalPrice = originalPrice * marginMultiplier;
-                        break;
-
-                    case 'cost_excluding_vat':
-                        // Add VAT first, then margin
-                        const vatMultiplier = 1 + (options.vatRate || 15) / 100;
-                        const withVAT = originalPrice * vatMultiplier;
-                        const marginMult = 1 + (options.marginPercentage || 0) / 100;
-                        finalPrice = withVAT * marginMult;
-                        break;
-                }
-
                 // Special handling for New RRP vs Old RRP
                 let priceAdjustment = 1.0;
                 if (product.priceType === 'New RRP') {
@@ -813,18 +1225,15 @@ class PriceExtractionEngine {
                     product.notes = 'Using Old RRP - verify current pricing';
                 }
 
-                const processedProduct = {
-                    ...product,
-                    original_price: originalPrice,
-                    final_price: Math.round(finalPrice * 100) / 100,
+                const priced = this.pricingEngine.price(product, rules, options);
+
+                processedProducts.push({
+                    ...priced,
                     price_adjustment: priceAdjustment,
                     pricing_method: options.priceType,
-                    margin_applied: options.marginPercentage || 0,
-                    vat_rate: options.vatRate || 15,
+                    margin_applied: priced.markup_percentage,
                     processing_timestamp: new Date().toISOString()
-                };
-
-                processedProducts.push(processedProduct);
+                });
 
             } catch (error) {
                 console.warn(`Failed to process pricing for product: ${product.name}`, error);
@@ -978,10 +1387,10 @@ class PriceExtractionEngine {
      */
 
     detectCurrency(text) {
-        if (text.includes('R')) return 'ZAR';
-        if (text.includes('$')) return 'USD';
-        if (text.includes('€')) return 'EUR';
-        if (text.includes('£')) return 'GBP';
+        // Foreign symbols first: the "R" of an "RRP $199" label is not a Rand sign
+        if (text.includes('$') || /\bUSD\b/i.test(text)) return 'USD';
+        if (text.includes('€') || /\bEUR\b/i.test(text)) return 'EUR';
+        if (text.includes('£') || /\bGBP\b/i.test(text)) return 'GBP';
         return 'ZAR'; // Default to South African Rand
     }
 
@@ -1002,6 +1411,15 @@ class PriceExtractionEngine {
         );
     }
 
+    /**
+     * Whether a position falls inside a labelled match, such as the amount of "Promo price R 999"
+     */
+    isInsideMatch(position, existingPrices) {
+        return existingPrices.some(price =>
+            position >= price.position && position < price.position + price.rawMatch.length
+        );
+    }
+
     matchesPattern(text, patterns) {
         const lowerText = text.toLowerCase();
         return patterns.some(pattern => lowerText.includes(pattern.toLowerCase()));
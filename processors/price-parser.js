@@ -0,0 +1,176 @@
+
+/**
+ * Price Parser for Audico Pricelist Processing
+ * Reads prices in the formats local pricelists use: "R12,345.67", "R 12 345,67" (also with
+ * non-breaking spaces), "12.345,67", "12 345,- ZAR". A "1,234" or "1.234" on its own could be
+ * either format, so it is read the way the rest of the document writes its decimals
+ */
+class PriceParser {
+    constructor(options = {}) {
+        // Spaces PDFs and spreadsheets put between thousands: plain, non-breaking, thin, narrow
+        this.spaces = ' \\u00a0\\u2009\\u202f';
+
+        // An amount: thousands grouped by comma, dot, apostrophe or space, then optional cents or ",-";
+        // a space only groups when the three digits after it don't run into a word ("R 8 990 120W")
+        const cents = '(?:[.,](?:\\d{1,2}(?!\\d)|-))?';
+        this.amount = `\\d{1,3}(?:(?:[.,']|[${this.spaces}](?=\\d{3}(?![\\dA-Za-z])))\\d{3})+${cents}|\\d+${cents}`;
+
+        this.currencyPrefix = '(?:ZAR|USD|EUR|GBP|R|\\$|€|£)';
+        this.currencySuffix = '(?:ZAR|USD|EUR|GBP|€)(?![A-Za-z])';
+
+        // A cell holding nothing but a price
+        this.wholeCell = new RegExp(`^\\s*(?:${this.currencyPrefix}\\s*)?(${this.amount})(?:\\s*${this.currencySuffix})?\\s*$`, 'i');
+
+        // Decimal separator when a document gives no unambiguous price to go by
+        this.defaultDecimal = options.defaultDecimal || '.';
+    }
+
+    /**
+     * Pattern for a labelled price ("New RRP: R 12 345,67"); the amount is capture group 1.
+     * The currency before the amount is optional unless currencyRequired is set
+     */
+    pattern(label = '', flags = 'gi', currencyRequired = false) {
+        const prefix = `${this.currencyPrefix}\\s*`;
+        return new RegExp(`${label}${currencyRequired ? prefix : `(?:${prefix})?`}(${this.amount})(?:\\s*${this.currencySuffix})?`, flags);
+    }
+
+    /**
+     * Patterns for amounts marked with a currency before or after them; case-sensitive so the
+     * "r" ending a word is not read as Rand
+     */
+    currencyPatterns(flags = 'g') {
+        return [
+            new RegExp(`${this.currencyPrefix}\\s*(${this.amount})(?:\\s*${this.currencySuffix})?`, flags),
+            new RegExp(`(${this.amount})\\s*${this.currencySuffix}`, flags)
+        ];
+    }
+
+    /**
+     * Every currency-marked price in a line of text, in the order they appear
+     */
+    findAll(text, format) {
+        const found = [];
+
+        for (const pattern of this.currencyPatterns()) {
+            let match;
+            while ((match = pattern.exec(text)) !== null) {
+                if (found.some(price => match.index < price.index + price.raw.length && price.index < match.index + match[0].length)) continue;
+
+                const value = this.toNumber(match[1], format);
+                if (value > 0) {
+                    found.push({ value, raw: match[0], amount: match[1], index: match.index });
+                }
+            }
+        }
+
+        return found.sort((a, b) => a.index - b.index);
+    }
+
+    /**
+     * Whether a cell holds nothing but a price ("R 12 345,67", "1.999,00", "499 ZAR")
+     */
+    isPrice(value) {
+        if (typeof value === 'number') return true;
+        return value !== null && value !== undefined && this.wholeCell.test(String(value));
+    }
+
+    /**
+     * Numeric value of a cell or piece of text: its first currency-marked price, else its first
+     * amount; NaN when there is none
+     */
+    parse(value, format) {
+        if (typeof value === 'number') return value;
+        if (value === null || value === undefined) return NaN;
+
+        const text = String(value);
+        const marked = this.findAll(text, format);
+        if (marked.length > 0) return marked[0].value;
+
+        const match = text.match(new RegExp(this.amount));
+        return match ? this.toNumber(match[0], format) : NaN;
+    }
+
+    /**
+     * Value of one matched amount; a single separator followed by exactly three digits is a
+     * thousands separator unless it is the document's decimal separator
+     */
+    toNumber(raw, format = {}) {
+        const documentDecimal = (format && format.decimal) || this.defaultDecimal;
+        const digits = String(raw)
+            .replace(new RegExp(`[${this.spaces}']`, 'g'), '')
+            .replace(/[.,]-$/, '');
+
+        let decimal = this.decimalOf(digits);
+        if (!decimal) {
+            const separator = digits.includes(',') ? ',' : (digits.includes('.') ? '.' : null);
+            const single = separator && digits.indexOf(separator) === digits.lastIndexOf(separator);
+            decimal = single && separator === documentDecimal ? separator : null;
+        }
+
+        const point = decimal ? digits.lastIndexOf(decimal) : -1;
+        const whole = (point >= 0 ? digits.substring(0, point) : digits).replace(/[.,]/g, '');
+        const fraction = point >= 0 ? digits.substring(point + 1) : '';
+
+        const number = parseFloat(fraction ? `${whole}.${fraction}` : whole);
+        return isNaN(number) ? NaN : number;
+    }
+
+    /**
+     * Decimal separator an amount shows unambiguously: the last of two different separators,
+     * or a lone one followed by one or two digits; null for "1,234", "1.234" or "12 345"
+     */
+    decimalOf(digits) {
+        const lastComma = digits.lastIndexOf(',');
+        const lastDot = digits.lastIndexOf('.');
+
+        if (lastComma >= 0 && lastDot >= 0) {
+            return lastComma > lastDot ? ',' : '.';
+        }
+
+        const separator = lastComma >= 0 ? ',' : (lastDot >= 0 ? '.' : null);
+        if (!separator || digits.indexOf(separator) !== digits.lastIndexOf(separator)) return null;
+
+        const fractionLength = digits.length - digits.lastIndexOf(separator) - 1;
+        return fractionLength === 1 || fractionLength === 2 ? separator : null;
+    }
+
+    /**
+     * Dominant number format of a document from its currency-marked prices and price-only cells;
+     * accepts text, lines or rows of cells
+     */
+    detectFormat(content) {
+        const votes = { '.': 0, ',': 0 };
+
+        const visit = value => {
+            if (Array.isArray(value)) {
+                value.forEach(visit);
+                return;
+            }
+            if (typeof value !== 'string') return;
+
+            const amounts = value.split('\n').flatMap(line => {
+                const cell = line.match(this.wholeCell);
+                if (cell) return [cell[1]];
+
+                return this.currencyPatterns().flatMap(pattern =>
+                    Array.from(line.matchAll(pattern), match => match[1])
+                );
+            });
+
+            for (const amount of amounts) {
+                const compact = amount.replace(new RegExp(`[${this.spaces}']`, 'g'), '');
+                const decimal = /[.,]-$/.test(compact) ? compact.charAt(compact.length - 2) : this.decimalOf(compact);
+                if (decimal) votes[decimal]++;
+            }
+        };
+
+        visit(content);
+
+        return {
+            decimal: votes[','] > votes['.'] ? ',' : (votes['.'] > 0 ? '.' : this.defaultDecimal),
+            votes: { point: votes['.'], comma: votes[','] }
+        };
+    }
+}
+
+module.exports = PriceParser;
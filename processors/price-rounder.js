@@ -0,0 +1,72 @@
+const RuleResolver = require('./rule-resolver');
+
+/**
+ * Retail Price Rounder for Audico Pricing
+ * Rounds computed retail prices to shelf-friendly values using the rounding rule that best
+ * matches a product's supplier and category
+ */
+class PriceRounder {
+    constructor(options = {}) {
+        // Each strategy maps an unrounded price (and its rule) to the shelf price
+        this.strategies = {
+            none: value => value,
+            nearest_10: value => Math.round(value / 10) * 10,
+            up_99: value => this.upToEnding(value, 100),
+            up_999: value => this.upToEnding(value, 1000),
+            floor_50: (value, rule) => this.aboveThreshold(value, rule, () => Math.floor(value / 50) * 50),
+            ceil_50: (value, rule) => this.aboveThreshold(value, rule, () => Math.ceil(value / 50) * 50)
+        };
+
+        // Category rules beat supplier rules when both match
+        this.resolver = options.resolver || new RuleResolver();
+
+        // Strategy for products no rule matches
+        this.defaultStrategy = options.defaultStrategy || process.env.DEFAULT_ROUNDING_STRATEGY || 'none';
+    }
+
+    strategyNames() {
+        return Object.keys(this.strategies);
+    }
+
+    /**
+     * Smallest price at or above the value ending in 99 (step 100) or 999 (step 1000)
+     */
+    upToEnding(value, step) {
+        return Math.ceil((value + 1) / step) * step - 1;
+    }
+
+    /**
+     * Prices under the rule's threshold keep their cents
+     */
+    aboveThreshold(value, rule, round) {
+        const threshold = parseFloat(rule.threshold) || 0;
+        return value >= threshold ? round() : value;
+    }
+
+    /**
+     * Rounded price and the rule behind it; rounding never takes a price to zero
+     */
+    round(value, product, rules = [], options = {}) {
+        const resolved = this.resolveRule(product, rules, options);
+        const rule = resolved ? resolved.rule : { strategy: this.defaultStrategy };
+        const strategy = this.strategies[rule.strategy] ? rule.strategy : 'none';
+
+        let rounded = Math.round(this.strategies[strategy](value, rule) * 100) / 100;
+        if (!(rounded > 0)) rounded = value;
+
+        return {
+            value: rounded,
+            strategy: strategy,
+            ruleId: resolved ? resolved.rule.id : null
+        };
+    }
+
+    /**
+     * Most specific matching rule: most scopes matched, then priority, then category over supplier
+     */
+    resolveRule(product, rules, options = {}) {
+        return this.resolver.resolve(rules, rule => this.resolver.matchScopes(rule, product, options));
+    }
+}
+
+module.exports = PriceRounder;
@@ -0,0 +1,263 @@
+const PriceParser = require('./price-parser');
+
+/**
+ * Price Tier Extractor for Audico Pricelist Processing
+ * Reads quantity breaks ("1-9", "10-49", "50+") from column headers and PDF lines, and the unit a
+ * price is quoted in ("each", "per pair", "box of 10", "per metre")
+ */
+class PriceTierExtractor {
+    constructor(options = {}) {
+        this.priceParser = options.priceParser || new PriceParser();
+
+        // "1-9", "10 to 49", "Qty 10-49"; "50+", "100 and over"
+        this.rangePattern = /\b(\d{1,5})\s*(?:-|–|to)\s*(\d{1,5})\b/i;
+        this.openPattern = /\b(\d{1,5})\s*(?:\+|or\s+more\b|and\s+(?:over|above|up)\b)/i;
+
+        // A header is a break when it names a quantity or is little more than the range ("Price 10-49")
+        this.quantityPattern = /\b(?:qty|quantity|quantities|units?|pcs|pieces?|items?|off)\b/i;
+        this.rangeOnlyPattern = /\b(?:prices?|from)\b|[^a-z]/gi;
+
+        // Units as written in a unit-of-measure column, with the items one unit holds
+        this.unitWords = {
+            each: { words: ['each', 'ea', 'unit', 'pc', 'pcs', 'piece', 'item', 'single'], size: 1 },
+            pair: { words: ['pair', 'pairs', 'pr', 'prs'], size: 2 },
+            metre: { words: ['m', 'metre', 'meter', 'metres', 'meters', 'mtr'], size: 1 },
+            roll: { words: ['roll', 'reel', 'drum'], size: 1 },
+            pack: { words: ['pack', 'pk', 'box', 'bag', 'set'], size: null }
+        };
+
+        // Units as phrased in headers and product names: "per pair", "/pr", "box of 10", "(each)"
+        this.unitPhrases = [
+            { unit: 'pack', pattern: /\b(?:box|pack|pk|bag|set)\s+of\s+(\d+)\b|\b(\d+)\s*-?\s*(?:pack|pk)\b/i },
+            { unit: 'pair', pattern: /\bper\s+pair\b|\/\s*(?:pair|pr)\b|\(\s*pair\s*\)|\bpairs?\s*(?:price)?$/i },
+            { unit: 'metre', pattern: /\bper\s+(?:met(?:er|re)|m)\b|\/\s*(?:m|met(?:er|re))\b/i },
+            { unit: 'roll', pattern: /\bper\s+(?:roll|reel|drum)\b|\/\s*(?:roll|reel)\b/i },
+            { unit: 'each', pattern: /\beach\b|\/\s*ea\b|\bper\s+(?:unit|piece|item)\b|\bunit\s+price\b/i }
+        ];
+
+        this.unitHeaderPattern = /^(?:units?|uom|u\/m|unit\s+of\s+measure|sell(?:ing)?\s+unit|pack\s+size)$/i;
+    }
+
+    isUnitHeader(header) {
+        return this.unitHeaderPattern.test(String(header || '').replace(/[_\s]+/g, ' ').trim());
+    }
+
+    /**
+     * Unit from a unit-of-measure cell ("Each", "PR", "Box of 10")
+     */
+    unitFromCell(value) {
+        if (value === null || value === undefined) return null;
+
+        const text = String(value).trim().toLowerCase().replace(/\.$/, '');
+        if (!text) return null;
+
+        for (const [unit, definition] of Object.entries(this.unitWords)) {
+            if (definition.words.includes(text)) {
+                return { unit, unitSize: definition.size };
+            }
+        }
+
+        return this.unitFromText(text);
+    }
+
+    /**
+     * Unit phrased in a header, product name or line, or null when none is stated
+     */
+    unitFromText(text) {
+        if (!text) return null;
+
+        for (const phrase of this.unitPhrases) {
+            const match = String(text).match(phrase.pattern);
+            if (!match) continue;
+
+            if (phrase.unit === 'pack') {
+                return { unit: 'pack', unitSize: parseInt(match[1] || match[2], 10) };
+            }
+
+            return { unit: phrase.unit, unitSize: this.unitWords[phrase.unit].size };
+        }
+
+        return null;
+    }
+
+    /**
+     * Quantity break named by a header, or null. "Cost 2024-2025" names a price year, not a break
+     */
+    tierFromHeader(header) {
+        const text = String(header || '');
+        if (text.length > 40) return null;
+
+        const range = text.match(this.rangePattern);
+        if (range) {
+            const minQuantity = parseInt(range[1], 10);
+            const maxQuantity = parseInt(range[2], 10);
+            if (minQuantity < 1 || maxQuantity < minQuantity) return null;
+            if (this.isYear(minQuantity) && this.isYear(maxQuantity)) return null;
+            if (!this.namesQuantity(text, range[0])) return null;
+
+            return { minQuantity, maxQuantity, label: `${minQuantity}-${maxQuantity}` };
+        }
+
+        const open = text.match(this.openPattern);
+        if (open && parseInt(open[1], 10) >= 1) {
+            const minQuantity = parseInt(open[1], 10);
+            if (this.isYear(minQuantity) || !this.namesQuantity(text, open[0])) return null;
+
+            return { minQuantity, maxQuantity: null, label: `${minQuantity}+` };
+        }
+
+        return null;
+    }
+
+    isYear(value) {
+        return value >= 1900 && value <= 2100;
+    }
+
+    /**
+     * Whether a header with a break in it is about quantities: it says so ("Qty 10-49", "50+ units")
+     * or holds little besides the break and the word price
+     */
+    namesQuantity(text, match) {
+        if (this.quantityPattern.test(text)) return true;
+
+        return text.replace(match, ' ').replace(this.rangeOnlyPattern, '').length <= 3;
+    }
+
+    /**
+     * Columns holding tiered prices: two or more quantity-break headers, otherwise two or more
+     * price headers in different units ("Price each", "Price per pair"); empty when neither.
+     * Columns already read as another price (cost, RRP) are passed in as excluded
+     */
+    findTierColumns(headers = [], excluded = []) {
+        const columns = headers
+            .map((header, index) => ({
+                index,
+                header: String(header || '').trim(),
+                tier: this.tierFromHeader(header),
+                unit: this.unitFromText(header)
+            }))
+            .filter(column => !excluded.includes(column.index));
+
+        const breaks = columns.filter(column => column.tier);
+        if (breaks.length >= 2) {
+            return breaks.map(column => ({
+                index: column.index,
+                header: column.header,
+                ...column.tier,
+                ...(column.unit || {})
+            }));
+        }
+
+        const byUnit = columns.filter(column => column.unit && !this.isUnitHeader(column.header));
+        if (new Set(byUnit.map(column => column.unit.unit)).size >= 2) {
+            return byUnit.map(column => ({
+                index: column.index,
+                header: column.header,
+                minQuantity: 1,
+                maxQuantity: null,
+                label: column.unit.unit,
+                ...column.unit
+            }));
+        }
+
+        return [];
+    }
+
+    /**
+     * Priced tiers of one row, ordered by unit and quantity; parse reads a cell's price and unit
+     * is the product's own unit for columns that don't state one
+     */
+    tiersFromRow(row, columns, parse, unit) {
+        if (!columns || columns.length === 0) return [];
+
+        const tiers = [];
+
+        for (const column of columns) {
+            const value = row[column.index];
+            if (value === undefined || value === null || value === '') continue;
+
+            const price = parse(value);
+            if (!(price > 0)) continue;
+
+            tiers.push(this.tier(column, price, unit, column.header));
+        }
+
+        return tiers.length >= 2 ? this.sortTiers(tiers) : [];
+    }
+
+    /**
+     * Tiers written out on one line ("1-9: R12,50  10-49: R11,00  50+: R9,90") and where the first
+     * one starts, so the product name can be read from the text before it
+     */
+    tiersInLine(line, format, unit) {
+        const range = this.priceParser.pattern('(?:qty\\.?\\s*)?(\\d{1,5})\\s*(?:-|–|to)\\s*(\\d{1,5})\\s*(?:units?|pcs|off)?\\s*[:=@]?\\s*', 'gi', true);
+        const open = this.priceParser.pattern('(?:qty\\.?\\s*)?(\\d{1,5})\\s*\\+\\s*(?:units?|pcs|off)?\\s*[:=@]?\\s*', 'gi', true);
+        const found = [];
+        let match;
+
+        while ((match = range.exec(line)) !== null) {
+            const minQuantity = parseInt(match[1], 10);
+            const maxQuantity = parseInt(match[2], 10);
+            if (minQuantity < 1 || maxQuantity < minQuantity) continue;
+
+            found.push({ start: match.index, minQuantity, maxQuantity, label: `${minQuantity}-${maxQuantity}`, amount: match[3], raw: match[0] });
+        }
+
+        while ((match = open.exec(line)) !== null) {
+            const minQuantity = parseInt(match[1], 10);
+            if (minQuantity < 1) continue;
+
+            found.push({ start: match.index, minQuantity, maxQuantity: null, label: `${minQuantity}+`, amount: match[2], raw: match[0] });
+        }
+
+        const tiers = found
+            .map(tier => ({ ...tier, price: this.priceParser.toNumber(tier.amount, format) }))
+            .filter(tier => tier.price > 0);
+
+        if (tiers.length < 2) return { tiers: [], start: -1 };
+
+        return {
+            tiers: this.sortTiers(tiers.map(tier => this.tier(tier, tier.price, unit, tier.raw.trim()))),
+            start: Math.min(...tiers.map(tier => tier.start))
+        };
+    }
+
+    tier(source, price, unit, sourceText) {
+        const stated = source.unit ? { unit: source.unit, unitSize: source.unitSize } : null;
+        const measure = stated || unit || { unit: 'each', unitSize: 1 };
+
+        return {
+            minQuantity: source.minQuantity || 1,
+            maxQuantity: source.maxQuantity === undefined ? null : source.maxQuantity,
+            unit: measure.unit,
+            unitSize: measure.unitSize === undefined ? null : measure.unitSize,
+            label: source.label,
+            price: price,
+            source: sourceText
+        };
+    }
+
+    sortTiers(tiers) {
+        return tiers.sort((a, b) => a.unit === b.unit ? a.minQuantity - b.minQuantity : a.unit.localeCompare(b.unit));
+    }
+
+    /**
+     * Tier a product is priced from for a single unit: the smallest break in the product's unit
+     */
+    baseTier(tiers, unit) {
+        if (!tiers || tiers.length === 0) return null;
+
+        const inUnit = tiers.filter(tier => !unit || tier.unit === unit.unit);
+        return (inUnit.length > 0 ? inUnit : tiers).reduce((best, tier) => tier.minQuantity < best.minQuantity ? tier : best);
+    }
+
+    /**
+     * Unit a product is sold in: the one its row or line states, else its base tier's
+     */
+    productUnit(unit, baseTier) {
+        if (unit) return unit;
+        return baseTier ? { unit: baseTier.unit, unitSize: baseTier.unitSize } : null;
+    }
+}
+
+module.exports = PriceTierExtractor;
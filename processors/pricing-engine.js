@@ -0,0 +1,337 @@
+
+const PricingRuleStore = require('../utils/pricing-rule-store');
+const PriceRounder = require('./price-rounder');
+const LandedCostCalculator = require('./landed-cost-calculator');
+const RuleResolver = require('./rule-resolver');
+
+/**
+ * Pricing Engine for Audico Pricelist Processing
+ * Turns list prices into cost and retail prices for every extraction path, taking the markup
+ * from the most specific pricing rule (supplier, brand, category, cost band) that matches
+ * and rounding computed retail prices with the supplier's or category's rounding rule; foreign
+ * currency lists are first taken to a ZAR landed cost in the landed_cost price type; VAT is the
+ * rate in force on the pricelist's effective date unless the upload overrides it. A promo price is
+ * priced the same way and is the final price only while its window is open
+ */
+class PricingEngine {
+    constructor(options = {}) {
+        this.logger = options.logger || console;
+        this.ruleStore = options.ruleStore ||
+            (options.supabase ? new PricingRuleStore({ supabase: options.supabase, logger: this.logger }) : null);
+        // Markup, rounding and landed-cost rules are all picked the same way
+        this.resolver = options.resolver || new RuleResolver();
+        this.rounder = options.rounder || new PriceRounder({ resolver: this.resolver });
+        this.landedCost = options.landedCost || new LandedCostCalculator({ resolver: this.resolver });
+
+        // VAT when neither the upload nor the vat_rates table gives one
+        this.defaultVatRate = options.defaultVatRate || parseFloat(process.env.DEFAULT_VAT_RATE || '15');
+    }
+
+    /**
+     * Price products with the rules stored for their supplier; the upload's margin applies where none match
+     */
+    async applyPricing(products, options = {}) {
+        const rules = await this.loadRules(options.supplier);
+        this.checkRates(products, rules, options);
+        return this.priceProducts(products, rules, options);
+    }
+
+    /**
+     * Markup, rounding and landed-cost rules for a supplier, exchange rates and VAT rates; a store
+     * failure prices everything at the upload margin with the default rounding and VAT
+     */
+    async loadRules(supplier) {
+        const rules = { markup: [], rounding: [], landedCost: [], exchangeRates: [], vatRates: [] };
+        if (!this.ruleStore) return rules;
+
+        try {
+            rules.markup = await this.ruleStore.getRules(supplier);
+            rules.rounding = await this.ruleStore.getRoundingRules(supplier);
+            rules.landedCost = await this.ruleStore.getLandedCostRules(supplier);
+            rules.exchangeRates = await this.ruleStore.listExchangeRates();
+            rules.vatRates = await this.ruleStore.listVatRates();
+        } catch (error) {
+            this.logger.warn(`⚠️ Could not load pricing rules for ${supplier || 'all suppliers'}: ${error.message}`);
+        }
+
+        return rules;
+    }
+
+    /**
+     * Refuse a landed-cost run up front when a currency has no rate, rather than price it as Rand
+     */
+    checkRates(products, rules, options = {}) {
+        if (options.priceType !== 'landed_cost') return;
+
+        const currencies = products.map(product => this.sourceCurrency(product, options));
+        const missing = this.landedCost.missingRates(currencies, rules.exchangeRates || [], this.pricingDay(options));
+
+        if (missing.length > 0) {
+            const error = new Error(`No exchange rate to ZAR for ${missing.join(', ')}; add one under /api/exchange-rates`);
+            error.code = 'EXCHANGE_RATE_MISSING';
+            throw error;
+        }
+    }
+
+    /**
+     * Day prices are worked out for: the pricelist's effective date, else today
+     */
+    pricingDay(options = {}) {
+        const date = options.pricingDate ? new Date(options.pricingDate) : new Date();
+        return (isNaN(date.getTime()) ? new Date() : date).toISOString().substring(0, 10);
+    }
+
+    /**
+     * VAT to apply: the caller's rate (an upload override, or the rate stored on a product being
+     * re-priced), else the latest rate in the VAT table effective on the pricing day
+     */
+    resolveVat(rules = {}, options = {}) {
+        const override = parseFloat(options.vatRate);
+        if (!isNaN(override) && override >= 0) {
+            return { rate: override, source: options.vatRateSource || 'upload', effectiveFrom: null };
+        }
+
+        const day = this.pricingDay(options);
+        let best = null;
+
+        for (const rate of rules.vatRates || []) {
+            const effective = String(rate.effective_from).substring(0, 10);
+            if (effective > day) continue;
+            if (!best || effective > String(best.effective_from).substring(0, 10)) best = rate;
+        }
+
+        return best
+            ? { rate: parseFloat(best.rate_percent), source: 'table', effectiveFrom: String(best.effective_from).substring(0, 10) }
+            : { rate: this.defaultVatRate, source: 'default', effectiveFrom: null };
+    }
+
+    /**
+     * Currency of a product's list price: the upload's currency, else what extraction detected
+     */
+    sourceCurrency(product, options = {}) {
+        const currency = options.currency || product.currency ||
+            (product.priceAnalysis && product.priceAnalysis.primaryCurrency) || 'ZAR';
+        return String(currency).toUpperCase();
+    }
+
+    priceProducts(products, rules, options = {}) {
+        const priced = products.map(product => this.price(product, rules, options));
+        const byRule = priced.filter(product => product.pricing_rule_id).length;
+
+        this.logger.info(`💰 Priced ${priced.length} products (${options.priceType || 'default'}): ${byRule} by pricing rules, ${priced.length - byRule} at the upload margin of ${options.marginPercentage || 0}%`);
+
+        return priced;
+    }
+
+    /**
+     * Cost, retail and final price of one product, with the rule that set its markup
+     */
+    price(product, rules = {}, options = {}) {
+        const originalPrice = parseFloat(product.price) || 0;
+        const vat = this.resolveVat(rules, options);
+        const vatRate = vat.rate;
+        const vatMultiplier = 1 + vatRate / 100;
+        const currency = this.sourceCurrency(product, options);
+
+        // Landed-cost lists are priced from the ZAR cost of getting the product here
+        const landed = options.priceType === 'landed_cost'
+            ? this.landedCost.calculate(originalPrice, currency, product, { rates: rules.exchangeRates, rules: rules.landedCost }, { ...options, pricingDate: this.pricingDay(options) })
+            : null;
+        const basePrice = landed ? landed.landedCost : originalPrice;
+
+        const resolved = this.resolveRule(product, rules.markup || [], this.bandPrice(basePrice, options.priceType, vatMultiplier), options);
+        const markup = resolved ? parseFloat(resolved.rule.markup_percent) : (options.marginPercentage || 0);
+        const markupMultiplier = 1 + markup / 100;
+
+        let costPrice;
+        let retailPrice;
+
+        switch (options.priceType) {
+            case 'landed_cost':
+                // Landed cost excludes VAT, add VAT first, then markup
+                costPrice = basePrice * vatMultiplier;
+                retailPrice = costPrice * markupMultiplier;
+                break;
+
+            case 'cost_including_vat':
+                // Pricelist shows cost including VAT, add markup for retail
+                costPrice = originalPrice;
+                retailPrice = costPrice * markupMultiplier;
+                break;
+
+            case 'cost_excluding_vat':
+                // Pricelist shows cost excluding VAT, add VAT first, then markup
+                costPrice = originalPrice * vatMultiplier;
+                retailPrice = costPrice * markupMultiplier;
+                break;
+
+            case 'retail_including_vat':
+            default:
+                // Pricelist shows retail price, calculate cost by removing markup
+                retailPrice = originalPrice;
+                costPrice = originalPrice / markupMultiplier;
+        }
+
+        const unrounded = Math.round(retailPrice * 100) / 100;
+
+        // A retail list already carries the supplier's own shelf prices, so only computed ones are rounded
+        const computed = ['cost_including_vat', 'cost_excluding_vat', 'landed_cost'].includes(options.priceType);
+        const rounding = computed
+            ? this.rounder.round(unrounded, product, rules.rounding || [], options)
+            : { value: unrounded, strategy: 'none', ruleId: null };
+
+        const promo = this.pricePromo(product, originalPrice, retailPrice, rules, computed, options);
+        const promoActive = this.promoActive(promo);
+
+        return {
+            ...product,
+            original_price: originalPrice,
+            cost_price: Math.round(costPrice * 100) / 100,
+            retail_price: rounding.value,
+            final_price: promoActive ? promo.promo_price : rounding.value,
+            retail_price_unrounded: unrounded,
+            rounding_strategy: rounding.strategy,
+            rounding_rule_id: rounding.ruleId,
+            markup_percentage: markup,
+            vat_rate: vatRate,
+            vat_rate_source: vat.source,
+            pricing_date: this.pricingDay(options),
+            price_calculation_method: options.priceType,
+            source_currency: currency,
+            exchange_rate: landed ? landed.exchangeRate : null,
+            landed_cost: landed ? landed.landedCost : null,
+            cost_breakdown: landed ? landed.breakdown : null,
+            price_tiers: this.priceTiers(product.priceTiers || product.price_tiers, originalPrice, costPrice, retailPrice, product, rules, computed, options),
+            ...promo,
+            promo_active: promoActive,
+            pricing_rule_id: resolved ? resolved.rule.id : null,
+            pricing_rule: resolved
+                ? {
+                    id: resolved.rule.id,
+                    name: resolved.rule.name || null,
+                    source: 'rule',
+                    matchedOn: resolved.matchedOn,
+                    markupPercent: markup
+                }
+                : { id: null, name: 'Upload margin', source: 'upload', matchedOn: [], markupPercent: markup }
+        };
+    }
+
+    /**
+     * Cost and retail of each quantity break; every price type is linear in the list price, so a
+     * break's prices scale with the product's own and are then rounded the same way
+     */
+    priceTiers(tiers, originalPrice, costPrice, retailPrice, product, rules, computed, options) {
+        if (!Array.isArray(tiers) || tiers.length === 0 || !(originalPrice > 0)) return null;
+
+        return tiers.map(tier => {
+            const unrounded = Math.round(tier.price * retailPrice / originalPrice * 100) / 100;
+
+            return {
+                ...tier,
+                costPrice: Math.round(tier.price * costPrice / originalPrice * 100) / 100,
+                retailPrice: computed ? this.rounder.round(unrounded, product, rules.rounding || [], options).value : unrounded
+            };
+        });
+    }
+
+    /**
+     * Retail price of a promo, scaled from the product's own pricing like a quantity break, with
+     * the window it runs for; all null when the product has no promo
+     */
+    pricePromo(product, originalPrice, retailPrice, rules, computed, options) {
+        const promoPrice = parseFloat(product.promoPrice);
+
+        if (!(promoPrice > 0) || !(originalPrice > 0)) {
+            return { promo_original_price: null, promo_price: null, promo_starts_at: null, promo_ends_at: null };
+        }
+
+        const unrounded = Math.round(promoPrice * retailPrice / originalPrice * 100) / 100;
+
+        return {
+            promo_original_price: promoPrice,
+            promo_price: computed ? this.rounder.round(unrounded, product, rules.rounding || [], options).value : unrounded,
+            promo_starts_at: product.promoStartsAt || null,
+            promo_ends_at: product.promoEndsAt || null
+        };
+    }
+
+    /**
+     * Whether a product's promo runs on a day (today unless given); open-ended on a side without a date
+     */
+    promoActive(row, day = this.pricingDay()) {
+        if (!(parseFloat(row.promo_price) > 0)) return false;
+
+        const startsAt = row.promo_starts_at ? String(row.promo_starts_at).substring(0, 10) : null;
+        const endsAt = row.promo_ends_at ? String(row.promo_ends_at).substring(0, 10) : null;
+
+        return (!startsAt || startsAt <= day) && (!endsAt || endsAt >= day);
+    }
+
+    /**
+     * Price a products row sells at on a day: its promo price while the promo runs, else its retail price
+     */
+    activePrice(row, day = this.pricingDay()) {
+        return this.promoActive(row, day) ? parseFloat(row.promo_price) : parseFloat(row.retail_price);
+    }
+
+    /**
+     * Price the cost band is read from: the ZAR cost including VAT, or the list price of a retail list
+     */
+    bandPrice(basePrice, priceType, vatMultiplier) {
+        return priceType === 'cost_excluding_vat' || priceType === 'landed_cost' ? basePrice * vatMultiplier : basePrice;
+    }
+
+    /**
+     * Most specific matching rule: most scopes matched, then priority, then the weightier scopes
+     */
+    resolveRule(product, rules, bandPrice, options = {}) {
+        return this.resolver.resolve(rules, rule => this.matchRule(rule, product, bandPrice, options));
+    }
+
+    /**
+     * Scopes a rule matched on, or null when any of its scopes does not fit the product
+     */
+    matchRule(rule, product, bandPrice, options) {
+        const matchedOn = [];
+
+        if (rule.supplier) {
+            if (!this.resolver.sameText(rule.supplier, product.supplier || options.supplier)) return null;
+            matchedOn.push('supplier');
+        }
+
+        if (rule.brand) {
+            if (!this.matchesBrand(rule.brand, product)) return null;
+            matchedOn.push('brand');
+        }
+
+        if (rule.category) {
+            if (!this.resolver.sameText(rule.category, product.category)) return null;
+            matchedOn.push('category');
+        }
+
+        const hasMin = rule.min_cost !== null && rule.min_cost !== undefined;
+        const hasMax = rule.max_cost !== null && rule.max_cost !== undefined;
+        if (hasMin || hasMax) {
+            if (hasMin && bandPrice < parseFloat(rule.min_cost)) return null;
+            if (hasMax && bandPrice >= parseFloat(rule.max_cost)) return null;
+            matchedOn.push('cost_band');
+        }
+
+        return matchedOn;
+    }
+
+    /**
+     * Brand from a brand column, otherwise the leading words of the product name ("Denon AVR-X3800H")
+     */
+    matchesBrand(brand, product) {
+        if (product.brand) return this.resolver.sameText(brand, product.brand);
+
+        const name = String(product.name || '').toLowerCase();
+        const wanted = String(brand).toLowerCase().trim();
+
+        return name.startsWith(wanted) && !/[a-z0-9]/.test(name.charAt(wanted.length));
+    }
+}
+
+module.exports = PricingEngine;
@@ -0,0 +1,222 @@
+const PriceParser = require('./price-parser');
+
+/**
+ * Promo Price Extractor for Audico Pricelist Processing
+ * Finds promotional prices ("Promo Price" or "Special" columns, "Promo R 8 999" on a line) and the
+ * window they run for: "valid until 31 October", "1-31 Oct 2026", promo start and end columns,
+ * or a footnote that covers the whole list
+ */
+class PromoPriceExtractor {
+    constructor(options = {}) {
+        this.priceParser = options.priceParser || new PriceParser();
+
+        this.promoPattern = /\b(?:promo(?:tion(?:al)?)?|specials?|sale|deal|offer|clearance)\b/i;
+        this.validityPattern = /\b(?:valid|until|till|ends?|expir(?:y|es)|runs?)\b/i;
+
+        // Words before a date that make it the first or the last day of a promo
+        this.startWords = /\b(?:start(?:s|ing)?|from|begin(?:s|ning)?|effective)\b/gi;
+        this.endWords = /\b(?:end(?:s|ing)?|until|till|to|expir(?:y|es|ing)|valid)\b/gi;
+
+        this.months = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+
+        // "2026-10-31", "31/10/2026", "31/10", "31.10.2026", "31 October 2026", "31st Oct", "October 31, 2026";
+        // dotted dates need a year so "5.10" is never a date
+        const month = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+        this.datePattern = new RegExp([
+            '\\b(\\d{4})-(\\d{1,2})-(\\d{1,2})\\b',
+            '\\b(\\d{1,2})(?:/(\\d{1,2})(?:/(\\d{2,4}))?|\\.(\\d{1,2})\\.(\\d{2,4}))\\b',
+            `\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${month}(?:\\s+(\\d{4}))?`,
+            `\\b${month}\\s+(\\d{1,2})(?!\\d)(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?`
+        ].join('|'), 'gi');
+
+        // "1-31 October 2026": one month shared by both days
+        this.dayRangePattern = new RegExp(`\\b(\\d{1,2})\\s*(?:-|–|to)\\s*(\\d{1,2})(?:st|nd|rd|th)?\\s+${month}(?:\\s+(\\d{4}))?`, 'i');
+    }
+
+    /**
+     * Whether a column holds promo prices ("Promo Price", "Special", "Sale Price valid until 31 Oct")
+     * rather than promo dates ("Promo Start", "Promo Ends")
+     */
+    isPromoHeader(header) {
+        const text = String(header || '');
+        return this.promoPattern.test(text) && !this.promoDateColumn(text);
+    }
+
+    /**
+     * 'start' or 'end' for a promo date column, else null
+     */
+    promoDateColumn(header) {
+        const text = String(header || '');
+        if (!this.promoPattern.test(text) && !/\bvalid\b/i.test(text)) return null;
+        if (/\bprice\b/i.test(text) || this.datesIn(text).length > 0) return null;
+
+        if (/\b(?:start(?:s|ing)?|from|begin(?:s|ning)?)\b/i.test(text)) return 'start';
+        if (/\b(?:end(?:s|ing)?|until|till|to|expir(?:y|es|ing)?)\b/i.test(text)) return 'end';
+
+        return null;
+    }
+
+    /**
+     * Promo price column, promo date columns and any window written in the price column's header
+     */
+    findPromoColumns(headers = [], referenceDay) {
+        const columns = { price: -1, start: -1, end: -1, window: null };
+
+        headers.forEach((header, index) => {
+            const dateColumn = this.promoDateColumn(header);
+
+            if (dateColumn && columns[dateColumn] < 0) {
+                columns[dateColumn] = index;
+            } else if (columns.price < 0 && this.isPromoHeader(header)) {
+                columns.price = index;
+                columns.window = this.windowFromText(String(header), referenceDay);
+            }
+        });
+
+        return columns;
+    }
+
+    /**
+     * Window stated by a footnote such as "Promo prices valid until 31 October", or null; a line
+     * carrying a price is a product's own promo, not a footnote
+     */
+    documentWindow(lines = [], referenceDay) {
+        for (const line of lines) {
+            const text = String(line || '');
+            if (text.length > 200 || !this.promoPattern.test(text) || !this.validityPattern.test(text)) continue;
+            if (this.priceParser.findAll(text).length > 0) continue;
+
+            const window = this.windowFromText(text, referenceDay);
+            if (window) return { ...window, source: text.trim() };
+        }
+
+        return null;
+    }
+
+    /**
+     * First and last day of a promo written in text; either can be null ("valid until 31 Oct"
+     * has no start). Null when the text holds no date
+     */
+    windowFromText(text, referenceDay) {
+        // Amounts are cut out first so "R 5/10" or a price's cents are never read as a date
+        const cleaned = this.withoutPrices(String(text || ''));
+        const year = this.referenceYear(referenceDay);
+
+        const range = cleaned.match(this.dayRangePattern);
+        if (range) {
+            const month = this.months[range[3].toLowerCase()];
+            const rangeYear = range[4] ? parseInt(range[4], 10) : year;
+            const startsAt = this.toDay(rangeYear, month, parseInt(range[1], 10));
+            const endsAt = this.toDay(rangeYear, month, parseInt(range[2], 10));
+            if (startsAt && endsAt && startsAt <= endsAt) return { startsAt, endsAt };
+        }
+
+        const dates = this.datesIn(cleaned, referenceDay);
+        if (dates.length === 0) return null;
+
+        if (dates.length >= 2) {
+            const [start, end] = dates;
+            const startsAt = !start.hasYear && start.day > end.day ? this.shiftYear(start.day, -1) : start.day;
+            return { startsAt, endsAt: end.day };
+        }
+
+        return this.isStartDate(cleaned.substring(0, dates[0].index))
+            ? { startsAt: dates[0].day, endsAt: null }
+            : { startsAt: null, endsAt: dates[0].day };
+    }
+
+    /**
+     * Day a promo date cell holds: an Excel date serial, a Date, or a date written as text
+     */
+    dateFromCell(value, referenceDay) {
+        if (value === null || value === undefined || value === '') return null;
+
+        if (value instanceof Date) {
+            return isNaN(value.getTime()) ? null : value.toISOString().substring(0, 10);
+        }
+
+        if (typeof value === 'number' || /^\d{5}(?:\.\d+)?$/.test(String(value).trim())) {
+            const serial = parseFloat(value);
+            if (serial < 20000 || serial > 80000) return null;
+            return new Date(Math.round((serial - 25569) * 86400000)).toISOString().substring(0, 10);
+        }
+
+        const dates = this.datesIn(String(value), referenceDay);
+        return dates.length > 0 ? dates[0].day : null;
+    }
+
+    /**
+     * Dates in text, in order, as YYYY-MM-DD; ones without a year take the reference day's year
+     */
+    datesIn(text, referenceDay) {
+        const year = this.referenceYear(referenceDay);
+        const dates = [];
+        const pattern = new RegExp(this.datePattern.source, 'gi');
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            let parts;
+
+            if (match[1]) {
+                parts = { year: match[1], month: match[2], day: match[3] };
+            } else if (match[4]) {
+                parts = { day: match[4], month: match[5] || match[7], year: match[5] ? match[6] : match[8] };
+            } else if (match[9]) {
+                parts = { day: match[9], month: this.months[match[10].toLowerCase()], year: match[11] };
+            } else {
+                parts = { month: this.months[match[12].toLowerCase()], day: match[13], year: match[14] };
+            }
+
+            const fullYear = parts.year
+                ? (String(parts.year).length === 2 ? 2000 + parseInt(parts.year, 10) : parseInt(parts.year, 10))
+                : year;
+            const day = this.toDay(fullYear, parseInt(parts.month, 10), parseInt(parts.day, 10));
+
+            if (day) {
+                dates.push({ day, index: match.index, hasYear: !!parts.year });
+            }
+        }
+
+        return dates;
+    }
+
+    /**
+     * Whether the words just before a lone date make it the promo's first day; "valid from 1 Oct"
+     * does, "valid until 31 Oct" and a bare "valid 31 Oct" do not
+     */
+    isStartDate(before) {
+        const lastIndex = (pattern) => {
+            let last = -1;
+            for (const match of before.matchAll(new RegExp(pattern.source, 'gi'))) last = match.index;
+            return last;
+        };
+
+        const start = lastIndex(this.startWords);
+        return start >= 0 && start >= lastIndex(this.endWords);
+    }
+
+    withoutPrices(text) {
+        return this.priceParser.currencyPatterns('g')
+            .reduce((result, pattern) => result.replace(pattern, match => ' '.repeat(match.length)), text);
+    }
+
+    referenceYear(referenceDay) {
+        const date = referenceDay ? new Date(referenceDay) : new Date();
+        return isNaN(date.getTime()) ? new Date().getUTCFullYear() : date.getUTCFullYear();
+    }
+
+    toDay(year, month, day) {
+        if (!(month >= 1 && month <= 12) || !(day >= 1 && day <= 31)) return null;
+
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCMonth() !== month - 1) return null;
+
+        return date.toISOString().substring(0, 10);
+    }
+
+    shiftYear(day, years) {
+        return `${parseInt(day.substring(0, 4), 10) + years}${day.substring(4)}`;
+    }
+}
+
+module.exports = PromoPriceExtractor;
@@ -0,0 +1,113 @@
+const XLSX = require('xlsx');
+
+/**
+ * Provenance Recorder for Audico Pricelist Processing
+ * Records where each product was read from (file, job, page, line or sheet and cell range, the
+ * source text, the extraction method and why its price was picked) so a wrong price can be traced
+ * back to the exact spot in the supplier's list
+ */
+class ProvenanceRecorder {
+    constructor(options = {}) {
+        // Catalog blocks can run to many lines; the start is enough to find them
+        this.maxTextLength = options.maxTextLength || 500;
+    }
+
+    /**
+     * Provenance record of an extracted product. The context gives the file name, the job id,
+     * the extraction method when the product does not name one, and the text lines of each page.
+     * line counts within the page; documentLine counts non-empty lines of the whole extracted text
+     */
+    record(product, context = {}) {
+        const rawText = this.sourceText(product);
+        const located = this.locate(rawText, context.pageLines);
+        const page = product.page || product.ocrPage || (located && located.pageNumber) || null;
+
+        return {
+            fileName: context.filename || null,
+            jobId: context.jobId || null,
+            page: page,
+            line: located && located.pageNumber === page ? located.line : null,
+            documentLine: product.sourceLine || null,
+            sheet: product.sheetName || product.sheet || null,
+            cellRange: product.cellRange || null,
+            rawText: rawText,
+            method: product.extractionMethod || context.method || null,
+            priceSelectionReason: product.priceSelectionReason || null
+        };
+    }
+
+    /**
+     * Text the product was read from: its line, its spreadsheet row, or its catalog block
+     */
+    sourceText(product) {
+        const text = product.sourceText ||
+            product.rawLine ||
+            (product.blockData && product.blockData.join('\n')) ||
+            (product.columnData && product.columnData.text) ||
+            null;
+
+        return text ? String(text).substring(0, this.maxTextLength) : null;
+    }
+
+    /**
+     * Range of a row's filled cells, such as "B12:H12". Rows are read from the sheet's first
+     * cell, so the origin (0-based) shifts them back to where they sit in the workbook
+     */
+    cellRange(row, rowIndex, origin = { row: 0, column: 0 }) {
+        const filled = (row || [])
+            .map((cell, index) => (cell === '' || cell === null || cell === undefined ? -1 : index))
+            .filter(index => index >= 0);
+
+        if (filled.length === 0) return null;
+
+        const r = origin.row + rowIndex;
+        return XLSX.utils.encode_range({
+            s: { r: r, c: origin.column + filled[0] },
+            e: { r: r, c: origin.column + filled[filled.length - 1] }
+        });
+    }
+
+    /**
+     * Page whose text holds the product's first source line, and the line's number on that page
+     * (1-based, non-empty lines); null when the document's pages are not known or the line is not found
+     */
+    locate(text, pageLines = []) {
+        if (!text || !Array.isArray(pageLines)) return null;
+
+        const first = text.split('\n')[0].trim();
+
+        for (const entry of pageLines) {
+            const index = entry.lines.findIndex(line =>
+                line === first || line.includes(first) || (line.length >= 10 && first.includes(line))
+            );
+
+            if (index >= 0) {
+                return { pageNumber: entry.pageNumber, line: index + 1 };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Where to look, in words: "prices.xlsx, sheet Audio, B12:H12", "prices.pdf, page 3, line 12",
+     * or "prices.pdf, line 41 of the extracted text" when the page is not known
+     */
+    describe(provenance) {
+        if (!provenance) return null;
+
+        const parts = [provenance.fileName || 'unknown file'];
+        if (provenance.sheet) parts.push(`sheet ${provenance.sheet}`);
+        if (provenance.cellRange) parts.push(provenance.cellRange);
+        if (provenance.page) parts.push(`page ${provenance.page}`);
+        if (provenance.page && provenance.line) {
+            parts.push(`line ${provenance.line}`);
+        } else if (!provenance.page && provenance.documentLine) {
+            parts.push(`line ${provenance.documentLine} of the extracted text`);
+        }
+
+        return parts.join(', ');
+    }
+}
+
+module.exports = ProvenanceRecorder;
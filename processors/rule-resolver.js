@@ -0,0 +1,72 @@
+
+/**
+ * Rule Resolver for Audico Pricing
+ * Picks the rule that applies to a product the same way for markup, rounding and landed-cost
+ * rules: most scopes matched, then priority, then the weightier scopes
+ */
+class RuleResolver {
+    constructor(options = {}) {
+        // Breaks ties between rules that match on the same number of scopes at the same priority
+        this.scopeWeights = options.scopeWeights || { brand: 8, category: 4, supplier: 2, cost_band: 1 };
+    }
+
+    /**
+     * Most specific active rule, with the scopes it matched on; match gives the scopes a rule
+     * matched on, or null when the rule does not fit the product
+     */
+    resolve(rules, match) {
+        let best = null;
+
+        for (const rule of rules || []) {
+            if (rule.is_active === false) continue;
+
+            const matchedOn = match(rule);
+            if (!matchedOn) continue;
+
+            const candidate = {
+                rule,
+                matchedOn,
+                priority: parseFloat(rule.priority) || 0,
+                weight: matchedOn.reduce((sum, scope) => sum + (this.scopeWeights[scope] || 0), 0)
+            };
+
+            if (!best || this.compareCandidates(candidate, best) > 0) {
+                best = candidate;
+            }
+        }
+
+        return best;
+    }
+
+    compareCandidates(a, b) {
+        if (a.matchedOn.length !== b.matchedOn.length) return a.matchedOn.length - b.matchedOn.length;
+        if (a.priority !== b.priority) return a.priority - b.priority;
+        return a.weight - b.weight;
+    }
+
+    /**
+     * Supplier and category scopes of a rule that fit the product, or null when either does not;
+     * the upload's supplier stands in for products that do not carry one
+     */
+    matchScopes(rule, product, options = {}) {
+        const matchedOn = [];
+
+        if (rule.supplier) {
+            if (!this.sameText(rule.supplier, product.supplier || options.supplier)) return null;
+            matchedOn.push('supplier');
+        }
+
+        if (rule.category) {
+            if (!this.sameText(rule.category, product.category)) return null;
+            matchedOn.push('category');
+        }
+
+        return matchedOn;
+    }
+
+    sameText(a, b) {
+        return !!b && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+    }
+}
+
+module.exports = RuleResolver;
@@ -0,0 +1,128 @@
+
+/**
+ * SKU / Model Number Extractor for Audico Pricelist Processing
+ * Finds model codes such as "AVR-X3800H" or "PM7000N" in spreadsheet columns and PDF lines
+ */
+class SkuExtractor {
+    constructor(options = {}) {
+        // Header names in order of preference; the first matching column wins
+        this.headerPatterns = options.headerPatterns || [
+            /^sku\b|\bsku$/i,
+            /\bmodel\s*(?:no\.?|number|code|#)?$/i,
+            /\bpart\s*(?:no\.?|number|code|#)\b|^part$/i,
+            /\b(?:item|product|stock|article)\s*(?:code|no\.?|number|#)\b/i,
+            /^code$|\bcode$/i
+        ];
+
+        // Columns that hold codes we never quote on
+        this.excludedHeaders = options.excludedHeaders || /barcode|ean|upc|gtin|hs\s*code|tariff|zip|postal/i;
+
+        // A model code mixes capitals and digits, optionally joined by - / . +
+        this.codePattern = options.codePattern || /^(?=[A-Z0-9\-/.+]*\d)(?=[A-Z0-9\-/.+]*[A-Z])[A-Z0-9][A-Z0-9\-/.+]{2,24}$/;
+
+        // Tokens that look like codes but are specs or prices
+        this.specPattern = /^\d+(?:\.\d+)?(?:W|V|A|HZ|KHZ|MHZ|MM|CM|M|DB|OHM|MP|K|GB|TB|CH|IN|KG)$/i;
+        this.pricePattern = /^(?:R|ZAR)\d/i;
+    }
+
+    /**
+     * Check whether a header names a SKU / model number column
+     */
+    isSkuHeader(header) {
+        const text = this.cleanHeader(header);
+        if (!text || this.excludedHeaders.test(text)) return false;
+
+        return this.headerPatterns.some(pattern => pattern.test(text));
+    }
+
+    /**
+     * Index of the best SKU column in a header row, or -1
+     */
+    findSkuColumn(headers) {
+        for (const pattern of this.headerPatterns) {
+            const index = headers.findIndex(header => {
+                const text = this.cleanHeader(header);
+                return text && !this.excludedHeaders.test(text) && pattern.test(text);
+            });
+
+            if (index >= 0) return index;
+        }
+
+        return -1;
+    }
+
+    cleanHeader(header) {
+        return String(header || '').replace(/[_\s]+/g, ' ').trim();
+    }
+
+    /**
+     * Find a leading model code in a line of text, skipping item numbers and a brand word
+     */
+    extractFromText(text, patterns = []) {
+        if (!text) return null;
+
+        const line = String(text).trim().replace(/^\d{1,4}[.)]\s+/, '');
+
+        // Supplier-specific patterns capture the code in their first group
+        for (const pattern of patterns || []) {
+            // Configurations loaded from the database carry patterns as strings
+            const regex = typeof pattern === 'string' ? new RegExp(pattern) : pattern;
+            if (!(regex instanceof RegExp)) continue;
+
+            const match = line.match(regex);
+            if (match && match[1] && this.isCode(match[1])) {
+                return this.normalize(match[1]);
+            }
+        }
+
+        const tokens = line.split(/\s+/);
+
+        if (this.isCode(tokens[0])) {
+            return this.normalize(tokens[0]);
+        }
+
+        // "Denon AVR-X3800H ..." - brand names are plain words ahead of the code
+        if (tokens.length > 2 && /^[A-Z][A-Za-z&]+$/.test(tokens[0]) && this.isCode(tokens[1])) {
+            return this.normalize(tokens[1]);
+        }
+
+        return null;
+    }
+
+    isCode(token) {
+        if (!token) return false;
+
+        const cleaned = token.replace(/[,:;]$/, '');
+
+        return this.codePattern.test(cleaned) &&
+            !this.specPattern.test(cleaned) &&
+            !this.pricePattern.test(cleaned);
+    }
+
+    normalize(sku) {
+        return String(sku).trim().replace(/[,:;]$/, '').replace(/\s+/g, '').toUpperCase();
+    }
+
+    /**
+     * Give every product a SKU, keeping values read from a dedicated column
+     */
+    assignSkus(products, patterns = []) {
+        for (const product of products) {
+            if (product.sku) {
+                product.sku = this.normalize(product.sku);
+                product.skuSource = product.skuSource || 'column';
+                continue;
+            }
+
+            const sku = this.extractFromText(product.rawLine, patterns) ||
+                this.extractFromText(product.name, patterns);
+
+            product.sku = sku;
+            product.skuSource = sku ? 'text' : null;
+        }
+
+        return products;
+    }
+}
+
+module.exports = SkuExtractor;
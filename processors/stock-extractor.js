@@ -0,0 +1,158 @@
+const PromoPriceExtractor = require('./promo-price-extractor');
+
+/**
+ * Stock Extractor for Audico Pricelist Processing
+ * Reads stock on hand, stock status ("In Stock", "Out of stock", "On order") and ETA dates from
+ * distributor "Stock", "SOH", "Available", "Status" and "ETA" columns and from PDF lines
+ */
+class StockExtractor {
+    constructor(options = {}) {
+        // ETA cells and phrases are read the way promo dates are
+        this.dates = options.dates || new PromoPriceExtractor({ priceParser: options.priceParser });
+
+        this.quantityHeaderPattern = /^(?:stock|soh|s\.o\.h\.?|stock\s+on\s+hand|on\s+hand|in\s+stock|free\s+stock|stock\s+(?:qty|quantity|level|available)|qty\s+(?:on\s+hand|available|in\s+stock)|available(?:\s+(?:qty|quantity|stock))?|avail\.?|[a-z]{2,4}\s+(?:stock|soh))$/i;
+        this.statusHeaderPattern = /^(?:stock\s+status|availability|status|stock\s+availability)$/i;
+        this.etaHeaderPattern = /^(?:eta|eta\s+date|expected(?:\s+(?:date|arrival|delivery))?|due(?:\s+date)?|arrival(?:\s+date)?|next\s+(?:delivery|shipment|arrival)|incoming(?:\s+date)?)$/i;
+
+        // Status text, checked in order since "Out of stock" also says "stock"
+        this.statusPatterns = [
+            { status: 'on_order', pattern: /\b(?:on\s+order|back\s*-?\s*order(?:ed)?|in\s+transit|incoming|eta\b|arriving)/i },
+            { status: 'out_of_stock', pattern: /\b(?:out\s+of\s+stock|no\s+stock|sold\s+out|unavailable|not\s+available|oos)\b|^(?:no|n|nil|none|x|-)$/i },
+            { status: 'low_stock', pattern: /\b(?:low\s+stock|limited(?:\s+stock)?|last\s+(?:few|units?)|few\s+left)\b/i },
+            { status: 'in_stock', pattern: /\b(?:in\s+stock|ex\s+stock|available|stock\s+available)\b|^(?:yes|y|ok|✓|✔)$/i }
+        ];
+
+        // Stock written on a PDF line: "SOH: 12", "Stock 5", "In Stock", "Out of Stock", "ETA 15 Nov"
+        this.lineQuantityPattern = /\b(?:soh|stock(?:\s+on\s+hand)?|avail(?:able)?|qty\s+available)\s*[:=]?\s*(>|\+)?\s*(\d{1,6})(\+)?(?![\d.,])/i;
+        this.linePhrasePattern = /\b(?:in\s+stock|ex\s+stock|out\s+of\s+stock|no\s+stock|sold\s+out|on\s+order|back\s*-?\s*order(?:ed)?|low\s+stock|limited\s+stock)\b/i;
+        this.lineEtaPattern = /\b(?:eta|expected|due|arriving)\s*[:\-]?\s*([^,;|]{3,30})/i;
+    }
+
+    /**
+     * Stock quantity, status and ETA columns; each is -1 when the sheet has none. Several
+     * quantity columns ("JHB Stock", "CPT Stock") are added together
+     */
+    findStockColumns(headers = []) {
+        const columns = { quantity: [], status: -1, eta: -1 };
+
+        headers.forEach((header, index) => {
+            const text = String(header || '').replace(/[_\s]+/g, ' ').trim();
+            if (!text) return;
+
+            if (this.etaHeaderPattern.test(text)) {
+                if (columns.eta < 0) columns.eta = index;
+            } else if (this.statusHeaderPattern.test(text)) {
+                if (columns.status < 0) columns.status = index;
+            } else if (this.quantityHeaderPattern.test(text)) {
+                columns.quantity.push(index);
+            }
+        });
+
+        return columns;
+    }
+
+    hasStockColumns(columns) {
+        return !!columns && (columns.quantity.length > 0 || columns.status >= 0 || columns.eta >= 0);
+    }
+
+    /**
+     * Stock of one row, or null when the row's stock cells are all empty
+     */
+    stockFromRow(row, columns, referenceDay) {
+        if (!this.hasStockColumns(columns)) return null;
+
+        let quantity = null;
+        let statusText = null;
+
+        for (const index of columns.quantity) {
+            const cell = this.readCell(row[index]);
+            if (cell.quantity !== null) quantity = (quantity || 0) + cell.quantity;
+            if (cell.text && !statusText) statusText = cell.text;
+        }
+
+        if (columns.status >= 0) {
+            const cell = this.readCell(row[columns.status]);
+            if (cell.text) statusText = cell.text;
+            if (quantity === null && cell.quantity !== null) quantity = cell.quantity;
+        }
+
+        const etaCell = columns.eta >= 0 ? row[columns.eta] : null;
+        const eta = this.dates.dateFromCell(etaCell, referenceDay) ||
+            (statusText ? this.etaFromText(statusText, referenceDay) : null);
+
+        if (quantity === null && !statusText && !eta) return null;
+
+        return this.stock(quantity, statusText, eta);
+    }
+
+    /**
+     * Stock written on a PDF line, with where it starts so the product name can stop short of it;
+     * null when the line says nothing about stock
+     */
+    stockFromLine(line, referenceDay) {
+        const quantityMatch = line.match(this.lineQuantityPattern);
+        const phraseMatch = line.match(this.linePhrasePattern);
+        const etaMatch = line.match(this.lineEtaPattern);
+
+        const eta = etaMatch ? this.etaFromText(etaMatch[1], referenceDay) : null;
+        if (!quantityMatch && !phraseMatch && !eta) return null;
+
+        const quantity = quantityMatch ? parseInt(quantityMatch[2], 10) : null;
+        const stock = this.stock(quantity, phraseMatch ? phraseMatch[0] : (eta ? etaMatch[0] : null), eta);
+        const starts = [quantityMatch, phraseMatch, eta ? etaMatch : null].filter(Boolean).map(match => match.index);
+
+        return { ...stock, start: Math.min(...starts) };
+    }
+
+    /**
+     * Normalised stock record; a quantity decides the status unless the text says otherwise
+     */
+    stock(quantity, statusText, eta) {
+        let status = statusText ? this.statusFromText(statusText) : null;
+
+        if (!status && quantity !== null) {
+            status = quantity > 0 ? 'in_stock' : 'out_of_stock';
+        }
+        if (status === 'in_stock' && quantity === 0) {
+            status = 'out_of_stock';
+        }
+        if (!status && eta) {
+            status = 'on_order';
+        }
+
+        return {
+            stockQuantity: quantity,
+            stockStatus: status || 'unknown',
+            stockStatusText: statusText ? String(statusText).trim() : null,
+            stockEta: eta || null
+        };
+    }
+
+    statusFromText(text) {
+        const value = String(text).trim();
+        const found = this.statusPatterns.find(entry => entry.pattern.test(value));
+        return found ? found.status : null;
+    }
+
+    /**
+     * A stock cell: a count ("12", ">10", "10+"), or text ("In Stock", "Call", "ETA 15/11")
+     */
+    readCell(value) {
+        if (value === null || value === undefined || value === '') return { quantity: null, text: null };
+        if (typeof value === 'number') return { quantity: Math.max(0, Math.floor(value)), text: null };
+
+        const text = String(value).trim();
+        const count = text.match(/^(?:>|\+)?\s*(\d{1,6})(?:\.0+)?\s*\+?$/);
+
+        return count
+            ? { quantity: parseInt(count[1], 10), text: /^[>+]|\+$/.test(text) ? text : null }
+            : { quantity: null, text: text };
+    }
+
+    etaFromText(text, referenceDay) {
+        const dates = this.dates.datesIn(String(text), referenceDay);
+        return dates.length > 0 ? dates[0].day : null;
+    }
+}
+
+module.exports = StockExtractor;
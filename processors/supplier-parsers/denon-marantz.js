@@ -0,0 +1,240 @@
+const PriceParser = require('../price-parser');
+
+/**
+ * Denon / Marantz Pricelist Parser
+ * Two-price column format where each product lists an Old RRP followed by a New RRP
+ */
+class DenonMarantzParser {
+    constructor() {
+        this.name = 'denon-marantz';
+        this.version = '1.0.0';
+        this.suppliers = ['Denon', 'Marantz'];
+        this.documentTypes = ['pdf'];
+        this.priceParser = new PriceParser();
+
+        // "R9,990.00", "R 9 990,00" and the like; amounts are read by the price parser
+        const price = `R\\s*(${this.priceParser.amount})`;
+        this.patterns = {
+            singleLine: new RegExp(`^(.+?)\\s+${price}\\s+${price}$`),
+            mixedLine: new RegExp(`(.+?)\\s+${price}\\s+(.+?)\\s+${price}\\s+${price}$`),
+            twoPrices: new RegExp(`${price}\\s+${price}$`),
+            onePrice: new RegExp(`${price}$`),
+            anyPrice: new RegExp(price, 'g')
+        };
+    }
+
+    /**
+     * Recognise the format for suppliers that resell Denon/Marantz under their own name
+     */
+    fingerprint(documentContent) {
+        if (typeof documentContent !== 'string') return false;
+
+        return /Old\s+RRP/i.test(documentContent) &&
+            /New\s+RRP/i.test(documentContent) &&
+            /\b(Denon|Marantz)\b/i.test(documentContent);
+    }
+
+    /**
+     * Extract products, always preferring the New RRP column
+     */
+    async parse({ documentContent, supplierConfig, logger }) {
+        const lines = documentContent.split('\n').filter(line => line.trim().length > 0);
+        const numberFormat = this.priceParser.detectFormat(lines);
+        const toNumber = amount => this.priceParser.toNumber(amount, numberFormat);
+        const products = [];
+        const priceColumnsFound = [{
+            type: 'New RRP',
+            pattern: 'Denon/Marantz Column Format',
+            priority: 1
+        }];
+
+        logger.info(`🔍 Processing ${lines.length} lines for ${supplierConfig.supplierName} format`);
+        
+        // Clean and prepare lines
+        const cleanLines = lines.map(line => line.trim()).filter(line => 
+            line.length > 0 && 
+            !line.includes('##') &&
+            !line.match(/^(April|Black|White|AV Receivers|Denon Home)$/i)
+        );
+
+        for (let i = 0; i < cleanLines.length; i++) {
+            const line = cleanLines[i];
+            
+            // Skip header lines more thoroughly
+            if (line.includes('Old RRP') || line.includes('New RRP') || 
+                line.includes('April 2025') || line.length < 10) {
+                continue;
+            }
+
+            // Method 1: Single line with product name and two prices
+            // Pattern: "Product Name R9,990.00 R8,990.00"
+            const singleLineMatch = line.match(this.patterns.singleLine);
+            
+            if (singleLineMatch) {
+                const productName = singleLineMatch[1].trim();
+                const oldRRP = toNumber(singleLineMatch[2]);
+                const newRRP = toNumber(singleLineMatch[3]);
+                
+                logger.info(`✅ Single line format: ${productName} - Old: R${oldRRP} → New: R${newRRP} (Selected New)`);
+                
+                products.push({
+                    name: productName,
+                    price: newRRP, // Always use New RRP (second price)
+                    supplier: supplierConfig.supplierName,
+                    description: productName,
+                    specifications: '',
+                    category: 'uncategorized',
+                    priceType: 'New RRP',
+                    sourceLine: i + 1,
+                    oldRRP: oldRRP,
+                    newRRP: newRRP,
+                    priceSelectionReason: 'Selected New RRP over Old RRP (single line format)'
+                });
+                continue;
+            }
+
+            // Method 2: Product name with prices on same line but different format
+            // Pattern: "Product Name R9,990.00 AnotherProduct R11,990.00 R35,990.00"
+            const mixedLineMatch = line.match(this.patterns.mixedLine);
+            
+            if (mixedLineMatch) {
+                // First product
+                const product1Name = mixedLineMatch[1].trim();
+                const product1Price = toNumber(mixedLineMatch[2]);
+                
+                products.push({
+                    name: product1Name,
+                    price: product1Price,
+                    supplier: supplierConfig.supplierName,
+                    description: product1Name,
+                    specifications: '',
+                    category: 'uncategorized',
+                    priceType: 'RRP',
+                    sourceLine: i + 1,
+                    priceSelectionReason: 'Mixed line format - first product'
+                });
+                
+                // Second product with two prices (Old RRP, New RRP)
+                const product2Name = mixedLineMatch[3].trim();
+                const product2OldRRP = toNumber(mixedLineMatch[4]);
+                const product2NewRRP = toNumber(mixedLineMatch[5]);
+                
+                logger.info(`✅ Mixed line format: ${product2Name} - Old: R${product2OldRRP} → New: R${product2NewRRP} (Selected New)`);
+                
+                products.push({
+                    name: product2Name,
+                    price: product2NewRRP,
+                    supplier: supplierConfig.supplierName,
+                    description: product2Name,
+                    specifications: '',
+                    category: 'uncategorized',
+                    priceType: 'New RRP',
+                    sourceLine: i + 1,
+                    oldRRP: product2OldRRP,
+                    newRRP: product2NewRRP,
+                    priceSelectionReason: 'Mixed line format - selected New RRP over Old RRP'
+                });
+                continue;
+            }
+
+            // Method 3: Multi-line format - Product name followed by prices
+            if (!line.match(/R\s*\d/) && line.length > 10) {
+                // This line might be a product name, check next few lines for prices
+                const productName = line;
+                
+                // Look ahead for prices in the next 1-3 lines
+                for (let j = i + 1; j < Math.min(i + 4, cleanLines.length); j++) {
+                    const nextLine = cleanLines[j];
+                    
+                    // Check for two prices on the next line
+                    const twoPricesMatch = nextLine.match(this.patterns.twoPrices);
+                    if (twoPricesMatch) {
+                        const oldRRP = toNumber(twoPricesMatch[1]);
+                        const newRRP = toNumber(twoPricesMatch[2]);
+                        
+                        logger.info(`✅ Multi-line format: ${productName} - Old: R${oldRRP} → New: R${newRRP} (Selected New)`);
+                        
+                        products.push({
+                            name: productName,
+                            price: newRRP,
+                            supplier: supplierConfig.supplierName,
+                            description: productName,
+                            specifications: '',
+                            category: 'uncategorized',
+                            priceType: 'New RRP',
+                            sourceLine: i + 1,
+                            oldRRP: oldRRP,
+                            newRRP: newRRP,
+                            priceSelectionReason: 'Multi-line format - selected New RRP over Old RRP'
+                        });
+                        
+                        i = j; // Skip the price line we just processed
+                        break;
+                    }
+                    
+                    // Check for single price on the next line
+                    const onePriceMatch = nextLine.match(this.patterns.onePrice);
+                    if (onePriceMatch) {
+                        const price = toNumber(onePriceMatch[1]);
+                        
+                        logger.info(`✅ Multi-line format: ${productName} - Single price: R${price}`);
+                        
+                        products.push({
+                            name: productName,
+                            price: price,
+                            supplier: supplierConfig.supplierName,
+                            description: productName,
+                            specifications: '',
+                            category: 'uncategorized',
+                            priceType: 'RRP',
+                            sourceLine: i + 1,
+                            priceSelectionReason: 'Multi-line format - single price'
+                        });
+                        
+                        i = j; // Skip the price line we just processed
+                        break;
+                    }
+                }
+            }
+
+            // Method 4: Handle lines with multiple prices (fallback)
+            const allPrices = line.match(this.patterns.anyPrice);
+            if (allPrices && allPrices.length >= 2 && line.length > 20) {
+                // Extract product name (everything before first price)
+                const firstPriceIndex = line.indexOf(allPrices[0]);
+                const productName = line.substring(0, firstPriceIndex).trim();
+                
+                if (productName.length > 5 && !productName.includes('R')) {
+                    // Use last price as New RRP
+                    const selectedPrice = this.priceParser.parse(allPrices[allPrices.length - 1], numberFormat);
+                    
+                    logger.info(`✅ Multi-price fallback: ${productName} - Selected last price: R${selectedPrice} from ${allPrices.length} prices`);
+                    
+                    products.push({
+                        name: productName,
+                        price: selectedPrice,
+                        supplier: supplierConfig.supplierName,
+                        description: productName,
+                        specifications: '',
+                        category: 'uncategorized',
+                        priceType: 'New RRP',
+                        sourceLine: i + 1,
+                        allPricesFound: allPrices,
+                        priceSelectionReason: `Selected last price R${selectedPrice} from ${allPrices.length} prices (${allPrices.join(', ')})`
+                    });
+                }
+            }
+        }
+
+        logger.info(`🎉 ${supplierConfig.supplierName} extraction complete: ${products.length} products found`);
+        
+        // Log first few products for debugging
+        products.slice(0, 3).forEach(product => {
+            logger.info(`📝 Product: ${product.name} - R${product.price} (${product.priceSelectionReason})`);
+        });
+        
+        return { products, priceColumnsFound };
+    }
+}
+
+module.exports = DenonMarantzParser;
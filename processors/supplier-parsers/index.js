@@ -0,0 +1,119 @@
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Supplier Parser Registry for Audico Pricelist Processing
+ * Loads supplier-specific parser plugins and picks the one that handles a document
+ *
+ * A plugin is a module in this directory exporting a class whose instances provide:
+ *   name, version       - identification used in logs and extraction method names
+ *   suppliers           - supplier names handled (case-insensitive)
+ *   documentTypes       - optional list of 'pdf' / 'excel' the parser understands
+ *   fingerprint(content, structure) - optional, true when a document matches the format
+ *   parse({ documentContent, documentStructure, supplierConfig, logger })
+ *                       - resolves to { products, priceColumnsFound }
+ */
+class SupplierParserRegistry {
+    constructor(options = {}) {
+        this.parsers = [];
+        this.logger = options.logger || console;
+
+        if (options.loadBuiltIn !== false) {
+            this.loadBuiltInParsers();
+        }
+    }
+
+    /**
+     * Register every parser module that lives alongside this registry
+     */
+    loadBuiltInParsers() {
+        const files = fs.readdirSync(__dirname)
+            .filter(file => file.endsWith('.js') && file !== 'index.js')
+            .sort();
+
+        for (const file of files) {
+            this.register(require(path.join(__dirname, file)));
+        }
+    }
+
+    /**
+     * Register a parser class or instance
+     */
+    register(parser) {
+        const instance = typeof parser === 'function' ? new parser() : parser;
+
+        if (!instance.name || typeof instance.parse !== 'function') {
+            throw new Error('Supplier parser plugins need a name and a parse() method');
+        }
+
+        this.parsers = this.parsers.filter(existing => existing.name !== instance.name);
+        this.parsers.push(instance);
+
+        return instance;
+    }
+
+    getParser(name) {
+        return this.parsers.find(parser => parser.name === name) || null;
+    }
+
+    /**
+     * Find the parser for a document: explicit config first, then supplier name, then fingerprint
+     */
+    findParser({ supplierConfig = {}, documentContent, documentStructure = {} }) {
+        const documentType = documentStructure.sheetCount ? 'excel' : 'pdf';
+        const candidates = this.parsers.filter(parser =>
+            !parser.documentTypes || parser.documentTypes.includes(documentType)
+        );
+
+        if (supplierConfig.parser) {
+            const configured = candidates.find(parser => parser.name === supplierConfig.parser);
+            if (configured) return configured;
+        }
+
+        const supplierName = (supplierConfig.supplierName || '').toLowerCase();
+        const bySupplier = candidates.find(parser =>
+            (parser.suppliers || []).some(supplier => supplier.toLowerCase() === supplierName)
+        );
+        if (bySupplier) return bySupplier;
+
+        for (const parser of candidates) {
+            try {
+                if (typeof parser.fingerprint === 'function' && parser.fingerprint(documentContent, documentStructure)) {
+                    return parser;
+                }
+            } catch (error) {
+                this.logger.warn(`Parser fingerprint failed for ${parser.name}: ${error.message}`);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Run a parser with the standard plugin input
+     */
+    async parse(parser, input) {
+        const result = await parser.parse({
+            logger: this.logger,
+            ...input
+        });
+
+        return {
+            products: result.products || [],
+            priceColumnsFound: result.priceColumnsFound || []
+        };
+    }
+
+    listParsers() {
+        return this.parsers.map(parser => ({
+            name: parser.name,
+            version: parser.version,
+            suppliers: parser.suppliers || [],
+            documentTypes: parser.documentTypes || ['pdf', 'excel'],
+            hasFingerprint: typeof parser.fingerprint === 'function'
+        }));
+    }
+}
+
+module.exports = SupplierParserRegistry;
@@ -17,6 +17,19 @@ const LayoutDetector = require('./processors/layout-detector');
 const PriceExtractionEngine = require('./processors/price-extraction-engine');
 const TemplateManager = require('./processors/template-manager');
 const AudicoEnhancedSystem = require('./audico-enhanced-system');
+const ProductImporter = require('./utils/product-importer');
+const PricelistDiff = require('./utils/pricelist-diff');
+const ImportStaging = require('./utils/import-staging');
+const ReviewQueue = require('./utils/review-queue');
+const ValidationRuleStore = require('./utils/validation-rule-store');
+const CatalogueRepricer = require('./utils/catalogue-repricer');
+const PricingRuleStore = require('./utils/pricing-rule-store');
+const PricingEngine = require('./processors/pricing-engine');
+const ProvenanceRecorder = require('./processors/provenance-recorder');
+const QuoteBuilder = require('./utils/quote-builder');
+const PromoScheduler = require('./utils/promo-scheduler');
+const ValidationAgent = require('./agents/validation-agent');
+const LearningAgent = require('./agents/learning-agent');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -48,6 +61,7 @@ const enhancedSystem = new AudicoEnhancedSystem({
     supabaseUrl: process.env.SUPABASE_URL,
     supabaseKey: process.env.SUPABASE_KEY,
     enableFallback: true,
+    enableOCR: process.env.ENABLE_OCR === 'true',
     logger: logger
 });
 
@@ -62,12 +76,6 @@ const layoutDetector = new LayoutDetector({
     confidenceThreshold: parseFloat(process.env.LAYOUT_CONFIDENCE_THRESHOLD) || 0.7
 });
 
-const priceExtractor = new PriceExtractionEngine({
-    logger: logger,
-    openaiApiKey: process.env.OPENAI_API_KEY,
-    confidenceThreshold: parseFloat(process.env.PRICE_CONFIDENCE_THRESHOLD) || 0.8
-});
-
 const templateManager = new TemplateManager({
     supabaseUrl: process.env.SUPABASE_URL,
     supabaseKey: process.env.SUPABASE_KEY,
@@ -94,7 +102,8 @@ const upload = multer({
             'application/pdf',
             'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
             'application/vnd.ms-excel',
-            'text/csv'
+            'text/csv',
+            'application/csv'
         ];
         if (allowedTypes.includes(file.mimetype)) {
             cb(null, true);
@@ -104,12 +113,131 @@ const upload = multer({
     }
 });
 
+// Batch uploads also accept ZIP archives holding several pricelists
+const batchUpload = multer({
+    storage: storage,
+    limits: {
+        fileSize: 50 * 1024 * 1024, // 50MB per file
+        files: parseInt(process.env.BATCH_MAX_FILES) || 20
+    },
+    fileFilter: (req, file, cb) => {
+        const allowedTypes = [
+            'application/pdf',
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            'application/vnd.ms-excel',
+            'text/csv',
+            'application/csv',
+            'application/zip',
+            'application/x-zip-compressed'
+        ];
+        if (allowedTypes.includes(file.mimetype) || file.originalname.toLowerCase().endsWith('.zip')) {
+            cb(null, true);
+        } else {
+            cb(new Error(`Invalid file type: ${file.mimetype}. Only PDF, Excel, CSV and ZIP files are allowed.`));
+        }
+    }
+});
+
 // Initialize Supabase client
 const supabase = createClient(
     process.env.SUPABASE_URL,
     process.env.SUPABASE_KEY
 );
 
+// Dry-run uploads wait here until committed, discarded or expired
+const importStaging = new ImportStaging({
+    logger: logger
+});
+
+// Catalogue import (supplier + SKU matching instead of blind inserts)
+const productImporter = new ProductImporter({
+    supabase: supabase,
+    logger: logger
+});
+
+// Per-job diff reports against the current catalogue
+const pricelistDiff = new PricelistDiff({
+    importer: productImporter,
+    logger: logger
+});
+
+// Per-supplier validation rule sets, loaded each time a list is validated
+const validationRuleStore = new ValidationRuleStore({
+    supabase: supabase,
+    logger: logger
+});
+
+// Markup rules by supplier, brand, category and cost band, shared by every pricing path
+const pricingRuleStore = new PricingRuleStore({
+    supabase: supabase,
+    logger: logger
+});
+
+const pricingEngine = new PricingEngine({
+    ruleStore: pricingRuleStore,
+    logger: logger
+});
+
+// The legacy extraction path prices with the same engine and stored rules as every other path
+const priceExtractor = new PriceExtractionEngine({
+    logger: logger,
+    openaiApiKey: process.env.OPENAI_API_KEY,
+    confidenceThreshold: parseFloat(process.env.PRICE_CONFIDENCE_THRESHOLD) || 0.8,
+    supabase: supabase,
+    pricingEngine: pricingEngine
+});
+
+// Re-pricing the stored catalogue is previewed first, like a dry-run upload
+const catalogueRepricer = new CatalogueRepricer({
+    importer: productImporter,
+    pricingEngine: pricingEngine,
+    logger: logger
+});
+
+const repriceStaging = new ImportStaging({
+    logger: logger
+});
+
+// Promo prices become the final price while their window is open, switched by a cron job
+const promoScheduler = new PromoScheduler({
+    supabase: supabase,
+    pricingEngine: pricingEngine,
+    logger: logger
+});
+
+// Quotes are priced at the quantity break each line's quantity reaches, or a lower running promo
+const quoteBuilder = new QuoteBuilder({
+    supabase: supabase,
+    pricingEngine: pricingEngine,
+    logger: logger
+});
+
+// Describes where a product was read from for reviewers
+const provenanceRecorder = new ProvenanceRecorder();
+
+// Validation decides what needs review; reviewers' decisions feed back into learning
+const validationAgent = new ValidationAgent({
+    ruleStore: validationRuleStore,
+    logger: logger
+});
+
+const learningAgent = new LearningAgent({
+    supabase: supabase,
+    logger: logger
+});
+
+validationAgent.initialize();
+learningAgent.initialize();
+
+// Invalid and low-confidence products wait here instead of going straight into products
+const reviewQueue = new ReviewQueue({
+    supabase: supabase,
+    importer: productImporter,
+    learningAgent: learningAgent,
+    pricingEngine: pricingEngine,
+    logger: logger
+});
+
 // Initialize OpenAI client (for fallback)
 const openai = new OpenAI({
     apiKey: process.env.OPENAI_API_KEY
@@ -136,12 +264,28 @@ app.get('/', async (req, res) => {
             endpoints: {
                 upload: '/api/upload',
                 uploadAsync: '/api/upload-async',
+                uploadBatch: '/api/upload-batch',
                 jobs: '/api/jobs',
+                batches: '/api/batches/:batchId',
+                jobDiff: '/api/jobs/:jobId/diff',
+                previews: '/api/previews/:previewId',
+                review: '/api/review',
                 test: '/api/test',
                 products: '/api/products',
+                productHistory: '/api/products/:id/history',
+                productProvenance: '/api/products/:id/provenance',
                 system: '/api/system/status',
                 templates: '/api/templates',
-                suppliers: '/api/suppliers'
+                suppliers: '/api/suppliers',
+                validationRules: '/api/suppliers/:supplier/validation-rules',
+                pricingRules: '/api/pricing-rules',
+                roundingRules: '/api/rounding-rules',
+                reprice: '/api/reprice',
+                exchangeRates: '/api/exchange-rates',
+                vatRates: '/api/vat-rates',
+                landedCostRules: '/api/landed-cost-rules',
+                quotes: '/api/quotes',
+                promos: '/api/promos/run'
             }
         });
     } catch (error) {
@@ -219,7 +363,7 @@ app.get('/api/system/status', async (req, res) => {
 // Get products endpoint (enhanced)
 app.get('/api/products', async (req, res) => {
     try {
-        const { supplier, category, limit = 100, offset = 0 } = req.query;
+        const { supplier, category, sku, listed, inStock, lifecycle, limit = 100, offset = 0 } = req.query;
         
         let query = supabase
             .from('products')
@@ -234,6 +378,26 @@ app.get('/api/products', async (req, res) => {
             query = query.eq('category', category);
         }
 
+        // Model codes are stored upper-cased without spaces
+        if (sku) {
+            query = query.eq('sku', sku.replace(/\s+/g, '').toUpperCase());
+        }
+
+        // Products missing from a supplier's latest list are delisted, not deleted
+        if (listed !== undefined) {
+            query = query.eq('is_listed', listed === 'true');
+        }
+
+        // Stock as last reported by the supplier; products whose lists never gave stock match neither
+        if (inStock !== undefined) {
+            query = query.in('stock_status', inStock === 'true' ? ['in_stock', 'low_stock'] : ['out_of_stock', 'on_order']);
+        }
+
+        // active, end_of_life, discontinued or likely_discontinued; several can be given comma-separated
+        if (lifecycle) {
+            query = query.in('lifecycle_status', lifecycle.split(',').map(status => status.trim()));
+        }
+
         const { data: products, error, count } = await query
             .range(offset, offset + parseInt(limit) - 1);
 
@@ -259,6 +423,104 @@ app.get('/api/products', async (req, res) => {
     }
 });
 
+// Price history for a single product, newest change first
+app.get('/api/products/:id/history', async (req, res) => {
+    try {
+        const { limit = 100 } = req.query;
+
+        const { data: history, error } = await supabase
+            .from('price_history')
+            .select('*')
+            .eq('product_id', req.params.id)
+            .order('effective_at', { ascending: false })
+            .limit(parseInt(limit));
+
+        if (error) {
+            throw error;
+        }
+
+        res.json({
+            productId: req.params.id,
+            history: (history || []).map(entry => {
+                const oldPrice = parseFloat(entry.old_original_price);
+                const newPrice = parseFloat(entry.new_original_price);
+                const hasChange = !isNaN(oldPrice) && !isNaN(newPrice) && oldPrice > 0;
+
+                return {
+                    ...entry,
+                    change: hasChange ? Math.round((newPrice - oldPrice) * 100) / 100 : null,
+                    changePercent: hasChange ? Math.round((newPrice - oldPrice) / oldPrice * 10000) / 100 : null
+                };
+            }),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Price history fetch error:', error);
+        res.status(500).json({ 
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Where a product's current price was read from: file, job, page, line or sheet and cells, and the source text
+app.get('/api/products/:id/provenance', async (req, res) => {
+    try {
+        const { data: products, error } = await supabase
+            .from('products')
+            .select('id, name, sku, supplier, original_price, final_price, price_type, provenance, updated_at')
+            .eq('id', req.params.id)
+            .limit(1);
+
+        if (error) {
+            throw error;
+        }
+
+        const product = (products || [])[0];
+        if (!product) {
+            return res.status(404).json({
+                error: 'Product not found',
+                productId: req.params.id,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const { provenance, ...details } = product;
+
+        res.json({
+            productId: product.id,
+            product: details,
+            provenance: provenance || null,
+            location: provenanceRecorder.describe(provenance),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Provenance fetch error:', error);
+        res.status(500).json({ 
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Pricing dates must be a real calendar day written YYYY-MM-DD; answers 400 and returns true otherwise
+function rejectEffectiveDate(res, effectiveDate) {
+    if (!effectiveDate) return false;
+
+    const value = String(effectiveDate);
+    const parsed = new Date(`${value}T00:00:00Z`);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(parsed) && parsed.toISOString().startsWith(value)) {
+        return false;
+    }
+
+    res.status(400).json({
+        error: 'effectiveDate must be a date written YYYY-MM-DD',
+        effectiveDate: effectiveDate,
+        timestamp: new Date().toISOString()
+    });
+    return true;
+}
+
 // Enhanced synchronous upload endpoint
 app.post('/api/upload', upload.single('file'), async (req, res) => {
     const startTime = Date.now();
@@ -269,7 +531,9 @@ app.post('/api/upload', upload.single('file'), async (req, res) => {
             return res.status(400).json({ error: 'No file uploaded' });
         }
 
-        const { supplier, priceType, vatRate, marginPercentage, enableAI, useEnhanced = 'true' } = req.body;
+        const { supplier, priceType, vatRate, marginPercentage, currency, effectiveDate, enableAI, useEnhanced = 'true', delistMissing, dryRun } = req.body;
+
+        if (rejectEffectiveDate(res, effectiveDate)) return;
         
         logger.info(`Processing file: ${req.file.originalname}, supplier: ${supplier}, size: ${req.file.size} bytes`);
 
@@ -286,8 +550,10 @@ app.post('/api/upload', upload.single('file'), async (req, res) => {
                     supplier: supplier,
                     options: {
                         priceType: priceType || 'cost_including_vat',
-                        vatRate: parseFloat(vatRate) || 15,
+                        vatRate: parseFloat(vatRate) >= 0 ? parseFloat(vatRate) : null,
                         marginPercentage: parseFloat(marginPercentage) || 0,
+                        currency: currency || null,
+                        pricingDate: effectiveDate || null,
                         enableAI: enableAI === 'true'
                     }
                 });
@@ -300,8 +566,10 @@ app.post('/api/upload', upload.single('file'), async (req, res) => {
                 // Fallback to individual processors
                 result = await fallbackProcessing(req.file, supplier, {
                     priceType,
-                    vatRate: parseFloat(vatRate) || 15,
+                    vatRate: parseFloat(vatRate) >= 0 ? parseFloat(vatRate) : null,
                     marginPercentage: parseFloat(marginPercentage) || 0,
+                    currency: currency || null,
+                    pricingDate: effectiveDate || null,
                     enableAI: enableAI === 'true'
                 });
                 
@@ -312,40 +580,145 @@ app.post('/api/upload', upload.single('file'), async (req, res) => {
             logger.info('Using individual processors...');
             result = await fallbackProcessing(req.file, supplier, {
                 priceType,
-                vatRate: parseFloat(vatRate) || 15,
+                vatRate: parseFloat(vatRate) >= 0 ? parseFloat(vatRate) : null,
                 marginPercentage: parseFloat(marginPercentage) || 0,
+                currency: currency || null,
+                pricingDate: effectiveDate || null,
                 enableAI: enableAI === 'true'
             });
             
             processingMethod = 'individual';
         }
 
-        // Save products to database if processing was successful
-        if (result.products && result.products.length > 0) {
-            const productsToInsert = result.products.map(product => ({
-                id: uuidv4(),
-                name: product.name || 'Unknown Product',
-                description: product.description || product.name || '',
-                specifications: product.specifications || '',
-                supplier: product.supplier || supplier,
-                category: product.category || 'uncategorized',
-                original_price: product.original_price || product.price || 0,
-                final_price: product.final_price || product.price || 0,
-                price_type: product.priceType || 'Standard',
-                confidence_score: product.confidence || 0,
-                processing_method: processingMethod,
-                layout_type: result.layoutType || 'unknown',
-                extraction_quality: result.qualityScore || 0,
-                created_at: new Date().toISOString(),
-                updated_at: new Date().toISOString()
-            }));
-
-            const { data: insertedProducts, error: insertError } = await supabase
-                .from('products')
-                .insert(productsToInsert);
-
-            if (insertError) {
-                logger.error('Database insertion error:', insertError);
+        const jobId = result.jobId || uuidv4();
+        const layoutType = result.layoutType || (result.metadata && result.metadata.layoutType);
+
+        // Other suppliers' rows let validation flag products the catalogue may already carry
+        let otherSuppliers = [];
+        try {
+            otherSuppliers = await productImporter.loadOtherSuppliers(supplier);
+        } catch (catalogueError) {
+            logger.warn('Cross-supplier duplicate check skipped:', catalogueError.message);
+        }
+
+        // Last known prices let validation catch misparsed and implausible price moves
+        let previousPrices = [];
+        try {
+            previousPrices = await productImporter.lastKnownPrices(result.products, { supplier: supplier });
+        } catch (catalogueError) {
+            logger.warn('Price change checks skipped:', catalogueError.message);
+        }
+
+        // Invalid and low-confidence products go to the review queue instead of the catalogue
+        const validationResults = await validationAgent.validateProducts({
+            products: result.products,
+            supplierConfig: { supplierName: supplier },
+            originalOptions: req.body,
+            catalogue: otherSuppliers,
+            previousPrices: previousPrices
+        });
+        const duplicateSummary = {
+            inUpload: validationResults.duplicates.inUpload.length,
+            crossSupplier: validationResults.duplicates.crossSupplier.length,
+            matches: validationResults.duplicates.crossSupplier.slice(0, 20)
+        };
+        const reviewItems = reviewQueue.collect(validationResults, (result.validation && result.validation.issues) || []);
+        const heldForReview = new Set(validationResults.lowConfidenceProducts.map(entry => entry.product));
+        const acceptedProducts = validationResults.validatedProducts.filter(product => !heldForReview.has(product));
+
+        const importContext = {
+            supplier: supplier,
+            jobId: jobId,
+            filename: req.file.originalname,
+            processingMethod: processingMethod,
+            layoutType: layoutType,
+            extractionQuality: result.qualityScore,
+            // Reviewers' price corrections are priced the way the upload was
+            pricing: {
+                priceType: priceType || 'cost_including_vat',
+                vatRate: parseFloat(vatRate) >= 0 ? parseFloat(vatRate) : null,
+                marginPercentage: parseFloat(marginPercentage) || 0,
+                currency: currency || null,
+                pricingDate: effectiveDate || null
+            },
+            // Suppliers often send one list per brand, so only an upload marked as the full catalogue delists
+            delistMissing: delistMissing === 'true',
+            heldProducts: reviewItems.map(item => item.product)
+        };
+
+        // Dry run: stage everything for review and write nothing
+        if (dryRun === 'true') {
+            let diffSummary = null;
+            try {
+                diffSummary = pricelistDiff.saveReport(jobId, await pricelistDiff.compare(acceptedProducts, importContext)).summary;
+            } catch (diffError) {
+                logger.error('Preview diff error:', diffError);
+                // Staging does not depend on the catalogue being reachable
+            }
+
+            const preview = importStaging.stage({
+                jobId: jobId,
+                filename: req.file.originalname,
+                supplier: supplier,
+                products: acceptedProducts,
+                review: reviewItems,
+                duplicates: validationResults.duplicates,
+                priceChanges: validationResults.priceChanges,
+                validation: result.validation || null,
+                layoutType: layoutType,
+                layoutInfo: result.layoutInfo || null,
+                processingMethod: processingMethod,
+                importContext: importContext,
+                diffSummary: diffSummary
+            });
+
+            return res.json({
+                success: true,
+                dryRun: true,
+                message: `Staged ${acceptedProducts.length} products for review; nothing has been saved`,
+                previewId: preview.id,
+                expiresAt: preview.expiresAt,
+                jobId: jobId,
+                products: acceptedProducts.slice(0, 10),
+                totalCount: acceptedProducts.length,
+                reviewRequired: reviewItems.length,
+                duplicates: duplicateSummary,
+                priceChanges: validationResults.priceChanges,
+                validation: preview.validation,
+                layoutType: layoutType,
+                layoutInfo: preview.layoutInfo,
+                diff: diffSummary,
+                links: {
+                    preview: `/api/previews/${preview.id}`,
+                    commit: `/api/previews/${preview.id}/commit`,
+                    discard: `/api/previews/${preview.id}`,
+                    diff: `/api/jobs/${jobId}/diff`
+                },
+                processingTimeMs: Date.now() - startTime,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        let reviewSummary = null;
+        try {
+            reviewSummary = await reviewQueue.enqueue(reviewItems, importContext);
+        } catch (reviewError) {
+            logger.error('Review queue error:', reviewError);
+            // Continue processing but log the error
+        }
+
+        // Match products to the catalogue by supplier + SKU and update in place
+        let importSummary = null;
+        let diffSummary = null;
+        if (acceptedProducts.length > 0) {
+            try {
+                // Diff against the catalogue as it was before this import
+                const planned = await productImporter.planProducts(acceptedProducts, importContext);
+                diffSummary = pricelistDiff.saveReport(jobId, pricelistDiff.buildReport(planned, importContext)).summary;
+
+                importSummary = await productImporter.applyPlans(planned);
+            } catch (importError) {
+                logger.error('Database import error:', importError);
                 // Continue processing but log the error
             }
         }
@@ -360,10 +733,23 @@ app.post('/api/upload', upload.single('file'), async (req, res) => {
             products: result.products.slice(0, 10), // Return first 10 for preview
             totalCount: result.products.length,
             processingMethod: processingMethod,
-            layoutType: result.layoutType,
+            layoutType: layoutType,
             extractionQuality: result.qualityScore || 'N/A',
             confidenceScore: result.averageConfidence || 'N/A',
             processingTimeMs: processingTime,
+            jobId: jobId,
+            import: importSummary,
+            duplicates: duplicateSummary,
+            priceChanges: validationResults.priceChanges,
+            review: reviewSummary ? {
+                ...reviewSummary,
+                queue: `/api/review?jobId=${jobId}`
+            } : null,
+            diff: diffSummary ? {
+                summary: diffSummary,
+                report: `/api/jobs/${jobId}/diff`,
+                download: `/api/jobs/${jobId}/diff/xlsx`
+            } : null,
             timestamp: new Date().toISOString(),
             statistics: {
                 totalProducts: result.products.length,
@@ -388,209 +774,1374 @@ app.post('/api/upload', upload.single('file'), async (req, res) => {
     }
 });
 
-// Fallback processing function using individual processors
-async function fallbackProcessing(file, supplier, options) {
+// Staged dry-run preview: full product list, validation issues and layout info
+app.get('/api/previews/:previewId', async (req, res) => {
     try {
-        // Step 1: Detect layout
-        const layoutInfo = await layoutDetector.detectLayout(file.buffer, file.originalname);
-        
-        // Step 2: Process document
-        const documentResult = await documentProcessor.processDocument(
-            file.buffer, 
-            file.originalname, 
-            layoutInfo
-        );
-        
-        // Step 3: Extract prices
-        const extractionResult = await priceExtractor.extractPrices(
-            documentResult.extractedText,
-            documentResult.structuredData,
-            {
-                supplier: supplier,
-                layoutType: layoutInfo.type,
-                ...options
-            }
-        );
-        
-        // Step 4: Learn from successful extraction
-        if (extractionResult.products.length > 0) {
-            await templateManager.learnFromExtraction(supplier, layoutInfo, extractionResult);
-        }
-        
-        return {
-            products: extractionResult.products,
-            layoutType: layoutInfo.type,
-            qualityScore: extractionResult.confidence,
-            averageConfidence: extractionResult.averageConfidence,
-            processingMethod: 'fallback'
-        };
-        
-    } catch (error) {
-        logger.error('Fallback processing failed:', error);
-        throw error;
-    }
-}
+        const preview = importStaging.get(req.params.previewId);
 
-// Asynchronous upload endpoint
-app.post('/api/upload-async', upload.single('file'), async (req, res) => {
-    try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No file uploaded' });
+        if (!preview) {
+            return res.status(404).json({
+                error: 'Preview not found or expired',
+                previewId: req.params.previewId,
+                timestamp: new Date().toISOString()
+            });
         }
 
-        const { supplier, priceType, vatRate, marginPercentage, enableAI } = req.body;
-        const jobId = uuidv4();
-        
-        logger.info(`Starting async processing for job: ${jobId}, file: ${req.file.originalname}`);
-
-        // Start processing asynchronously using enhanced system
-        enhancedSystem.processFileAsync(jobId, {
-            fileBuffer: req.file.buffer,
-            filename: req.file.originalname,
-            supplier: supplier,
-            options: {
-                priceType: priceType || 'cost_including_vat',
-                vatRate: parseFloat(vatRate) || 15,
-                marginPercentage: parseFloat(marginPercentage) || 0,
-                enableAI: enableAI === 'true'
-            }
-        }).catch(error => {
-            logger.error(`Async processing failed for job ${jobId}:`, error);
-        });
+        const { importContext, ...details } = preview;
 
         res.json({
-            success: true,
-            jobId: jobId,
-            message: 'File processing started. Use /api/jobs/{jobId} to check status.',
-            estimatedTime: '2-5 minutes',
+            ...details,
+            totalCount: preview.products.length,
             timestamp: new Date().toISOString()
         });
-
     } catch (error) {
-        logger.error('Async upload error:', error);
-        res.status(500).json({ 
+        logger.error('Preview fetch error:', error);
+        res.status(500).json({
             error: error.message,
             timestamp: new Date().toISOString()
         });
     }
 });
 
-// Job status endpoint
-app.get('/api/jobs/:jobId', async (req, res) => {
+// Commit a staged preview to the catalogue
+app.post('/api/previews/:previewId/commit', async (req, res) => {
     try {
-        const { jobId } = req.params;
-        const job = await enhancedSystem.getJobStatus(jobId);
+        const { previewId } = req.params;
 
-        if (!job) {
-            return res.status(404).json({ 
-                error: 'Job not found',
-                jobId: jobId,
+        const committed = await importStaging.commit(previewId, async (preview) => {
+            // Re-plan against the catalogue as it is now, not as it was when staged
+            const planned = await productImporter.planProducts(preview.products, preview.importContext);
+            pricelistDiff.saveReport(preview.jobId, pricelistDiff.buildReport(planned, preview.importContext));
+
+            const importSummary = await productImporter.applyPlans(planned);
+
+            return {
+                jobId: preview.jobId,
+                import: importSummary,
+                review: await reviewQueue.enqueue(preview.review || [], preview.importContext)
+            };
+        });
+
+        if (!committed) {
+            return res.status(404).json({
+                error: 'Preview not found or expired',
+                previewId: previewId,
                 timestamp: new Date().toISOString()
             });
         }
 
+        logger.info(`Committed preview ${previewId}: ${committed.import.inserted} inserted, ${committed.import.updated} updated`);
+
         res.json({
-            ...job,
+            success: true,
+            previewId: previewId,
+            jobId: committed.jobId,
+            import: committed.import,
+            review: committed.review,
+            diff: `/api/jobs/${committed.jobId}/diff`,
             timestamp: new Date().toISOString()
         });
     } catch (error) {
-        logger.error('Job status error:', error);
-        res.status(500).json({ 
-            error: error.message,
-            timestamp: new Date().toISOString()
-        });
+        if (error.code === 'PREVIEW_BUSY') {
+            return res.status(409).json({
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        logger.error('Preview commit error:', error);
+        res.status(500).json({
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Discard a staged preview
+app.delete('/api/previews/:previewId', async (req, res) => {
+    try {
+        const discarded = importStaging.discard(req.params.previewId);
+
+        if (!discarded) {
+            return res.status(404).json({
+                error: 'Preview not found or expired',
+                previewId: req.params.previewId,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.json({
+            success: true,
+            previewId: req.params.previewId,
+            message: 'Preview discarded',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Preview discard error:', error);
+        res.status(500).json({
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Review queue: invalid and low-confidence products waiting for a decision
+app.get('/api/review', async (req, res) => {
+    try {
+        const { status = 'pending', supplier, jobId, reason, limit = 50, offset = 0 } = req.query;
+
+        const result = await reviewQueue.list({
+            status: status === 'all' ? null : status,
+            supplier,
+            jobId,
+            reason,
+            limit,
+            offset
+        });
+
+        res.json({
+            items: result.items,
+            count: result.items.length,
+            total: result.total,
+            limit: result.limit,
+            offset: result.offset,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Review queue list error:', error);
+        res.status(500).json({
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.get('/api/review/:id', async (req, res) => {
+    try {
+        const item = await reviewQueue.get(req.params.id);
+
+        if (!item) {
+            return res.status(404).json({
+                error: 'Review item not found',
+                id: req.params.id,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.json({
+            item: item,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Review item fetch error:', error);
+        res.status(500).json({
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Shared error handling for review actions
+function sendReviewError(res, error, id) {
+    if (error.code === 'REVIEW_NOT_FOUND') {
+        return res.status(404).json({
+            error: error.message,
+            id: id,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    if (error.code === 'REVIEW_NOT_PENDING') {
+        return res.status(409).json({
+            error: error.message,
+            id: id,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    logger.error('Review action error:', error);
+    res.status(500).json({
+        error: error.message,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Edit a queued product before deciding on it
+app.put('/api/review/:id', async (req, res) => {
+    try {
+        const item = await reviewQueue.update(req.params.id, req.body);
+
+        res.json({
+            success: true,
+            item: item,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        sendReviewError(res, error, req.params.id);
+    }
+});
+
+// Approve a queued product and write it to the catalogue
+app.post('/api/review/:id/approve', async (req, res) => {
+    try {
+        const { changes, reviewer, notes } = req.body;
+        const result = await reviewQueue.approve(req.params.id, { changes, reviewer, notes });
+
+        res.json({
+            success: true,
+            item: result.item,
+            import: result.import,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        sendReviewError(res, error, req.params.id);
+    }
+});
+
+app.post('/api/review/:id/reject', async (req, res) => {
+    try {
+        const { reviewer, notes } = req.body;
+        const result = await reviewQueue.reject(req.params.id, { reviewer, notes });
+
+        res.json({
+            success: true,
+            item: result.item,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        sendReviewError(res, error, req.params.id);
+    }
+});
+
+// Fallback processing function using individual processors
+async function fallbackProcessing(file, supplier, options) {
+    try {
+        // Step 1: Detect layout
+        const layoutInfo = await layoutDetector.detectLayout(file.buffer, file.originalname);
+        
+        // Step 2: Process document
+        const documentResult = await documentProcessor.processDocument(
+            file.buffer, 
+            file.originalname, 
+            layoutInfo
+        );
+        
+        // Step 3: Extract prices
+        const extractionResult = await priceExtractor.extractPrices(
+            documentResult.extractedText,
+            documentResult.structuredData,
+            {
+                supplier: supplier,
+                layoutType: layoutInfo.type,
+                ...options
+            }
+        );
+        
+        // Step 4: Learn from successful extraction
+        if (extractionResult.products.length > 0) {
+            await templateManager.learnFromExtraction(supplier, layoutInfo, extractionResult);
+        }
+        
+        return {
+            products: extractionResult.products,
+            layoutType: layoutInfo.type,
+            qualityScore: extractionResult.confidence,
+            averageConfidence: extractionResult.averageConfidence,
+            processingMethod: 'fallback'
+        };
+        
+    } catch (error) {
+        logger.error('Fallback processing failed:', error);
+        throw error;
+    }
+}
+
+// Asynchronous upload endpoint
+app.post('/api/upload-async', upload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        const { supplier, priceType, vatRate, marginPercentage, currency, effectiveDate, enableAI } = req.body;
+
+        if (rejectEffectiveDate(res, effectiveDate)) return;
+        const jobId = uuidv4();
+        
+        logger.info(`Starting async processing for job: ${jobId}, file: ${req.file.originalname}`);
+
+        // Start processing asynchronously using enhanced system
+        enhancedSystem.processFileAsync(jobId, {
+            fileBuffer: req.file.buffer,
+            filename: req.file.originalname,
+            supplier: supplier,
+            options: {
+                priceType: priceType || 'cost_including_vat',
+                vatRate: parseFloat(vatRate) >= 0 ? parseFloat(vatRate) : null,
+                marginPercentage: parseFloat(marginPercentage) || 0,
+                currency: currency || null,
+                pricingDate: effectiveDate || null,
+                enableAI: enableAI === 'true'
+            }
+        }).catch(error => {
+            logger.error(`Async processing failed for job ${jobId}:`, error);
+        });
+
+        res.json({
+            success: true,
+            jobId: jobId,
+            message: 'File processing started. Use /api/jobs/{jobId} to check status.',
+            estimatedTime: '2-5 minutes',
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Async upload error:', error);
+        res.status(500).json({ 
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Batch upload endpoint (several files and/or ZIP archives)
+app.post('/api/upload-batch', batchUpload.array('files'), async (req, res) => {
+    try {
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ error: 'No files uploaded' });
+        }
+
+        const { supplier, priceType, vatRate, marginPercentage, currency, effectiveDate, enableAI } = req.body;
+
+        if (rejectEffectiveDate(res, effectiveDate)) return;
+        const batchId = uuidv4();
+
+        logger.info(`Starting batch ${batchId}: ${req.files.map(file => file.originalname).join(', ')}`);
+
+        const batch = await enhancedSystem.processBatchAsync(batchId, {
+            files: req.files.map(file => ({
+                fileBuffer: file.buffer,
+                filename: file.originalname
+            })),
+            supplier: supplier,
+            options: {
+                priceType: priceType || 'cost_including_vat',
+                vatRate: parseFloat(vatRate) >= 0 ? parseFloat(vatRate) : null,
+                marginPercentage: parseFloat(marginPercentage) || 0,
+                currency: currency || null,
+                pricingDate: effectiveDate || null,
+                enableAI: enableAI === 'true'
+            }
+        });
+
+        res.json({
+            success: true,
+            ...batch,
+            message: `Processing ${batch.fileCount} files. Use /api/batches/{batchId} to check status.`,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logger.error('Batch upload error:', error);
+        res.status(error.code === 'INVALID_ARCHIVE' ? 400 : 500).json({
+            error: error.message,
+            code: error.code,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Batch status endpoint
+app.get('/api/batches/:batchId', async (req, res) => {
+    try {
+        const { batchId } = req.params;
+        const batch = await enhancedSystem.getBatchStatus(batchId);
+
+        if (!batch) {
+            return res.status(404).json({
+                error: 'Batch not found',
+                batchId: batchId,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.json({
+            ...batch,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Batch status error:', error);
+        res.status(500).json({
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Job status endpoint
+app.get('/api/jobs/:jobId', async (req, res) => {
+    try {
+        const { jobId } = req.params;
+        const job = await enhancedSystem.getJobStatus(jobId);
+
+        if (!job) {
+            return res.status(404).json({ 
+                error: 'Job not found',
+                jobId: jobId,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.json({
+            ...job,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Job status error:', error);
+        res.status(500).json({ 
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Stored diff report for a job, or a fresh comparison of a finished async job
+async function getDiffReport(jobId) {
+    const stored = pricelistDiff.getReport(jobId);
+    if (stored) return stored;
+
+    const job = await enhancedSystem.getJobStatus(jobId);
+    if (!job || !job.result || !job.result.products) return null;
+
+    const report = await pricelistDiff.compare(job.result.products, {
+        supplier: job.supplier,
+        filename: job.filename,
+        jobId: jobId
+    });
+
+    return pricelistDiff.saveReport(jobId, report);
+}
+
+// Pricelist diff report (JSON)
+app.get('/api/jobs/:jobId/diff', async (req, res) => {
+    try {
+        const { jobId } = req.params;
+        const report = await getDiffReport(jobId);
+
+        if (!report) {
+            return res.status(404).json({
+                error: 'No diff report for this job',
+                jobId: jobId,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.json({
+            ...report,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Diff report error:', error);
+        res.status(500).json({
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Pricelist diff report (XLSX download)
+app.get('/api/jobs/:jobId/diff/xlsx', async (req, res) => {
+    try {
+        const { jobId } = req.params;
+        const report = await getDiffReport(jobId);
+
+        if (!report) {
+            return res.status(404).json({
+                error: 'No diff report for this job',
+                jobId: jobId,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="pricelist-diff-${jobId}.xlsx"`);
+        res.send(pricelistDiff.toWorkbook(report));
+    } catch (error) {
+        logger.error('Diff report download error:', error);
+        res.status(500).json({
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Get all jobs endpoint
+app.get('/api/jobs', async (req, res) => {
+    try {
+        const { status, limit = 50 } = req.query;
+        const jobs = await enhancedSystem.getJobs({ status, limit: parseInt(limit) });
+        
+        res.json({
+            jobs: jobs,
+            count: jobs.length,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Jobs list error:', error);
+        res.status(500).json({ 
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Template management endpoints
+app.get('/api/templates', async (req, res) => {
+    try {
+        const { supplier } = req.query;
+        const templates = await templateManager.getTemplates(supplier);
+        
+        res.json({
+            templates: templates,
+            count: templates.length,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Templates fetch error:', error);
+        res.status(500).json({ 
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.post('/api/templates', async (req, res) => {
+    try {
+        const template = await templateManager.createTemplate(req.body);
+        
+        res.json({
+            success: true,
+            template: template,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Template creation error:', error);
+        res.status(500).json({ 
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Supplier management endpoints
+app.get('/api/suppliers', async (req, res) => {
+    try {
+        const { data: suppliers, error } = await supabase
+            .from('products')
+            .select('supplier')
+            .not('supplier', 'is', null);
+
+        if (error) throw error;
+
+        // Get unique suppliers with product counts
+        const supplierCounts = {};
+        suppliers.forEach(item => {
+            if (item.supplier) {
+                supplierCounts[item.supplier] = (supplierCounts[item.supplier] || 0) + 1;
+            }
+        });
+
+        const supplierList = Object.keys(supplierCounts).map(supplier => ({
+            name: supplier,
+            productCount: supplierCounts[supplier]
+        })).sort((a, b) => b.productCount - a.productCount);
+
+        res.json({
+            suppliers: supplierList,
+            totalSuppliers: supplierList.length,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Suppliers fetch error:', error);
+        res.status(500).json({ 
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Validation rule set for a supplier: stored overrides and the rules that actually apply
+app.get('/api/suppliers/:supplier/validation-rules', async (req, res) => {
+    try {
+        const { supplier } = req.params;
+        const ruleSet = await validationRuleStore.getRuleSet(supplier);
+        const effective = validationAgent.mergeRules(validationAgent.validationRules, ruleSet ? ruleSet.rules : {});
+
+        res.json({
+            supplier: supplier,
+            rules: ruleSet ? ruleSet.rules : null,
+            version: ruleSet ? ruleSet.version : null,
+            lastUpdated: ruleSet ? ruleSet.last_updated : null,
+            effective: validationAgent.describeRules(effective),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Validation rules fetch error:', error);
+        res.status(500).json({
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.put('/api/suppliers/:supplier/validation-rules', async (req, res) => {
+    try {
+        const { supplier } = req.params;
+        const { rules, updatedBy } = req.body;
+
+        const errors = validationAgent.checkRuleSet(rules);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid validation rule set',
+                details: errors,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const saved = await validationRuleStore.saveRuleSet(supplier, rules, updatedBy || null);
+
+        res.json({
+            success: true,
+            supplier: supplier,
+            rules: saved.rules,
+            version: saved.version,
+            effective: validationAgent.describeRules(validationAgent.mergeRules(validationAgent.validationRules, saved.rules)),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Validation rules save error:', error);
+        res.status(500).json({
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Run the stored rule set, or a draft sent as "rules", against sample products without saving anything
+app.post('/api/suppliers/:supplier/validation-rules/test', async (req, res) => {
+    try {
+        const { supplier } = req.params;
+        const { products, rules } = req.body;
+
+        if (!Array.isArray(products) || products.length === 0) {
+            return res.status(400).json({
+                error: 'products must be a non-empty list',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (rules) {
+            const errors = validationAgent.checkRuleSet(rules);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    error: 'Invalid validation rule set',
+                    details: errors,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        }
+
+        const results = await validationAgent.validateProducts({
+            products: products.map(product => ({ supplier: supplier, ...product })),
+            supplierConfig: { supplierName: supplier },
+            rules: rules || null
+        });
+
+        const invalidByIndex = new Map(results.invalidProducts.map(entry => [entry.index, entry]));
+
+        res.json({
+            supplier: supplier,
+            mode: results.mode,
+            draft: Boolean(rules),
+            summary: {
+                total: products.length,
+                valid: results.validatedProducts.length,
+                invalid: results.invalidProducts.length,
+                issues: results.issuesSummary
+            },
+            products: products.map((product, index) => ({
+                index: index,
+                name: product.name,
+                valid: !invalidByIndex.has(index),
+                issues: invalidByIndex.has(index) ? invalidByIndex.get(index).issues : [],
+                warnings: results.warnings.filter(warning => warning.productIndex === index)
+            })),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Validation rules test error:', error);
+        res.status(500).json({
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Pricing rules; the most specific active rule sets a product's markup
+app.get('/api/pricing-rules', async (req, res) => {
+    try {
+        const { supplier, active } = req.query;
+        const rules = await pricingRuleStore.listRules({
+            supplier: supplier,
+            activeOnly: active === 'true'
+        });
+
+        res.json({
+            rules: rules,
+            count: rules.length,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Pricing rules fetch error:', error);
+        res.status(500).json({
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.post('/api/pricing-rules', async (req, res) => {
+    try {
+        const errors = pricingRuleStore.checkRule(req.body || {});
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid pricing rule',
+                details: errors,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const rule = await pricingRuleStore.createRule(req.body);
+
+        res.status(201).json({
+            success: true,
+            rule: rule,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Pricing rule create error:', error);
+        res.status(500).json({
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.put('/api/pricing-rules/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const existing = await pricingRuleStore.getRule(id);
+
+        if (!existing) {
+            return res.status(404).json({
+                error: 'Pricing rule not found',
+                ruleId: id,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const errors = pricingRuleStore.checkRule({ ...existing, ...req.body });
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid pricing rule',
+                details: errors,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const rule = await pricingRuleStore.updateRule(id, req.body);
+
+        res.json({
+            success: true,
+            rule: rule,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Pricing rule update error:', error);
+        res.status(500).json({
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.delete('/api/pricing-rules/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const rule = await pricingRuleStore.deactivateRule(id);
+
+        if (!rule) {
+            return res.status(404).json({
+                error: 'Pricing rule not found',
+                ruleId: id,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.json({
+            success: true,
+            rule: rule,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Pricing rule delete error:', error);
+        res.status(500).json({
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Price sample products with the stored rules, showing which rule priced each one
+app.post('/api/pricing-rules/test', async (req, res) => {
+    try {
+        const { supplier, products, priceType, vatRate, marginPercentage, currency, effectiveDate } = req.body;
+
+        if (rejectEffectiveDate(res, effectiveDate)) return;
+
+        if (!Array.isArray(products) || products.length === 0) {
+            return res.status(400).json({
+                error: 'products must be a non-empty list',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const priced = await pricingEngine.applyPricing(products, {
+            supplier: supplier,
+            priceType: priceType || 'cost_including_vat',
+            vatRate: parseFloat(vatRate) >= 0 ? parseFloat(vatRate) : null,
+            marginPercentage: parseFloat(marginPercentage) || 0,
+            currency: currency || null,
+            pricingDate: effectiveDate || null
+        });
+
+        res.json({
+            supplier: supplier || null,
+            products: priced,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Pricing rules test error:', error);
+        res.status(error.code === 'EXCHANGE_RATE_MISSING' ? 400 : 500).json({
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Retail rounding rules by supplier and category; the most specific active rule rounds a product
+app.get('/api/rounding-rules', async (req, res) => {
+    try {
+        const { supplier, active } = req.query;
+        const rules = await pricingRuleStore.listRoundingRules({
+            supplier: supplier,
+            activeOnly: active === 'true'
+        });
+
+        res.json({
+            rules: rules,
+            count: rules.length,
+            strategies: pricingEngine.rounder.strategyNames(),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Rounding rules fetch error:', error);
+        res.status(500).json({
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.post('/api/rounding-rules', async (req, res) => {
+    try {
+        const errors = pricingRuleStore.checkRoundingRule(req.body || {}, pricingEngine.rounder.strategyNames());
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid rounding rule',
+                details: errors,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const rule = await pricingRuleStore.createRoundingRule(req.body);
+
+        res.status(201).json({
+            success: true,
+            rule: rule,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Rounding rule create error:', error);
+        res.status(500).json({
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.put('/api/rounding-rules/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const existing = await pricingRuleStore.getRoundingRule(id);
+
+        if (!existing) {
+            return res.status(404).json({
+                error: 'Rounding rule not found',
+                ruleId: id,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const errors = pricingRuleStore.checkRoundingRule({ ...existing, ...req.body }, pricingEngine.rounder.strategyNames());
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid rounding rule',
+                details: errors,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const rule = await pricingRuleStore.updateRoundingRule(id, req.body);
+
+        res.json({
+            success: true,
+            rule: rule,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Rounding rule update error:', error);
+        res.status(500).json({
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.delete('/api/rounding-rules/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const rule = await pricingRuleStore.deactivateRoundingRule(id);
+
+        if (!rule) {
+            return res.status(404).json({
+                error: 'Rounding rule not found',
+                ruleId: id,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.json({
+            success: true,
+            rule: rule,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Rounding rule delete error:', error);
+        res.status(500).json({
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
     }
 });
 
-// Get all jobs endpoint
-app.get('/api/jobs', async (req, res) => {
+// Re-price stored products from their original_price; nothing is written until the preview is committed
+app.post('/api/reprice', async (req, res) => {
     try {
-        const { status, limit = 50 } = req.query;
-        const jobs = await enhancedSystem.getJobs({ status, limit: parseInt(limit) });
-        
+        const { supplier, category, brand, ids, priceType, vatRate, marginPercentage } = req.body;
+        const filters = { supplier, category, brand, ids };
+        const options = { priceType, vatRate, marginPercentage };
+
+        const plan = await catalogueRepricer.plan(filters, options);
+        const preview = repriceStaging.stage({
+            filters: filters,
+            options: options,
+            products: plan.changes,
+            unchanged: plan.unchanged,
+            skipped: plan.skipped
+        });
+
         res.json({
-            jobs: jobs,
-            count: jobs.length,
+            success: true,
+            previewId: preview.id,
+            expiresAt: preview.expiresAt,
+            summary: {
+                changed: plan.changes.length,
+                unchanged: plan.unchanged,
+                skipped: plan.skipped.length
+            },
+            changes: plan.changes.slice(0, 50),
+            skipped: plan.skipped,
+            preview: `/api/reprice/${preview.id}`,
             timestamp: new Date().toISOString()
         });
     } catch (error) {
-        logger.error('Jobs list error:', error);
-        res.status(500).json({ 
+        logger.error('Reprice preview error:', error);
+        res.status(500).json({
             error: error.message,
             timestamp: new Date().toISOString()
         });
     }
 });
 
-// Template management endpoints
-app.get('/api/templates', async (req, res) => {
+app.get('/api/reprice/:previewId', async (req, res) => {
     try {
-        const { supplier } = req.query;
-        const templates = await templateManager.getTemplates(supplier);
-        
+        const preview = repriceStaging.get(req.params.previewId);
+
+        if (!preview) {
+            return res.status(404).json({
+                error: 'Reprice preview not found or expired',
+                previewId: req.params.previewId,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const { products, ...details } = preview;
+
         res.json({
-            templates: templates,
-            count: templates.length,
+            ...details,
+            changes: products,
+            totalCount: products.length,
             timestamp: new Date().toISOString()
         });
     } catch (error) {
-        logger.error('Templates fetch error:', error);
-        res.status(500).json({ 
+        logger.error('Reprice preview fetch error:', error);
+        res.status(500).json({
             error: error.message,
             timestamp: new Date().toISOString()
         });
     }
 });
 
-app.post('/api/templates', async (req, res) => {
+app.post('/api/reprice/:previewId/commit', async (req, res) => {
     try {
-        const template = await templateManager.createTemplate(req.body);
-        
+        const { previewId } = req.params;
+        const committed = await repriceStaging.commit(previewId, preview => catalogueRepricer.apply(preview));
+
+        if (!committed) {
+            return res.status(404).json({
+                error: 'Reprice preview not found or expired',
+                previewId: previewId,
+                timestamp: new Date().toISOString()
+            });
+        }
+
         res.json({
             success: true,
-            template: template,
+            previewId: previewId,
+            reprice: committed,
             timestamp: new Date().toISOString()
         });
     } catch (error) {
-        logger.error('Template creation error:', error);
-        res.status(500).json({ 
+        if (error.code === 'PREVIEW_BUSY') {
+            return res.status(409).json({
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        logger.error('Reprice commit error:', error);
+        res.status(500).json({
             error: error.message,
             timestamp: new Date().toISOString()
         });
     }
 });
 
-// Supplier management endpoints
-app.get('/api/suppliers', async (req, res) => {
+app.delete('/api/reprice/:previewId', async (req, res) => {
     try {
-        const { data: suppliers, error } = await supabase
-            .from('products')
-            .select('supplier')
-            .not('supplier', 'is', null);
+        const discarded = repriceStaging.discard(req.params.previewId);
 
-        if (error) throw error;
+        if (!discarded) {
+            return res.status(404).json({
+                error: 'Reprice preview not found or expired',
+                previewId: req.params.previewId,
+                timestamp: new Date().toISOString()
+            });
+        }
 
-        // Get unique suppliers with product counts
-        const supplierCounts = {};
-        suppliers.forEach(item => {
-            if (item.supplier) {
-                supplierCounts[item.supplier] = (supplierCounts[item.supplier] || 0) + 1;
-            }
+        res.json({
+            success: true,
+            previewId: req.params.previewId,
+            message: 'Reprice preview discarded',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Reprice preview discard error:', error);
+        res.status(500).json({
+            error: error.message,
+            timestamp: new Date().toISOString()
         });
+    }
+});
 
-        const supplierList = Object.keys(supplierCounts).map(supplier => ({
-            name: supplier,
-            productCount: supplierCounts[supplier]
-        })).sort((a, b) => b.productCount - a.productCount);
+// Exchange rates to ZAR for landed-cost pricing; the latest rate effective on the pricing date applies
+app.get('/api/exchange-rates', async (req, res) => {
+    try {
+        const rates = await pricingRuleStore.listExchangeRates(req.query.currency);
+        const today = new Date();
+        const current = {};
+
+        for (const currency of new Set(rates.map(rate => rate.currency))) {
+            current[currency] = pricingEngine.landedCost.rateFor(currency, rates, today);
+        }
 
         res.json({
-            suppliers: supplierList,
-            totalSuppliers: supplierList.length,
+            rates: rates,
+            current: current,
             timestamp: new Date().toISOString()
         });
     } catch (error) {
-        logger.error('Suppliers fetch error:', error);
-        res.status(500).json({ 
+        logger.error('Exchange rates fetch error:', error);
+        res.status(500).json({
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.post('/api/exchange-rates', async (req, res) => {
+    try {
+        const errors = pricingRuleStore.checkExchangeRate(req.body || {});
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid exchange rate',
+                details: errors,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const rate = await pricingRuleStore.createExchangeRate(req.body);
+
+        res.status(201).json({
+            success: true,
+            rate: rate,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Exchange rate create error:', error);
+        res.status(500).json({
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// VAT rates with the date each took effect; an upload is priced at the rate in force on its effective date
+app.get('/api/vat-rates', async (req, res) => {
+    try {
+        const rates = await pricingRuleStore.listVatRates();
+
+        res.json({
+            rates: rates,
+            current: pricingEngine.resolveVat({ vatRates: rates }, {}),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('VAT rates fetch error:', error);
+        res.status(500).json({
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.post('/api/vat-rates', async (req, res) => {
+    try {
+        const errors = pricingRuleStore.checkVatRate(req.body || {});
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid VAT rate',
+                details: errors,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const rate = await pricingRuleStore.createVatRate(req.body);
+
+        res.status(201).json({
+            success: true,
+            rate: rate,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('VAT rate create error:', error);
+        res.status(500).json({
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Freight, duty and clearing percentages and clearing fees by supplier and category for landed-cost pricing
+app.get('/api/landed-cost-rules', async (req, res) => {
+    try {
+        const { supplier, active } = req.query;
+        const rules = await pricingRuleStore.listLandedCostRules({
+            supplier: supplier,
+            activeOnly: active === 'true'
+        });
+
+        res.json({
+            rules: rules,
+            count: rules.length,
+            defaults: pricingEngine.landedCost.defaults,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Landed-cost rules fetch error:', error);
+        res.status(500).json({
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.post('/api/landed-cost-rules', async (req, res) => {
+    try {
+        const errors = pricingRuleStore.checkLandedCostRule(req.body || {});
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid landed-cost rule',
+                details: errors,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const rule = await pricingRuleStore.createLandedCostRule(req.body);
+
+        res.status(201).json({
+            success: true,
+            rule: rule,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Landed-cost rule create error:', error);
+        res.status(500).json({
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.put('/api/landed-cost-rules/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const existing = await pricingRuleStore.getLandedCostRule(id);
+
+        if (!existing) {
+            return res.status(404).json({
+                error: 'Landed-cost rule not found',
+                ruleId: id,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const errors = pricingRuleStore.checkLandedCostRule({ ...existing, ...req.body });
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid landed-cost rule',
+                details: errors,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const rule = await pricingRuleStore.updateLandedCostRule(id, req.body);
+
+        res.json({
+            success: true,
+            rule: rule,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Landed-cost rule update error:', error);
+        res.status(500).json({
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.delete('/api/landed-cost-rules/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const rule = await pricingRuleStore.deactivateLandedCostRule(id);
+
+        if (!rule) {
+            return res.status(404).json({
+                error: 'Landed-cost rule not found',
+                ruleId: id,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.json({
+            success: true,
+            rule: rule,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Landed-cost rule delete error:', error);
+        res.status(500).json({
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Price quote lines from the catalogue at the quantity break and unit each line asks for
+app.post('/api/quotes', async (req, res) => {
+    try {
+        const { items } = req.body || {};
+
+        const errors = quoteBuilder.checkItems(items);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid quote',
+                details: errors,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const quote = await quoteBuilder.build(items);
+
+        res.json({
+            success: true,
+            quote: quote,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Quote build error:', error);
+        res.status(500).json({
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Switch promo prices now instead of waiting for the scheduled run
+app.post('/api/promos/run', async (req, res) => {
+    try {
+        const result = await promoScheduler.run();
+
+        res.json({
+            success: true,
+            ...result,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Promo price switch error:', error);
+        res.status(500).json({
             error: error.message,
             timestamp: new Date().toISOString()
         });
@@ -657,12 +2208,52 @@ app.use('*', (req, res) => {
             'GET /',
             'GET /api/test',
             'GET /api/products',
+            'GET /api/products/:id/history',
+            'GET /api/products/:id/provenance',
             'POST /api/upload',
+            'GET /api/previews/:previewId',
+            'POST /api/previews/:previewId/commit',
+            'DELETE /api/previews/:previewId',
+            'GET /api/review',
+            'GET /api/review/:id',
+            'PUT /api/review/:id',
+            'POST /api/review/:id/approve',
+            'POST /api/review/:id/reject',
             'POST /api/upload-async',
+            'POST /api/upload-batch',
+            'GET /api/batches/:batchId',
             'GET /api/jobs',
+            'GET /api/jobs/:jobId/diff',
+            'GET /api/jobs/:jobId/diff/xlsx',
             'GET /api/system/status',
             'GET /api/templates',
             'GET /api/suppliers',
+            'GET /api/suppliers/:supplier/validation-rules',
+            'PUT /api/suppliers/:supplier/validation-rules',
+            'POST /api/suppliers/:supplier/validation-rules/test',
+            'GET /api/pricing-rules',
+            'POST /api/pricing-rules',
+            'PUT /api/pricing-rules/:id',
+            'DELETE /api/pricing-rules/:id',
+            'POST /api/pricing-rules/test',
+            'GET /api/rounding-rules',
+            'POST /api/rounding-rules',
+            'PUT /api/rounding-rules/:id',
+            'DELETE /api/rounding-rules/:id',
+            'POST /api/reprice',
+            'GET /api/reprice/:previewId',
+            'POST /api/reprice/:previewId/commit',
+            'DELETE /api/reprice/:previewId',
+            'GET /api/exchange-rates',
+            'POST /api/exchange-rates',
+            'GET /api/vat-rates',
+            'POST /api/vat-rates',
+            'GET /api/landed-cost-rules',
+            'POST /api/landed-cost-rules',
+            'PUT /api/landed-cost-rules/:id',
+            'DELETE /api/landed-cost-rules/:id',
+            'POST /api/quotes',
+            'POST /api/promos/run',
             'GET /api/stats'
         ]
     });
@@ -673,6 +2264,7 @@ process.on('SIGTERM', async () => {
     logger.info('Received SIGTERM, shutting down gracefully...');
     
     try {
+        promoScheduler.stop();
         await enhancedSystem.shutdown();
         process.exit(0);
     } catch (error) {
@@ -685,6 +2277,7 @@ process.on('SIGINT', async () => {
     logger.info('Received SIGINT, shutting down gracefully...');
     
     try {
+        promoScheduler.stop();
         await enhancedSystem.shutdown();
         process.exit(0);
     } catch (error) {
@@ -700,6 +2293,8 @@ const server = app.listen(PORT, () => {
     logger.info(`🤖 Enhanced system: ${enhancedSystem.isHealthy() ? 'Ready' : 'Initializing'}`);
     logger.info(`📁 Log level: ${process.env.LOG_LEVEL || 'info'}`);
     logger.info(`🔄 Max concurrent jobs: ${process.env.MAX_CONCURRENT_JOBS || 5}`);
+
+    promoScheduler.start();
     
     console.log(`
     ╔══════════════════════════════════════════════════════════════╗
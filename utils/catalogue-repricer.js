@@ -0,0 +1,205 @@
+/**
+ * Catalogue Repricer for Audico Pricing
+ * Recalculates cost, retail and final prices of products already in the catalogue from their
+ * stored original_price, under new pricing options or the current pricing rules
+ */
+class CatalogueRepricer {
+    constructor(config = {}) {
+        this.importer = config.importer;
+        this.pricingEngine = config.pricingEngine;
+        this.logger = config.logger || console;
+
+        // Columns the pricing engine owns on a products row
+        this.pricedFields = [
+            'cost_price', 'retail_price', 'final_price', 'retail_price_unrounded',
+            'rounding_strategy', 'rounding_rule_id', 'markup_percentage',
+            'price_calculation_method', 'vat_rate', 'vat_rate_source', 'pricing_date',
+            'pricing_rule_id', 'pricing_rule',
+            'source_currency', 'exchange_rate', 'landed_cost', 'cost_breakdown', 'price_tiers',
+            'promo_price', 'promo_active'
+        ];
+    }
+
+    /**
+     * Listed rows matching the filters: supplier, category, brand and/or explicit ids
+     */
+    async loadRows(filters = {}) {
+        let rows = await this.importer.loadListedProducts(filters.supplier || null);
+
+        if (filters.category) {
+            rows = rows.filter(row => this.pricingEngine.resolver.sameText(filters.category, row.category));
+        }
+
+        if (filters.brand) {
+            rows = rows.filter(row => this.pricingEngine.matchesBrand(filters.brand, { name: row.name }));
+        }
+
+        if (Array.isArray(filters.ids) && filters.ids.length > 0) {
+            const ids = new Set(filters.ids);
+            rows = rows.filter(row => ids.has(row.id));
+        }
+
+        return rows;
+    }
+
+    /**
+     * Options for one row: what the caller sent, else how the row was last priced; the VAT
+     * rate stored on the row is kept so a later change to the VAT table does not move its price
+     */
+    pricingOptions(row, options = {}) {
+        const storedMarkup = row.pricing_rule_id ? null : row.markup_percentage;
+        const vatGiven = options.vatRate !== undefined && options.vatRate !== null && options.vatRate !== '';
+        const vatStored = row.vat_rate !== undefined && row.vat_rate !== null;
+
+        return {
+            supplier: row.supplier,
+            priceType: options.priceType || row.price_calculation_method || null,
+            pricingDate: options.pricingDate || row.pricing_date || null,
+            vatRate: vatGiven ? parseFloat(options.vatRate) : (vatStored ? parseFloat(row.vat_rate) : null),
+            vatRateSource: vatGiven ? 'upload' : (row.vat_rate_source || 'stored'),
+            marginPercentage: options.marginPercentage !== undefined && options.marginPercentage !== null && options.marginPercentage !== ''
+                ? parseFloat(options.marginPercentage) || 0
+                : parseFloat(storedMarkup) || 0
+        };
+    }
+
+    /**
+     * Work out the new prices of every matching product without writing anything;
+     * updates carry the full before and after rows, changes just the prices
+     */
+    async plan(filters = {}, options = {}) {
+        const rows = await this.loadRows(filters);
+        const rulesBySupplier = new Map();
+        const plan = { changes: [], updates: [], unchanged: 0, skipped: [] };
+
+        for (const row of rows) {
+            const pricingOptions = this.pricingOptions(row, options);
+
+            if (!pricingOptions.priceType) {
+                plan.skipped.push({ id: row.id, name: row.name, reason: 'No priceType given and none stored for this product' });
+                continue;
+            }
+
+            if (!(parseFloat(row.original_price) > 0)) {
+                plan.skipped.push({ id: row.id, name: row.name, reason: 'No original_price stored' });
+                continue;
+            }
+
+            if (!rulesBySupplier.has(row.supplier)) {
+                rulesBySupplier.set(row.supplier, await this.pricingEngine.loadRules(row.supplier));
+            }
+
+            let after;
+            try {
+                after = this.priceRow(row, rulesBySupplier.get(row.supplier), pricingOptions);
+            } catch (error) {
+                if (error.code !== 'EXCHANGE_RATE_MISSING') throw error;
+                plan.skipped.push({ id: row.id, name: row.name, reason: error.message });
+                continue;
+            }
+
+            const changes = this.importer.diffRow(row, after);
+
+            if (changes.length === 0) {
+                plan.unchanged++;
+                continue;
+            }
+
+            plan.updates.push({ before: row, after, changes });
+            plan.changes.push({
+                id: row.id,
+                supplier: row.supplier,
+                sku: row.sku || null,
+                name: row.name,
+                changes: changes,
+                before: this.pickPrices(row),
+                after: this.pickPrices(after)
+            });
+        }
+
+        return plan;
+    }
+
+    /**
+     * A products row with its priced columns recalculated from original_price
+     */
+    priceRow(row, rules, pricingOptions) {
+        const priced = this.pricingEngine.price({
+            name: row.name,
+            sku: row.sku,
+            supplier: row.supplier,
+            category: row.category,
+            price: parseFloat(row.original_price),
+            priceType: row.price_type,
+            currency: row.source_currency,
+            priceTiers: row.price_tiers,
+            promoPrice: row.promo_original_price,
+            promoStartsAt: row.promo_starts_at,
+            promoEndsAt: row.promo_ends_at
+        }, rules, pricingOptions);
+
+        const after = { ...row };
+        for (const field of this.pricedFields) {
+            after[field] = priced[field] !== undefined ? priced[field] : null;
+        }
+
+        return after;
+    }
+
+    pickPrices(row) {
+        return {
+            original_price: row.original_price,
+            cost_price: row.cost_price,
+            retail_price: row.retail_price,
+            final_price: row.final_price,
+            promo_price: row.promo_price !== undefined ? row.promo_price : null,
+            retail_price_unrounded: row.retail_price_unrounded !== undefined ? row.retail_price_unrounded : null,
+            markup_percentage: row.markup_percentage !== undefined ? row.markup_percentage : null,
+            vat_rate: row.vat_rate !== undefined ? row.vat_rate : null,
+            pricing_rule_id: row.pricing_rule_id || null,
+            rounding_strategy: row.rounding_strategy || null,
+            source_currency: row.source_currency || null,
+            exchange_rate: row.exchange_rate || null,
+            landed_cost: row.landed_cost || null
+        };
+    }
+
+    /**
+     * Re-plan the previewed products against the catalogue as it is now and write the changes,
+     * with a price_history row for each price that moved
+     */
+    async apply(preview) {
+        const ids = preview.products.map(change => change.id);
+        if (ids.length === 0) {
+            return { updated: 0, priceHistoryEntries: 0, dropped: 0, skipped: [] };
+        }
+
+        const plan = await this.plan({ ...preview.filters, ids }, preview.options);
+
+        const now = new Date().toISOString();
+        const writePlan = { inserts: [], updates: [], delists: [], missing: [], stockChecked: [], history: [] };
+
+        for (const update of plan.updates) {
+            const after = { ...update.after, updated_at: now };
+            writePlan.updates.push({ ...update, after });
+
+            if (this.importer.historyFields.some(field => update.changes.includes(field))) {
+                writePlan.history.push(this.importer.historyEntry(update.before, after, { jobId: preview.id }, now, 'reprice', update.before.id));
+            }
+        }
+
+        await this.importer.applyPlan(writePlan);
+
+        this.logger.info(`💰 Repriced ${writePlan.updates.length} products (preview ${preview.id})`);
+
+        return {
+            updated: writePlan.updates.length,
+            priceHistoryEntries: writePlan.history.length,
+            // Previewed products that were re-uploaded or delisted since, or now price the same
+            dropped: ids.length - plan.updates.length - plan.skipped.length,
+            skipped: plan.skipped
+        };
+    }
+}
+
+module.exports = CatalogueRepricer;
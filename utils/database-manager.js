@@ -70,8 +70,18 @@ class DatabaseManager {
             const requiredTables = [
                 'products',
                 'processing_jobs',
+                'processing_batches',
                 'agent_logs',
-                'supplier_configs'
+                'supplier_configs',
+                'supplier_validation_rules',
+                'pricing_rules',
+                'rounding_rules',
+                'landed_cost_rules',
+                'exchange_rates',
+                'vat_rates',
+                'price_history',
+                'review_queue',
+                'review_decisions'
             ];
 
             for (const table of requiredTables) {
@@ -166,6 +176,187 @@ class DatabaseManager {
 
                 CREATE INDEX idx_supplier_configs_supplier_name ON supplier_configs(supplier_name);
                 CREATE INDEX idx_supplier_configs_is_active ON supplier_configs(is_active);
+            `,
+
+            'supplier_validation_rules': `
+                CREATE TABLE supplier_validation_rules (
+                    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                    supplier_name VARCHAR(100) UNIQUE NOT NULL,
+                    rules JSONB NOT NULL DEFAULT '{}',
+                    version INTEGER DEFAULT 1,
+                    is_active BOOLEAN DEFAULT true,
+                    updated_by VARCHAR(255),
+                    last_updated TIMESTAMP DEFAULT NOW(),
+                    created_at TIMESTAMP DEFAULT NOW()
+                );
+            `,
+
+            'pricing_rules': `
+                CREATE TABLE pricing_rules (
+                    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                    name VARCHAR(255),
+                    supplier VARCHAR(100),
+                    brand VARCHAR(100),
+                    category VARCHAR(100),
+                    min_cost DECIMAL(12,2),
+                    max_cost DECIMAL(12,2),
+                    markup_percent DECIMAL(7,2) NOT NULL,
+                    priority INTEGER DEFAULT 0,
+                    is_active BOOLEAN DEFAULT true,
+                    created_at TIMESTAMP DEFAULT NOW(),
+                    updated_at TIMESTAMP DEFAULT NOW()
+                );
+
+                CREATE INDEX idx_pricing_rules_supplier ON pricing_rules(supplier);
+            `,
+
+            'rounding_rules': `
+                CREATE TABLE rounding_rules (
+                    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                    name VARCHAR(255),
+                    supplier VARCHAR(100),
+                    category VARCHAR(100),
+                    strategy VARCHAR(50) NOT NULL,
+                    threshold DECIMAL(12,2),
+                    priority INTEGER DEFAULT 0,
+                    is_active BOOLEAN DEFAULT true,
+                    created_at TIMESTAMP DEFAULT NOW(),
+                    updated_at TIMESTAMP DEFAULT NOW()
+                );
+            `,
+
+            'landed_cost_rules': `
+                CREATE TABLE landed_cost_rules (
+                    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                    name VARCHAR(255),
+                    supplier VARCHAR(100),
+                    category VARCHAR(100),
+                    freight_percent DECIMAL(7,2),
+                    duty_percent DECIMAL(7,2),
+                    clearing_percent DECIMAL(7,2),
+                    clearing_fee DECIMAL(12,2),
+                    priority INTEGER DEFAULT 0,
+                    is_active BOOLEAN DEFAULT true,
+                    created_at TIMESTAMP DEFAULT NOW(),
+                    updated_at TIMESTAMP DEFAULT NOW()
+                );
+            `,
+
+            'exchange_rates': `
+                CREATE TABLE exchange_rates (
+                    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                    currency VARCHAR(3) NOT NULL,
+                    rate_to_zar DECIMAL(12,6) NOT NULL,
+                    effective_from DATE NOT NULL,
+                    source VARCHAR(255),
+                    created_at TIMESTAMP DEFAULT NOW()
+                );
+
+                CREATE INDEX idx_exchange_rates_currency_effective ON exchange_rates(currency, effective_from);
+            `,
+
+            'vat_rates': `
+                CREATE TABLE vat_rates (
+                    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                    rate_percent DECIMAL(5,2) NOT NULL,
+                    effective_from DATE NOT NULL,
+                    notes TEXT,
+                    created_at TIMESTAMP DEFAULT NOW()
+                );
+
+                CREATE INDEX idx_vat_rates_effective ON vat_rates(effective_from);
+            `,
+
+            'price_history': `
+                CREATE TABLE price_history (
+                    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                    product_id UUID NOT NULL,
+                    supplier VARCHAR(100),
+                    sku VARCHAR(100),
+                    job_id VARCHAR(255),
+                    change_type VARCHAR(50) NOT NULL,
+                    old_original_price DECIMAL(12,2),
+                    new_original_price DECIMAL(12,2),
+                    old_cost_price DECIMAL(12,2),
+                    new_cost_price DECIMAL(12,2),
+                    old_retail_price DECIMAL(12,2),
+                    new_retail_price DECIMAL(12,2),
+                    effective_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                    created_at TIMESTAMP DEFAULT NOW()
+                );
+
+                CREATE INDEX idx_price_history_product_id ON price_history(product_id);
+                CREATE INDEX idx_price_history_supplier_sku ON price_history(supplier, sku);
+                CREATE INDEX idx_price_history_effective_at ON price_history(effective_at);
+            `,
+
+            'review_queue': `
+                CREATE TABLE review_queue (
+                    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                    job_id VARCHAR(255),
+                    supplier VARCHAR(100),
+                    filename VARCHAR(255),
+                    status VARCHAR(50) NOT NULL DEFAULT 'pending',
+                    reason VARCHAR(50) NOT NULL,
+                    product JSONB NOT NULL,
+                    original_product JSONB NOT NULL,
+                    issues JSONB DEFAULT '[]',
+                    warnings JSONB DEFAULT '[]',
+                    source_line INTEGER,
+                    source_sheet VARCHAR(255),
+                    source_page INTEGER,
+                    raw_text TEXT,
+                    confidence DECIMAL(5,4),
+                    import_context JSONB,
+                    reviewed_by VARCHAR(255),
+                    review_notes TEXT,
+                    reviewed_at TIMESTAMP,
+                    created_at TIMESTAMP DEFAULT NOW(),
+                    updated_at TIMESTAMP DEFAULT NOW()
+                );
+
+                CREATE INDEX idx_review_queue_status ON review_queue(status);
+                CREATE INDEX idx_review_queue_job_id ON review_queue(job_id);
+            `,
+
+            'review_decisions': `
+                CREATE TABLE review_decisions (
+                    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                    review_item_id UUID NOT NULL,
+                    job_id VARCHAR(255),
+                    supplier VARCHAR(100),
+                    decision VARCHAR(50) NOT NULL,
+                    reason VARCHAR(50),
+                    issue_types JSONB DEFAULT '[]',
+                    edited_fields JSONB DEFAULT '[]',
+                    original_product JSONB,
+                    final_product JSONB,
+                    raw_text TEXT,
+                    confidence DECIMAL(5,4),
+                    reviewer VARCHAR(255),
+                    notes TEXT,
+                    created_at TIMESTAMP DEFAULT NOW()
+                );
+
+                CREATE INDEX idx_review_decisions_supplier ON review_decisions(supplier);
+            `,
+
+            'processing_batches': `
+                CREATE TABLE processing_batches (
+                    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                    batch_id VARCHAR(255) UNIQUE NOT NULL,
+                    supplier VARCHAR(100),
+                    status VARCHAR(50) NOT NULL DEFAULT 'processing',
+                    counts JSONB DEFAULT '{}',
+                    total_products INTEGER DEFAULT 0,
+                    files JSONB DEFAULT '[]',
+                    skipped JSONB DEFAULT '[]',
+                    created_at TIMESTAMP DEFAULT NOW(),
+                    completed_at TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT NOW()
+                );
+
+                CREATE INDEX idx_processing_batches_created_at ON processing_batches(created_at);
             `
         };
 
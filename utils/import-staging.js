@@ -0,0 +1,112 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Import Staging for Audico Dry-Run Uploads
+ * Holds extracted products under a preview id until they are committed, discarded or expire
+ */
+class ImportStaging {
+    constructor(config = {}) {
+        this.logger = config.logger || console;
+        this.ttlMinutes = config.ttlMinutes || parseInt(process.env.PREVIEW_TTL_MINUTES || '60');
+        this.previews = new Map();
+
+        // Expired previews are also dropped lazily on access; this just bounds memory
+        this.cleanupTimer = setInterval(() => this.purgeExpired(), 60 * 1000);
+        this.cleanupTimer.unref();
+    }
+
+    /**
+     * Stage an extraction result and return the preview record
+     */
+    stage(data) {
+        const now = Date.now();
+        const preview = {
+            id: uuidv4(),
+            status: 'staged',
+            ...data,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + this.ttlMinutes * 60 * 1000).toISOString()
+        };
+
+        this.previews.set(preview.id, preview);
+        this.logger.info(`🗂️ Staged preview ${preview.id}: ${(data.products || []).length} products (expires ${preview.expiresAt})`);
+
+        return preview;
+    }
+
+    get(previewId) {
+        const preview = this.previews.get(previewId);
+        if (!preview) return null;
+
+        if (this.isExpired(preview)) {
+            this.previews.delete(previewId);
+            return null;
+        }
+
+        return preview;
+    }
+
+    discard(previewId) {
+        const preview = this.get(previewId);
+        if (!preview) return false;
+
+        this.previews.delete(previewId);
+        this.logger.info(`🗑️ Discarded preview ${previewId}`);
+        return true;
+    }
+
+    /**
+     * Run a commit callback once per preview; the preview is dropped only if it succeeds
+     */
+    async commit(previewId, writer) {
+        const preview = this.get(previewId);
+        if (!preview) return null;
+
+        if (preview.status === 'committing') {
+            const error = new Error(`Preview ${previewId} is already being committed`);
+            error.code = 'PREVIEW_BUSY';
+            throw error;
+        }
+
+        preview.status = 'committing';
+
+        try {
+            const result = await writer(preview);
+            this.previews.delete(previewId);
+            return result;
+        } catch (error) {
+            preview.status = 'staged';
+            throw error;
+        }
+    }
+
+    isExpired(preview) {
+        return Date.parse(preview.expiresAt) <= Date.now();
+    }
+
+    purgeExpired() {
+        let purged = 0;
+
+        for (const [previewId, preview] of this.previews) {
+            if (preview.status !== 'committing' && this.isExpired(preview)) {
+                this.previews.delete(previewId);
+                purged++;
+            }
+        }
+
+        if (purged > 0) {
+            this.logger.info(`🧹 Expired ${purged} staged previews`);
+        }
+
+        return purged;
+    }
+
+    getStats() {
+        return {
+            staged: this.previews.size,
+            ttlMinutes: this.ttlMinutes
+        };
+    }
+}
+
+module.exports = ImportStaging;
@@ -0,0 +1,177 @@
+const XLSX = require('xlsx');
+
+/**
+ * Pricelist Diff Reports for Audico Imports
+ * Compares an upload's planned import against the supplier's current catalogue and keeps
+ * the report per job so purchasing can review it as JSON or download it as XLSX
+ */
+class PricelistDiff {
+    constructor(config = {}) {
+        this.importer = config.importer;
+        this.logger = config.logger || console;
+
+        // Reports are kept in memory; the oldest are dropped first
+        this.maxReports = config.maxReports || parseInt(process.env.DIFF_MAX_REPORTS || '100');
+        this.reports = new Map();
+    }
+
+    /**
+     * Build a diff report from planned supplier imports
+     */
+    buildReport(planned, context = {}) {
+        const report = {
+            jobId: context.jobId || null,
+            filename: context.filename || null,
+            generatedAt: new Date().toISOString(),
+            summary: {
+                newProducts: 0,
+                removedProducts: 0,
+                priceIncreases: 0,
+                priceDecreases: 0,
+                renamed: 0,
+                unchanged: 0
+            },
+            newProducts: [],
+            removedProducts: [],
+            priceIncreases: [],
+            priceDecreases: [],
+            renamed: []
+        };
+
+        for (const { supplier, plan } of planned.plans) {
+            for (const row of plan.inserts) {
+                report.newProducts.push({
+                    supplier: supplier,
+                    sku: row.sku,
+                    name: row.name,
+                    price: row.original_price
+                });
+            }
+
+            for (const row of plan.delists) {
+                report.removedProducts.push({
+                    id: row.id,
+                    supplier: supplier,
+                    sku: row.sku,
+                    name: row.name,
+                    price: row.original_price
+                });
+            }
+
+            for (const { before, after } of plan.updates) {
+                const oldPrice = parseFloat(before.original_price) || 0;
+                const newPrice = parseFloat(after.original_price) || 0;
+
+                if (Math.round(oldPrice * 100) !== Math.round(newPrice * 100)) {
+                    const change = {
+                        id: before.id,
+                        supplier: supplier,
+                        sku: after.sku,
+                        name: after.name,
+                        oldPrice: oldPrice,
+                        newPrice: newPrice,
+                        change: Math.round((newPrice - oldPrice) * 100) / 100,
+                        changePercent: oldPrice > 0 ? Math.round((newPrice - oldPrice) / oldPrice * 10000) / 100 : null
+                    };
+
+                    (newPrice > oldPrice ? report.priceIncreases : report.priceDecreases).push(change);
+                }
+
+                if (before.sku && before.sku === after.sku && before.name !== after.name) {
+                    report.renamed.push({
+                        id: before.id,
+                        supplier: supplier,
+                        sku: after.sku,
+                        oldName: before.name,
+                        newName: after.name
+                    });
+                }
+            }
+
+            report.summary.unchanged += plan.unchanged.length;
+        }
+
+        // Biggest moves first
+        report.priceIncreases.sort((a, b) => (b.changePercent || 0) - (a.changePercent || 0));
+        report.priceDecreases.sort((a, b) => (a.changePercent || 0) - (b.changePercent || 0));
+
+        report.summary.newProducts = report.newProducts.length;
+        report.summary.removedProducts = report.removedProducts.length;
+        report.summary.priceIncreases = report.priceIncreases.length;
+        report.summary.priceDecreases = report.priceDecreases.length;
+        report.summary.renamed = report.renamed.length;
+
+        return report;
+    }
+
+    /**
+     * Plan an import without writing it and build its diff report
+     */
+    async compare(products, context = {}) {
+        const planned = await this.importer.planProducts(products, context);
+        return this.buildReport(planned, context);
+    }
+
+    saveReport(jobId, report) {
+        this.reports.delete(jobId);
+        this.reports.set(jobId, report);
+
+        while (this.reports.size > this.maxReports) {
+            this.reports.delete(this.reports.keys().next().value);
+        }
+
+        return report;
+    }
+
+    getReport(jobId) {
+        return this.reports.get(jobId) || null;
+    }
+
+    /**
+     * Render a report as an XLSX workbook with one sheet per section
+     */
+    toWorkbook(report) {
+        const workbook = XLSX.utils.book_new();
+
+        const summaryRows = [
+            { Item: 'Job', Value: report.jobId || '' },
+            { Item: 'File', Value: report.filename || '' },
+            { Item: 'Generated', Value: report.generatedAt },
+            { Item: 'New products', Value: report.summary.newProducts },
+            { Item: 'Removed products', Value: report.summary.removedProducts },
+            { Item: 'Price increases', Value: report.summary.priceIncreases },
+            { Item: 'Price decreases', Value: report.summary.priceDecreases },
+            { Item: 'Renamed', Value: report.summary.renamed },
+            { Item: 'Unchanged', Value: report.summary.unchanged }
+        ];
+
+        const priceRows = changes => changes.map(change => ({
+            Supplier: change.supplier,
+            SKU: change.sku || '',
+            Name: change.name,
+            'Old Price': change.oldPrice,
+            'New Price': change.newPrice,
+            Change: change.change,
+            'Change %': change.changePercent
+        }));
+
+        const sheets = {
+            'Summary': summaryRows,
+            'New Products': report.newProducts.map(row => ({ Supplier: row.supplier, SKU: row.sku || '', Name: row.name, Price: row.price })),
+            'Removed Products': report.removedProducts.map(row => ({ Supplier: row.supplier, SKU: row.sku || '', Name: row.name, Price: row.price })),
+            'Price Increases': priceRows(report.priceIncreases),
+            'Price Decreases': priceRows(report.priceDecreases),
+            'Renamed': report.renamed.map(row => ({ Supplier: row.supplier, SKU: row.sku, 'Old Name': row.oldName, 'New Name': row.newName }))
+        };
+
+        for (const [name, rows] of Object.entries(sheets)) {
+            // json_to_sheet on an empty array gives a sheet without headers
+            const sheet = rows.length > 0 ? XLSX.utils.json_to_sheet(rows) : XLSX.utils.aoa_to_sheet([['No changes']]);
+            XLSX.utils.book_append_sheet(workbook, sheet, name);
+        }
+
+        return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+    }
+}
+
+module.exports = PricelistDiff;
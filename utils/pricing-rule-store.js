@@ -0,0 +1,388 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Pricing Rule Store for Audico Pricing
+ * Persists markup rules scoped by supplier, brand, category and cost band, the retail
+ * rounding and landed-cost rules scoped by supplier and category, exchange rates and VAT rates
+ */
+class PricingRuleStore {
+    constructor(config = {}) {
+        this.supabase = config.supabase;
+        this.logger = config.logger || console;
+
+        // Columns a caller may set on a rule
+        this.ruleFields = [
+            'name', 'supplier', 'brand', 'category', 'min_cost', 'max_cost',
+            'markup_percent', 'priority', 'is_active'
+        ];
+        this.roundingFields = ['name', 'supplier', 'category', 'strategy', 'threshold', 'priority', 'is_active'];
+        this.landedCostFields = [
+            'name', 'supplier', 'category', 'freight_percent', 'duty_percent', 'clearing_percent',
+            'clearing_fee', 'priority', 'is_active'
+        ];
+        this.numericFields = [
+            'min_cost', 'max_cost', 'markup_percent', 'threshold', 'priority',
+            'freight_percent', 'duty_percent', 'clearing_percent', 'clearing_fee'
+        ];
+    }
+
+    /**
+     * Active rules that can apply to a supplier's products (its own rules and the global ones)
+     */
+    async getRules(supplierName) {
+        return this.forSupplier(await this.listRules({ activeOnly: true }), supplierName);
+    }
+
+    async getRoundingRules(supplierName) {
+        return this.forSupplier(await this.listRoundingRules({ activeOnly: true }), supplierName);
+    }
+
+    async getLandedCostRules(supplierName) {
+        return this.forSupplier(await this.listLandedCostRules({ activeOnly: true }), supplierName);
+    }
+
+    forSupplier(rules, supplierName) {
+        return rules.filter(rule => !rule.supplier || !supplierName ||
+            rule.supplier.toLowerCase() === String(supplierName).toLowerCase());
+    }
+
+    async listRules(filters = {}) {
+        return this.list('pricing_rules', filters);
+    }
+
+    async listRoundingRules(filters = {}) {
+        return this.list('rounding_rules', filters);
+    }
+
+    async listLandedCostRules(filters = {}) {
+        return this.list('landed_cost_rules', filters);
+    }
+
+    async getRule(id) {
+        return this.get('pricing_rules', id);
+    }
+
+    async getRoundingRule(id) {
+        return this.get('rounding_rules', id);
+    }
+
+    async getLandedCostRule(id) {
+        return this.get('landed_cost_rules', id);
+    }
+
+    /**
+     * Exchange rates to ZAR, newest effective date first
+     */
+    async listExchangeRates(currency) {
+        let query = this.supabase
+            .from('exchange_rates')
+            .select('*')
+            .order('effective_from', { ascending: false });
+
+        if (currency) query = query.eq('currency', currency.toUpperCase());
+
+        const { data, error } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        return data || [];
+    }
+
+    async createExchangeRate(rate) {
+        const { data, error } = await this.supabase
+            .from('exchange_rates')
+            .insert([{
+                id: uuidv4(),
+                currency: String(rate.currency).toUpperCase(),
+                rate_to_zar: parseFloat(rate.rate_to_zar),
+                effective_from: rate.effective_from || new Date().toISOString().substring(0, 10),
+                source: rate.source || null,
+                created_at: new Date().toISOString()
+            }])
+            .select();
+
+        if (error) {
+            throw error;
+        }
+
+        this.logger.info(`💱 ${data[0].currency} = R${data[0].rate_to_zar} from ${data[0].effective_from}`);
+
+        return data[0];
+    }
+
+    /**
+     * VAT rates, newest effective date first
+     */
+    async listVatRates() {
+        const { data, error } = await this.supabase
+            .from('vat_rates')
+            .select('*')
+            .order('effective_from', { ascending: false });
+
+        if (error) {
+            throw error;
+        }
+
+        return data || [];
+    }
+
+    async createVatRate(rate) {
+        const { data, error } = await this.supabase
+            .from('vat_rates')
+            .insert([{
+                id: uuidv4(),
+                rate_percent: parseFloat(rate.rate_percent),
+                effective_from: rate.effective_from,
+                notes: rate.notes || null,
+                created_at: new Date().toISOString()
+            }])
+            .select();
+
+        if (error) {
+            throw error;
+        }
+
+        this.logger.info(`🧾 VAT ${data[0].rate_percent}% from ${data[0].effective_from}`);
+
+        return data[0];
+    }
+
+    checkVatRate(rate) {
+        const errors = [];
+        const percent = parseFloat(rate.rate_percent);
+
+        if (isNaN(percent) || percent < 0 || percent >= 100) {
+            errors.push('rate_percent must be a number from 0 to below 100');
+        }
+
+        if (!rate.effective_from || isNaN(Date.parse(rate.effective_from))) {
+            errors.push('effective_from must be a date (YYYY-MM-DD)');
+        }
+
+        return errors;
+    }
+
+    checkExchangeRate(rate) {
+        const errors = [];
+
+        if (!rate.currency || !/^[A-Za-z]{3}$/.test(rate.currency)) {
+            errors.push('currency must be a three-letter code such as USD');
+        }
+
+        if (!(parseFloat(rate.rate_to_zar) > 0)) {
+            errors.push('rate_to_zar must be a positive number');
+        }
+
+        if (rate.effective_from && isNaN(Date.parse(rate.effective_from))) {
+            errors.push('effective_from must be a date (YYYY-MM-DD)');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Problems with a rule as submitted, as a list of messages
+     */
+    checkRule(rule) {
+        const errors = [];
+        const markup = parseFloat(rule.markup_percent);
+
+        if (rule.markup_percent === undefined || rule.markup_percent === null || isNaN(markup)) {
+            errors.push('markup_percent must be a number');
+        } else if (markup <= -100) {
+            errors.push('markup_percent must be greater than -100');
+        }
+
+        for (const field of ['min_cost', 'max_cost', 'priority']) {
+            if (rule[field] !== undefined && rule[field] !== null && isNaN(parseFloat(rule[field]))) {
+                errors.push(`${field} must be a number`);
+            }
+        }
+
+        if (rule.min_cost !== undefined && rule.min_cost !== null &&
+            rule.max_cost !== undefined && rule.max_cost !== null &&
+            parseFloat(rule.min_cost) >= parseFloat(rule.max_cost)) {
+            errors.push('min_cost must be below max_cost');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Problems with a rounding rule; strategies are the ones the price rounder knows
+     */
+    checkRoundingRule(rule, strategies) {
+        const errors = [];
+
+        if (!strategies.includes(rule.strategy)) {
+            errors.push(`strategy must be one of: ${strategies.join(', ')}`);
+        }
+
+        for (const field of ['threshold', 'priority']) {
+            if (rule[field] !== undefined && rule[field] !== null && isNaN(parseFloat(rule[field]))) {
+                errors.push(`${field} must be a number`);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Problems with a landed-cost rule; each rule sets one or more of the cost components
+     */
+    checkLandedCostRule(rule) {
+        const errors = [];
+        const components = ['freight_percent', 'duty_percent', 'clearing_percent', 'clearing_fee'];
+
+        if (components.every(field => rule[field] === undefined || rule[field] === null || rule[field] === '')) {
+            errors.push(`A landed-cost rule needs at least one of: ${components.join(', ')}`);
+        }
+
+        for (const field of [...components, 'priority']) {
+            if (rule[field] !== undefined && rule[field] !== null && rule[field] !== '' &&
+                !(parseFloat(rule[field]) >= 0)) {
+                errors.push(`${field} must be a number of zero or more`);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Keep known columns and turn blank scopes into nulls (null matches anything)
+     */
+    toRow(rule, fields = this.ruleFields) {
+        const row = {};
+
+        for (const field of fields) {
+            if (rule[field] === undefined) continue;
+
+            const value = rule[field] === '' ? null : rule[field];
+            row[field] = this.numericFields.includes(field) && value !== null
+                ? parseFloat(value)
+                : value;
+        }
+
+        return row;
+    }
+
+    async createRule(rule) {
+        const created = await this.insert('pricing_rules', this.toRow(rule));
+        this.logger.info(`💾 Created pricing rule ${created.id} (${created.markup_percent}% markup)`);
+        return created;
+    }
+
+    async updateRule(id, changes) {
+        return this.update('pricing_rules', id, this.toRow(changes));
+    }
+
+    async createRoundingRule(rule) {
+        const created = await this.insert('rounding_rules', this.toRow(rule, this.roundingFields));
+        this.logger.info(`💾 Created rounding rule ${created.id} (${created.strategy})`);
+        return created;
+    }
+
+    async updateRoundingRule(id, changes) {
+        return this.update('rounding_rules', id, this.toRow(changes, this.roundingFields));
+    }
+
+    async createLandedCostRule(rule) {
+        const created = await this.insert('landed_cost_rules', this.toRow(rule, this.landedCostFields));
+        this.logger.info(`💾 Created landed-cost rule ${created.id}`);
+        return created;
+    }
+
+    async updateLandedCostRule(id, changes) {
+        return this.update('landed_cost_rules', id, this.toRow(changes, this.landedCostFields));
+    }
+
+    /**
+     * Rules are deactivated rather than deleted so products keep a valid pricing_rule_id
+     */
+    async deactivateRule(id) {
+        return this.updateRule(id, { is_active: false });
+    }
+
+    async deactivateRoundingRule(id) {
+        return this.updateRoundingRule(id, { is_active: false });
+    }
+
+    async deactivateLandedCostRule(id) {
+        return this.updateLandedCostRule(id, { is_active: false });
+    }
+
+    async list(table, filters) {
+        let query = this.supabase
+            .from(table)
+            .select('*')
+            .order('created_at', { ascending: true });
+
+        if (filters.activeOnly) query = query.eq('is_active', true);
+        if (filters.supplier) query = query.eq('supplier', filters.supplier);
+
+        const { data, error } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        return data || [];
+    }
+
+    async get(table, id) {
+        const { data, error } = await this.supabase
+            .from(table)
+            .select('*')
+            .eq('id', id)
+            .limit(1);
+
+        if (error) {
+            throw error;
+        }
+
+        return (data && data[0]) || null;
+    }
+
+    async insert(table, row) {
+        const now = new Date().toISOString();
+
+        const { data, error } = await this.supabase
+            .from(table)
+            .insert([{
+                id: uuidv4(),
+                priority: 0,
+                is_active: true,
+                ...row,
+                created_at: now,
+                updated_at: now
+            }])
+            .select();
+
+        if (error) {
+            throw error;
+        }
+
+        return data[0];
+    }
+
+    async update(table, id, changes) {
+        const { data, error } = await this.supabase
+            .from(table)
+            .update({
+                ...changes,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', id)
+            .select();
+
+        if (error) {
+            throw error;
+        }
+
+        return (data && data[0]) || null;
+    }
+}
+
+module.exports = PricingRuleStore;
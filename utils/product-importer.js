@@ -0,0 +1,604 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Product Importer for Audico Pricelists
+ * Matches extracted products to the catalogue by supplier + SKU (falling back to a
+ * normalised name) so re-uploading a list updates rows instead of duplicating them
+ */
+class ProductImporter {
+    constructor(config = {}) {
+        this.supabase = config.supabase;
+        this.logger = config.logger || console;
+        this.batchSize = config.batchSize || 500;
+
+        // Columns compared to decide whether a matched product actually changed
+        this.trackedFields = [
+            'name', 'sku', 'description', 'specifications', 'category',
+            'original_price', 'cost_price', 'retail_price', 'final_price', 'price_type',
+            'pricing_rule_id', 'price_tiers', 'unit_of_measure',
+            'promo_price', 'promo_starts_at', 'promo_ends_at',
+            'stock_quantity', 'stock_status', 'stock_eta',
+            'lifecycle_status', 'lifecycle_reason', 'missing_import_count'
+        ];
+        this.priceFields = ['original_price', 'cost_price', 'retail_price', 'final_price', 'promo_price'];
+
+        // JSON columns, compared by content rather than by key order
+        this.jsonFields = ['price_tiers'];
+
+        // A change to any of these is written to price_history
+        this.historyFields = ['original_price', 'cost_price', 'retail_price'];
+
+        // Consecutive full-list imports a product can be missing from before it is flagged as likely discontinued
+        this.discontinuedAfter = config.discontinuedAfter ||
+            parseInt(process.env.DISCONTINUED_AFTER_MISSING_IMPORTS, 10) || 3;
+    }
+
+    /**
+     * Lower-case a product name and strip punctuation so cosmetic edits still match
+     */
+    normalizeName(name) {
+        return String(name || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Map an extracted product to a products table row
+     */
+    toRow(product, context = {}) {
+        return {
+            name: product.name || 'Unknown Product',
+            sku: product.sku || null,
+            description: product.description || product.name || '',
+            specifications: product.specifications || '',
+            supplier: product.supplier || context.supplier,
+            category: product.category || 'uncategorized',
+            original_price: product.original_price || product.price || 0,
+            cost_price: product.cost_price || null,
+            retail_price: product.retail_price || product.final_price || product.price || 0,
+            final_price: product.final_price || product.price || 0,
+            price_type: product.priceType || 'Standard',
+            retail_price_unrounded: product.retail_price_unrounded || null,
+            rounding_strategy: product.rounding_strategy || null,
+            rounding_rule_id: product.rounding_rule_id || null,
+            markup_percentage: product.markup_percentage !== undefined ? product.markup_percentage : null,
+            price_calculation_method: product.price_calculation_method || null,
+            vat_rate: product.vat_rate !== undefined ? product.vat_rate : null,
+            vat_rate_source: product.vat_rate_source || null,
+            pricing_date: product.pricing_date || null,
+            source_currency: product.source_currency || null,
+            exchange_rate: product.exchange_rate || null,
+            landed_cost: product.landed_cost || null,
+            cost_breakdown: product.cost_breakdown || null,
+            price_tiers: product.price_tiers || null,
+            unit_of_measure: product.unitOfMeasure || product.unit_of_measure || null,
+            unit_size: product.unitSize || product.unit_size || null,
+            promo_original_price: product.promo_original_price || null,
+            promo_price: product.promo_price || null,
+            promo_starts_at: product.promo_starts_at || null,
+            promo_ends_at: product.promo_ends_at || null,
+            promo_active: !!product.promo_active,
+            ...this.stockColumns(product),
+            provenance: this.provenance(product, context),
+            lifecycle_status: product.lifecycleStatus || product.lifecycle_status || 'active',
+            lifecycle_reason: product.lifecycleReason || product.lifecycle_reason || null,
+            missing_import_count: 0,
+            pricing_rule_id: product.pricing_rule_id || null,
+            pricing_rule: product.pricing_rule || null,
+            confidence_score: product.confidence || 0,
+            processing_method: context.processingMethod || 'unknown',
+            layout_type: context.layoutType || 'unknown',
+            extraction_quality: context.extractionQuality || 0
+        };
+    }
+
+    /**
+     * Where the product was read from, with this import's file and job filled in. It is written
+     * with every insert and update but is not compared, so an unchanged row keeps the provenance of
+     * the import that last changed it
+     */
+    provenance(product, context = {}) {
+        if (!product.provenance) return null;
+
+        return {
+            ...product.provenance,
+            fileName: product.provenance.fileName || context.filename || null,
+            jobId: context.jobId || product.provenance.jobId || null
+        };
+    }
+
+    /**
+     * Stock columns of a product whose list reported stock; a list without stock leaves out the
+     * columns so the catalogue keeps the last-known stock and the day it was known
+     */
+    stockColumns(product) {
+        if (!product.stockStatus && !product.stock_status) return {};
+
+        return {
+            stock_quantity: product.stockQuantity !== undefined ? product.stockQuantity : (product.stock_quantity !== undefined ? product.stock_quantity : null),
+            stock_status: product.stockStatus || product.stock_status,
+            stock_status_text: product.stockStatusText || product.stock_status_text || null,
+            stock_eta: product.stockEta || product.stock_eta || null,
+            stock_checked_at: new Date().toISOString().substring(0, 10)
+        };
+    }
+
+    /**
+     * Load every catalogue row for a supplier, listed or not
+     */
+    async loadCatalogue(supplier) {
+        const rows = [];
+
+        for (let offset = 0; ; offset += this.batchSize) {
+            const { data, error } = await this.supabase
+                .from('products')
+                .select('*')
+                .eq('supplier', supplier)
+                .order('created_at', { ascending: true })
+                .range(offset, offset + this.batchSize - 1);
+
+            if (error) {
+                throw error;
+            }
+
+            rows.push(...(data || []));
+
+            if (!data || data.length < this.batchSize) break;
+        }
+
+        return rows;
+    }
+
+    /**
+     * Last catalogue price (original_price) of each product, or null when it is new
+     */
+    async lastKnownPrices(products, context = {}) {
+        const catalogues = new Map();
+        const prices = [];
+
+        for (const product of products) {
+            const row = this.toRow(product, context);
+            if (!row.supplier) {
+                prices.push(null);
+                continue;
+            }
+
+            if (!catalogues.has(row.supplier)) {
+                const bySku = new Map();
+                const byName = new Map();
+
+                for (const existing of await this.loadCatalogue(row.supplier)) {
+                    if (existing.sku && !bySku.has(existing.sku)) bySku.set(existing.sku, existing);
+
+                    const nameKey = this.normalizeName(existing.name);
+                    if (nameKey && !byName.has(nameKey)) byName.set(nameKey, existing);
+                }
+
+                catalogues.set(row.supplier, { bySku, byName });
+            }
+
+            const { bySku, byName } = catalogues.get(row.supplier);
+            const match = this.findMatch(row, bySku, byName);
+            const price = match ? parseFloat(match.original_price) : NaN;
+
+            prices.push(price > 0 ? price : null);
+        }
+
+        return prices;
+    }
+
+    /**
+     * Load every listed catalogue row, optionally for one supplier
+     */
+    async loadListedProducts(supplier) {
+        const rows = [];
+
+        for (let offset = 0; ; offset += this.batchSize) {
+            let query = this.supabase
+                .from('products')
+                .select('*')
+                .order('created_at', { ascending: true })
+                .range(offset, offset + this.batchSize - 1);
+
+            if (supplier) query = query.eq('supplier', supplier);
+
+            const { data, error } = await query;
+
+            if (error) {
+                throw error;
+            }
+
+            rows.push(...(data || []).filter(row => row.is_listed !== false));
+
+            if (!data || data.length < this.batchSize) break;
+        }
+
+        return rows;
+    }
+
+    /**
+     * Load the listed rows of every other supplier, for cross-supplier duplicate checks
+     */
+    async loadOtherSuppliers(supplier) {
+        const rows = [];
+
+        for (let offset = 0; ; offset += this.batchSize) {
+            let query = this.supabase
+                .from('products')
+                .select('id, supplier, sku, name, is_listed')
+                .order('created_at', { ascending: true })
+                .range(offset, offset + this.batchSize - 1);
+
+            if (supplier) query = query.neq('supplier', supplier);
+
+            const { data, error } = await query;
+
+            if (error) {
+                throw error;
+            }
+
+            rows.push(...(data || []).filter(row => row.is_listed !== false));
+
+            if (!data || data.length < this.batchSize) break;
+        }
+
+        return rows;
+    }
+
+    /**
+     * Work out which rows to insert, update, leave alone and delist for one supplier
+     */
+    planImport(entries, existing, options = {}) {
+        const plan = { inserts: [], updates: [], unchanged: [], delists: [], missing: [], stockChecked: [], skipped: [], history: [] };
+
+        const bySku = new Map();
+        const byName = new Map();
+
+        for (const row of existing) {
+            if (row.sku && !bySku.has(row.sku)) bySku.set(row.sku, row);
+
+            const nameKey = this.normalizeName(row.name);
+            if (nameKey && !byName.has(nameKey)) byName.set(nameKey, row);
+        }
+
+        const claimed = new Set();
+        const now = new Date().toISOString();
+
+        for (const { row, product } of entries) {
+            const match = this.findMatch(row, bySku, byName);
+
+            if (match && claimed.has(match.id)) {
+                plan.skipped.push({ row, reason: 'duplicate in upload', matchedId: match.id });
+                continue;
+            }
+
+            if (!match) {
+                const inserted = {
+                    id: uuidv4(),
+                    ...row,
+                    is_listed: true,
+                    delisted_at: null,
+                    created_at: now,
+                    updated_at: now
+                };
+
+                // Lists that print Old and New RRP tell us the previous price of a new product
+                const previous = product.oldRRP ? { original_price: product.oldRRP } : {};
+
+                plan.inserts.push(inserted);
+                plan.history.push(this.historyEntry(previous, inserted, options, now, 'new_product'));
+                continue;
+            }
+
+            claimed.add(match.id);
+
+            const changes = this.diffRow(match, row);
+            const relisted = match.is_listed === false;
+
+            if (changes.length === 0 && !relisted) {
+                plan.unchanged.push(match);
+
+                // The day stock was checked is not a change, but it is still moved on
+                if (row.stock_checked_at && row.stock_checked_at !== match.stock_checked_at) {
+                    plan.stockChecked.push(match.id);
+                }
+                continue;
+            }
+
+            // Columns added after a row was created have no previous price to compare against
+            const priceChanged = changes.some(field =>
+                this.historyFields.includes(field) && match[field] !== null && match[field] !== undefined
+            );
+
+            if (priceChanged) {
+                plan.history.push(this.historyEntry(match, row, options, now, 'price_change', match.id));
+            }
+
+            plan.updates.push({
+                before: match,
+                after: {
+                    ...match,
+                    ...row,
+                    id: match.id,
+                    created_at: match.created_at,
+                    is_listed: true,
+                    delisted_at: null,
+                    updated_at: now
+                },
+                changes: changes,
+                relisted: relisted
+            });
+        }
+
+        // Products held back for review are still on the list, so their rows stay listed
+        for (const row of options.heldRows || []) {
+            const match = this.findMatch(row, bySku, byName);
+            if (match) claimed.add(match.id);
+        }
+
+        // Only a full list says what is missing; rows already delisted keep counting the imports they miss
+        if (options.delistMissing === true) {
+            for (const row of existing) {
+                if (claimed.has(row.id)) continue;
+
+                if (row.is_listed !== false) {
+                    plan.delists.push(row);
+                }
+                plan.missing.push(this.missingUpdate(row));
+            }
+        }
+
+        return plan;
+    }
+
+    /**
+     * Columns to write for a row missing from an import: one more missed import, and the likely
+     * discontinued flag once it has missed discontinuedAfter in a row
+     */
+    missingUpdate(row) {
+        const count = (parseInt(row.missing_import_count, 10) || 0) + 1;
+        const update = { id: row.id, missing_import_count: count };
+
+        if (count >= this.discontinuedAfter && !['likely_discontinued', 'discontinued'].includes(row.lifecycle_status)) {
+            update.lifecycle_status = 'likely_discontinued';
+            update.lifecycle_reason = `Missing from the last ${count} imports`;
+        }
+
+        return update;
+    }
+
+    /**
+     * Find the catalogue row for a new row: SKU first, then normalised name
+     */
+    findMatch(row, bySku, byName) {
+        const match = row.sku ? bySku.get(row.sku) : null;
+        if (match) return match;
+
+        // Name fallback must not merge two different model codes
+        const candidate = byName.get(this.normalizeName(row.name));
+        if (candidate && (!row.sku || !candidate.sku || candidate.sku === row.sku)) {
+            return candidate;
+        }
+
+        return null;
+    }
+
+    /**
+     * Build a price_history row from the previous and new prices of a product
+     */
+    historyEntry(before, after, options, effectiveAt, changeType, productId = after.id) {
+        const entry = {
+            id: uuidv4(),
+            product_id: productId,
+            supplier: after.supplier,
+            sku: after.sku || null,
+            job_id: options.jobId || null,
+            change_type: changeType,
+            effective_at: effectiveAt
+        };
+
+        for (const field of this.historyFields) {
+            entry[`old_${field}`] = before[field] !== undefined ? before[field] : null;
+            entry[`new_${field}`] = after[field] !== undefined ? after[field] : null;
+        }
+
+        return entry;
+    }
+
+    /**
+     * List the tracked fields that differ between a catalogue row and a new row
+     */
+    diffRow(existing, row) {
+        return this.trackedFields.filter(field => {
+            // Columns a row leaves out keep their catalogue value
+            if (!(field in row)) return false;
+
+            if (this.jsonFields.includes(field)) {
+                return this.canonicalJson(existing[field]) !== this.canonicalJson(row[field]);
+            }
+
+            if (this.priceFields.includes(field)) {
+                return Math.round((parseFloat(existing[field]) || 0) * 100) !==
+                    Math.round((parseFloat(row[field]) || 0) * 100);
+            }
+
+            return (existing[field] || '') !== (row[field] || '');
+        });
+    }
+
+    /**
+     * JSON with object keys sorted, since jsonb columns come back with their keys reordered
+     */
+    canonicalJson(value) {
+        if (value === undefined || value === null) return 'null';
+        if (Array.isArray(value)) return `[${value.map(item => this.canonicalJson(item)).join(',')}]`;
+        if (typeof value === 'object') {
+            return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.canonicalJson(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Write a plan to the products table
+     */
+    async applyPlan(plan) {
+        const now = new Date().toISOString();
+
+        for (let i = 0; i < plan.inserts.length; i += this.batchSize) {
+            const { error } = await this.supabase
+                .from('products')
+                .insert(plan.inserts.slice(i, i + this.batchSize));
+
+            if (error) {
+                throw error;
+            }
+        }
+
+        const updates = plan.updates.map(update => update.after);
+        for (let i = 0; i < updates.length; i += this.batchSize) {
+            const { error } = await this.supabase
+                .from('products')
+                .upsert(updates.slice(i, i + this.batchSize), { onConflict: 'id' });
+
+            if (error) {
+                throw error;
+            }
+        }
+
+        for (let i = 0; i < plan.history.length; i += this.batchSize) {
+            const { error } = await this.supabase
+                .from('price_history')
+                .insert(plan.history.slice(i, i + this.batchSize));
+
+            if (error) {
+                throw error;
+            }
+        }
+
+        const checkedIds = plan.stockChecked;
+        for (let i = 0; i < checkedIds.length; i += this.batchSize) {
+            const { error } = await this.supabase
+                .from('products')
+                .update({ stock_checked_at: now.substring(0, 10) })
+                .in('id', checkedIds.slice(i, i + this.batchSize));
+
+            if (error) {
+                throw error;
+            }
+        }
+
+        const delistIds = plan.delists.map(row => row.id);
+        for (let i = 0; i < delistIds.length; i += this.batchSize) {
+            const { error } = await this.supabase
+                .from('products')
+                .update({ is_listed: false, delisted_at: now, updated_at: now })
+                .in('id', delistIds.slice(i, i + this.batchSize));
+
+            if (error) {
+                throw error;
+            }
+        }
+
+        // Rows written the same way go in one update
+        const missingGroups = new Map();
+        for (const { id, ...columns } of plan.missing) {
+            const key = JSON.stringify(columns);
+            if (!missingGroups.has(key)) missingGroups.set(key, { columns, ids: [] });
+            missingGroups.get(key).ids.push(id);
+        }
+
+        for (const { columns, ids } of missingGroups.values()) {
+            for (let i = 0; i < ids.length; i += this.batchSize) {
+                const { error } = await this.supabase
+                    .from('products')
+                    .update({ ...columns, updated_at: now })
+                    .in('id', ids.slice(i, i + this.batchSize));
+
+                if (error) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    /**
+     * Group extracted products by supplier and plan each group against its catalogue
+     */
+    async planProducts(products, context = {}) {
+        const groups = new Map();
+        let skipped = 0;
+
+        for (const product of products) {
+            const row = this.toRow(product, context);
+            if (!row.supplier) {
+                skipped++;
+                continue;
+            }
+
+            if (!groups.has(row.supplier)) groups.set(row.supplier, []);
+            groups.get(row.supplier).push({ row, product });
+        }
+
+        const held = new Map();
+        for (const product of context.heldProducts || []) {
+            const row = this.toRow(product, context);
+            if (!held.has(row.supplier)) held.set(row.supplier, []);
+            held.get(row.supplier).push(row);
+        }
+
+        const plans = [];
+        for (const [supplier, entries] of groups) {
+            const existing = await this.loadCatalogue(supplier);
+            plans.push({
+                supplier,
+                plan: this.planImport(entries, existing, { ...context, heldRows: held.get(supplier) || [] })
+            });
+        }
+
+        return { plans, skipped };
+    }
+
+    /**
+     * Write planned supplier imports and report what happened
+     */
+    async applyPlans(planned) {
+        const summary = { inserted: 0, updated: 0, unchanged: 0, delisted: 0, likelyDiscontinued: 0, skipped: planned.skipped, suppliers: [] };
+
+        for (const { supplier, plan } of planned.plans) {
+            await this.applyPlan(plan);
+
+            const result = {
+                supplier: supplier,
+                inserted: plan.inserts.length,
+                updated: plan.updates.length,
+                unchanged: plan.unchanged.length,
+                delisted: plan.delists.length,
+                likelyDiscontinued: plan.missing.filter(update => update.lifecycle_status === 'likely_discontinued').length,
+                skipped: plan.skipped.length,
+                priceChanges: plan.history.filter(entry => entry.change_type === 'price_change').length
+            };
+
+            this.logger.info(`📦 Imported ${supplier}: ${result.inserted} inserted, ${result.updated} updated, ${result.unchanged} unchanged, ${result.delisted} delisted`);
+
+            summary.inserted += result.inserted;
+            summary.updated += result.updated;
+            summary.unchanged += result.unchanged;
+            summary.delisted += result.delisted;
+            summary.likelyDiscontinued += result.likelyDiscontinued;
+            summary.skipped += result.skipped;
+            summary.suppliers.push(result);
+        }
+
+        return summary;
+    }
+
+    /**
+     * Import extracted products, grouped by supplier, and report what happened
+     */
+    async importProducts(products, context = {}) {
+        return await this.applyPlans(await this.planProducts(products, context));
+    }
+}
+
+module.exports = ProductImporter;
@@ -0,0 +1,111 @@
+const cron = require('node-cron');
+
+/**
+ * Promo Scheduler for Audico Pricing
+ * Moves final_price onto a product's promo price when its promo starts and back onto the retail
+ * price when it ends, checked on a cron schedule that runs in UTC like the pricing dates
+ */
+class PromoScheduler {
+    constructor(config = {}) {
+        this.supabase = config.supabase;
+        this.pricingEngine = config.pricingEngine;
+        this.logger = config.logger || console;
+        this.schedule = config.schedule || process.env.PROMO_SCHEDULE || '5 0 * * *';
+        this.batchSize = config.batchSize || 500;
+        this.task = null;
+    }
+
+    start() {
+        if (!cron.validate(this.schedule)) {
+            this.logger.warn(`⚠️ Invalid PROMO_SCHEDULE "${this.schedule}"; promo prices will not switch automatically`);
+            return;
+        }
+
+        this.task = cron.schedule(this.schedule, () => this.runSafely(), { timezone: 'UTC' });
+        this.logger.info(`🏷️ Promo prices checked on schedule "${this.schedule}" (UTC)`);
+
+        // Promos that started or ended while the server was down switch now rather than tomorrow
+        this.runSafely();
+    }
+
+    stop() {
+        if (this.task) {
+            this.task.stop();
+            this.task = null;
+        }
+    }
+
+    async runSafely() {
+        try {
+            return await this.run();
+        } catch (error) {
+            this.logger.error('Promo price switch failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Bring final_price and promo_active of every product with a promo in line with the day
+     */
+    async run(day = this.pricingEngine.pricingDay()) {
+        const rows = await this.loadPromoProducts();
+        const now = new Date().toISOString();
+        const result = { day: day, checked: rows.length, started: 0, ended: 0 };
+
+        for (const row of rows) {
+            const active = this.pricingEngine.promoActive(row, day);
+            const finalPrice = this.pricingEngine.activePrice(row, day);
+
+            if (!!row.promo_active === active &&
+                Math.round((parseFloat(row.final_price) || 0) * 100) === Math.round(finalPrice * 100)) {
+                continue;
+            }
+
+            const { error } = await this.supabase
+                .from('products')
+                .update({ final_price: finalPrice, promo_active: active, updated_at: now })
+                .eq('id', row.id);
+
+            if (error) {
+                throw error;
+            }
+
+            if (active) result.started++;
+            else result.ended++;
+        }
+
+        if (result.started > 0 || result.ended > 0) {
+            this.logger.info(`🏷️ Promo prices on ${day}: ${result.started} started, ${result.ended} ended`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Listed products that carry a promo price, whether or not it is running
+     */
+    async loadPromoProducts() {
+        const rows = [];
+
+        for (let offset = 0; ; offset += this.batchSize) {
+            const { data, error } = await this.supabase
+                .from('products')
+                .select('id, retail_price, final_price, promo_price, promo_starts_at, promo_ends_at, promo_active, is_listed')
+                .gt('promo_price', 0)
+                .order('created_at', { ascending: true })
+                .range(offset, offset + this.batchSize - 1);
+
+            if (error) {
+                throw error;
+            }
+
+            rows.push(...(data || []).filter(row => row.is_listed !== false));
+
+            if (!data || data.length < this.batchSize) break;
+        }
+
+        return rows;
+    }
+}
+
+module.exports = PromoScheduler;
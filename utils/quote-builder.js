@@ -0,0 +1,180 @@
+const PricingEngine = require('../processors/pricing-engine');
+
+/**
+ * Quote Builder for Audico Quoting
+ * Prices quote lines from the catalogue, picking the quantity break that applies to each
+ * line's quantity and unit
+ */
+class QuoteBuilder {
+    constructor(config = {}) {
+        this.supabase = config.supabase;
+        this.logger = config.logger || console;
+        this.pricingEngine = config.pricingEngine || new PricingEngine({ logger: this.logger });
+
+        // Products a supplier has marked as going away are not offered on new quotes
+        this.lifecycleReasons = {
+            end_of_life: 'Product is end of life',
+            discontinued: 'Product is discontinued',
+            likely_discontinued: 'Product is likely discontinued'
+        };
+    }
+
+    /**
+     * Problems with requested quote lines, as a list of messages
+     */
+    checkItems(items) {
+        const errors = [];
+
+        if (!Array.isArray(items) || items.length === 0) {
+            return ['items must be a non-empty list'];
+        }
+
+        items.forEach((item, index) => {
+            if (!item || (!item.productId && !item.sku)) {
+                errors.push(`items[${index}] needs a productId or sku`);
+            }
+            if (!item || !(Number.isInteger(Number(item.quantity)) && Number(item.quantity) > 0)) {
+                errors.push(`items[${index}].quantity must be a whole number above zero`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Price each line; lines whose product is not listed, is being discontinued or has no price in
+     * the requested unit come back under unpriced
+     */
+    async build(items) {
+        const products = await this.loadProducts(items);
+        const quote = { lines: [], unpriced: [], total: 0 };
+
+        for (const item of items) {
+            const quantity = Number(item.quantity);
+            const product = this.findProduct(products, item);
+
+            if (!product) {
+                quote.unpriced.push({ ...item, reason: 'Product not found in the catalogue' });
+                continue;
+            }
+
+            if (this.lifecycleReasons[product.lifecycle_status]) {
+                const reason = this.lifecycleReasons[product.lifecycle_status];
+                quote.unpriced.push({ ...item, productId: product.id, reason: product.lifecycle_reason ? `${reason} (${product.lifecycle_reason})` : reason });
+                continue;
+            }
+
+            const unit = item.unit || product.unit_of_measure || this.defaultUnit(product.price_tiers);
+            const tier = this.tierFor(product.price_tiers, quantity, unit);
+            const unitPrice = tier ? this.tierPrice(tier, product) : parseFloat(product.final_price || product.retail_price);
+
+            if (!tier && unit && product.unit_of_measure && unit !== product.unit_of_measure) {
+                quote.unpriced.push({ ...item, productId: product.id, reason: `No price per ${unit}; sold per ${product.unit_of_measure}` });
+                continue;
+            }
+
+            if (!(unitPrice > 0)) {
+                quote.unpriced.push({ ...item, productId: product.id, reason: 'Product has no retail price' });
+                continue;
+            }
+
+            const lineTotal = Math.round(unitPrice * quantity * 100) / 100;
+
+            quote.lines.push({
+                productId: product.id,
+                sku: product.sku || null,
+                name: product.name,
+                supplier: product.supplier,
+                quantity: quantity,
+                unit: tier ? tier.unit : (product.unit_of_measure || 'each'),
+                tier: tier ? { label: tier.label, minQuantity: tier.minQuantity, maxQuantity: tier.maxQuantity } : null,
+                unitPrice: unitPrice,
+                lineTotal: lineTotal,
+                stockStatus: product.stock_status || null,
+                stockEta: product.stock_eta || null
+            });
+
+            quote.total += lineTotal;
+        }
+
+        quote.total = Math.round(quote.total * 100) / 100;
+
+        return quote;
+    }
+
+    /**
+     * Break that applies to a quantity: the deepest one it reaches in the unit asked for; below
+     * the first break the first one applies. Null when the product has no breaks in that unit
+     */
+    tierFor(tiers, quantity, unit) {
+        if (!Array.isArray(tiers) || tiers.length === 0) return null;
+
+        const inUnit = tiers
+            .filter(tier => !unit || tier.unit === unit)
+            .filter(tier => tier.retailPrice > 0)
+            .sort((a, b) => a.minQuantity - b.minQuantity);
+
+        if (inUnit.length === 0) return null;
+
+        const reached = inUnit.filter(tier => quantity >= tier.minQuantity);
+        return reached.length > 0 ? reached[reached.length - 1] : inUnit[0];
+    }
+
+    /**
+     * Retail price of a break, or the product's promo price while its promo runs and is lower;
+     * a promo is priced per the product's own unit, so breaks in another unit keep their price
+     */
+    tierPrice(tier, product) {
+        const sameUnit = !product.unit_of_measure || tier.unit === product.unit_of_measure;
+
+        if (sameUnit && this.pricingEngine.promoActive(product)) {
+            return Math.min(tier.retailPrice, parseFloat(product.promo_price));
+        }
+
+        return tier.retailPrice;
+    }
+
+    defaultUnit(tiers) {
+        return Array.isArray(tiers) && tiers.length > 0 ? tiers[0].unit : null;
+    }
+
+    findProduct(products, item) {
+        if (item.productId) {
+            return products.find(product => product.id === item.productId) || null;
+        }
+
+        const sku = String(item.sku).trim().toUpperCase();
+        return products.find(product =>
+            String(product.sku || '').toUpperCase() === sku &&
+            (!item.supplier || String(product.supplier).toLowerCase() === String(item.supplier).toLowerCase())
+        ) || null;
+    }
+
+    /**
+     * Listed products named by the quote lines, by id or SKU
+     */
+    async loadProducts(items) {
+        const ids = items.filter(item => item.productId).map(item => item.productId);
+        const skus = items.filter(item => !item.productId && item.sku).map(item => String(item.sku).trim().toUpperCase());
+        const rows = [];
+
+        for (const [column, values] of [['id', ids], ['sku', skus]]) {
+            if (values.length === 0) continue;
+
+            const { data, error } = await this.supabase
+                .from('products')
+                .select('*')
+                .in(column, Array.from(new Set(values)));
+
+            if (error) {
+                throw error;
+            }
+
+            rows.push(...(data || []));
+        }
+
+        return rows.filter(row => row.is_listed !== false);
+    }
+}
+
+module.exports = QuoteBuilder;
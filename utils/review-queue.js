@@ -0,0 +1,509 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Review Queue for Audico Imports
+ * Keeps invalid and low-confidence products out of the catalogue until someone approves,
+ * edits or rejects them, and records every decision for the learning agent
+ */
+class ReviewQueue {
+    constructor(config = {}) {
+        this.supabase = config.supabase;
+        this.importer = config.importer;
+        this.learningAgent = config.learningAgent || null;
+        this.pricingEngine = config.pricingEngine || null;
+        this.logger = config.logger || console;
+        this.batchSize = config.batchSize || 500;
+
+        // An approval that has not finished in this long is taken to have died and goes back to pending
+        this.claimTimeoutMs = config.claimTimeoutMs || 10 * 60 * 1000;
+
+        // Fields a reviewer may change before approving
+        this.editableFields = [
+            'name', 'sku', 'description', 'specifications', 'category', 'priceType',
+            'price', 'original_price', 'cost_price', 'retail_price', 'final_price',
+            'priceTiers', 'promoPrice', 'promoStartsAt', 'promoEndsAt'
+        ];
+
+        // Extraction internals that are too bulky to keep with a queued product
+        this.droppedFields = ['priceAnalysis', 'columnData', 'blockData'];
+    }
+
+    /**
+     * Turn validation output into review items; nothing is written yet
+     */
+    collect(validationResults, rejected = []) {
+        const items = [];
+
+        for (const { product, issues, warnings } of validationResults.invalidProducts || []) {
+            items.push({ reason: 'invalid', product, issues, warnings: warnings || [] });
+        }
+
+        for (const { product, warnings, confidence } of validationResults.lowConfidenceProducts || []) {
+            items.push({
+                reason: 'low_confidence',
+                product: product,
+                issues: [{
+                    type: 'low_confidence',
+                    field: 'price',
+                    value: confidence,
+                    message: `Extraction confidence ${confidence} is below the review threshold`,
+                    severity: 'medium'
+                }],
+                warnings: warnings || []
+            });
+        }
+
+        // Products the document processor dropped before validation ran
+        for (const rejection of rejected) {
+            items.push({
+                reason: 'invalid',
+                product: { name: rejection.name, price: rejection.price, rawLine: rejection.rawLine },
+                issues: [{ type: 'extraction_rejected', message: rejection.reason, severity: 'high' }],
+                warnings: []
+            });
+        }
+
+        return items;
+    }
+
+    /**
+     * Map a review item to a review_queue row
+     */
+    toRow(item, context = {}) {
+        const product = { ...item.product };
+        for (const field of this.droppedFields) {
+            delete product[field];
+        }
+
+        const now = new Date().toISOString();
+
+        return {
+            id: uuidv4(),
+            job_id: context.jobId || null,
+            supplier: product.supplier || context.supplier || null,
+            filename: context.filename || null,
+            status: 'pending',
+            reason: item.reason,
+            product: product,
+            original_product: product,
+            issues: item.issues || [],
+            warnings: item.warnings || [],
+            source_line: this.sourceLine(item.product),
+            source_sheet: item.product.sheetName || null,
+            source_page: item.product.ocrPage || null,
+            raw_text: this.rawText(item.product),
+            confidence: typeof item.product.confidence === 'number' ? item.product.confidence : null,
+            import_context: {
+                processingMethod: context.processingMethod || null,
+                layoutType: context.layoutType || null,
+                extractionQuality: context.extractionQuality || null,
+                pricing: context.pricing || null
+            },
+            created_at: now,
+            updated_at: now
+        };
+    }
+
+    /**
+     * Line number in the source document (1-based), when the extractor recorded one
+     */
+    sourceLine(product) {
+        if (product.sourceLine) return product.sourceLine;
+        if (product.rowIndex !== undefined && product.rowIndex !== null) return product.rowIndex + 1;
+        return null;
+    }
+
+    rawText(product) {
+        if (product.rawLine) return product.rawLine;
+        if (Array.isArray(product.blockData)) return product.blockData.join('\n');
+        if (product.columnData && product.columnData.text) return product.columnData.text;
+        return null;
+    }
+
+    /**
+     * Persist review items for a job
+     */
+    async enqueue(items, context = {}) {
+        const rows = items.map(item => this.toRow(item, context));
+
+        for (let i = 0; i < rows.length; i += this.batchSize) {
+            const { error } = await this.supabase
+                .from('review_queue')
+                .insert(rows.slice(i, i + this.batchSize));
+
+            if (error) {
+                throw error;
+            }
+        }
+
+        if (rows.length > 0) {
+            this.logger.info(`📝 Queued ${rows.length} products for review (job ${context.jobId || 'n/a'})`);
+        }
+
+        return {
+            queued: rows.length,
+            invalid: rows.filter(row => row.reason === 'invalid').length,
+            lowConfidence: rows.filter(row => row.reason === 'low_confidence').length
+        };
+    }
+
+    async list(filters = {}) {
+        await this.releaseStale();
+
+        const limit = parseInt(filters.limit) || 50;
+        const offset = parseInt(filters.offset) || 0;
+
+        let query = this.supabase
+            .from('review_queue')
+            .select('*', { count: 'exact' })
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (filters.status) query = query.eq('status', filters.status);
+        if (filters.supplier) query = query.eq('supplier', filters.supplier);
+        if (filters.jobId) query = query.eq('job_id', filters.jobId);
+        if (filters.reason) query = query.eq('reason', filters.reason);
+
+        const { data, error, count } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        return { items: data || [], total: count, limit, offset };
+    }
+
+    async get(id) {
+        await this.releaseStale();
+
+        const { data, error } = await this.supabase
+            .from('review_queue')
+            .select('*')
+            .eq('id', id)
+            .limit(1);
+
+        if (error) {
+            throw error;
+        }
+
+        return (data && data[0]) || null;
+    }
+
+    /**
+     * Load an item that is still waiting for a decision
+     */
+    async getPending(id) {
+        const item = await this.get(id);
+
+        if (!item) {
+            const error = new Error(`Review item ${id} not found`);
+            error.code = 'REVIEW_NOT_FOUND';
+            throw error;
+        }
+
+        if (item.status !== 'pending') {
+            const error = new Error(`Review item ${id} is already ${item.status}`);
+            error.code = 'REVIEW_NOT_PENDING';
+            throw error;
+        }
+
+        return item;
+    }
+
+    /**
+     * Apply reviewer edits to a queued product; prices are not recalculated here, see reprice
+     */
+    applyEdits(product, changes = {}) {
+        const edited = { ...product };
+
+        for (const field of this.editableFields) {
+            if (changes[field] !== undefined) {
+                edited[field] = changes[field];
+            }
+        }
+
+        // The list price and original_price are the same number; a correction to either moves both
+        if (changes.price !== undefined || changes.original_price !== undefined) {
+            const price = parseFloat(changes.price !== undefined ? changes.price : changes.original_price);
+            edited.price = price;
+            edited.original_price = price;
+        }
+
+        return edited;
+    }
+
+    /**
+     * Options a queued product is re-priced with: how it was priced at extraction, else the upload's
+     */
+    pricingOptions(item) {
+        const product = item.product || {};
+        const upload = (item.import_context && item.import_context.pricing) || {};
+        const vatStored = product.vat_rate !== undefined && product.vat_rate !== null;
+        const uploadVat = upload.vatRate !== undefined && upload.vatRate !== null;
+
+        return {
+            supplier: item.supplier,
+            priceType: product.price_calculation_method || upload.priceType || null,
+            currency: upload.currency || product.source_currency || null,
+            pricingDate: product.pricing_date || upload.pricingDate || null,
+            vatRate: vatStored ? parseFloat(product.vat_rate) : (uploadVat ? parseFloat(upload.vatRate) : null),
+            vatRateSource: vatStored ? (product.vat_rate_source || 'stored') : 'upload',
+            marginPercentage: upload.marginPercentage !== undefined && upload.marginPercentage !== null
+                ? parseFloat(upload.marginPercentage) || 0
+                : (product.pricing_rule_id ? 0 : parseFloat(product.markup_percentage) || 0)
+        };
+    }
+
+    /**
+     * Edit a queued product and price it again through the pricing engine, so cost, retail,
+     * rounding, VAT, quantity breaks and the promo all follow a corrected price, name or category.
+     * Cost, retail or final prices the reviewer typed in are kept over the calculated ones
+     */
+    async edit(item, changes = {}) {
+        const edited = this.applyEdits(item.product, changes);
+
+        if (!this.pricingEngine || !(parseFloat(edited.price) > 0)) {
+            return edited;
+        }
+
+        const [priced] = await this.pricingEngine.applyPricing([edited], this.pricingOptions(item));
+
+        for (const field of ['cost_price', 'retail_price', 'final_price']) {
+            if (changes[field] !== undefined) {
+                priced[field] = changes[field];
+            }
+        }
+
+        return priced;
+    }
+
+    async update(id, changes = {}) {
+        const item = await this.getPending(id);
+
+        // Only a pending item is edited, so an edit cannot land on an item being approved
+        const { data, error } = await this.supabase
+            .from('review_queue')
+            .update({
+                product: await this.edit(item, changes),
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', id)
+            .eq('status', 'pending')
+            .select();
+
+        if (error) {
+            throw error;
+        }
+
+        if (!data || data.length === 0) {
+            await this.getPending(id);
+        }
+
+        return data[0];
+    }
+
+    /**
+     * Write an item to the catalogue, optionally with last-minute edits
+     */
+    async approve(id, decision = {}) {
+        let item = await this.claim(id);
+        let importSummary;
+
+        try {
+            if (decision.changes) {
+                item = { ...item, product: await this.edit(item, decision.changes) };
+            }
+
+            // Approving a single product must never delist the rest of the supplier's catalogue
+            importSummary = await this.importer.importProducts([item.product], {
+                supplier: item.supplier,
+                jobId: item.job_id,
+                ...(item.import_context || {}),
+                processingMethod: 'review',
+                delistMissing: false
+            });
+        } catch (error) {
+            await this.release(item);
+            throw error;
+        }
+
+        let reviewed;
+        try {
+            reviewed = await this.close(item, 'approved', decision, 'approving');
+        } catch (error) {
+            this.logger.error(`Review item ${item.id} was imported but not closed; it goes back to pending once its claim times out`);
+            throw error;
+        }
+
+        return { item: reviewed, import: importSummary };
+    }
+
+    async reject(id, decision = {}) {
+        const item = await this.getPending(id);
+        return { item: await this.close(item, 'rejected', decision) };
+    }
+
+    /**
+     * Take a pending item for approval. The status check is part of the update, so of two
+     * approvals of the same item only one gets it back; the other sees it is no longer pending
+     */
+    async claim(id) {
+        await this.releaseStale();
+
+        const { data, error } = await this.supabase
+            .from('review_queue')
+            .update({
+                status: 'approving',
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', id)
+            .eq('status', 'pending')
+            .select();
+
+        if (error) {
+            throw error;
+        }
+
+        if (!data || data.length === 0) {
+            // Throws not found or not pending
+            await this.getPending(id);
+        }
+
+        return data[0];
+    }
+
+    /**
+     * Put items whose approval was claimed but never closed back in the queue, so they can be
+     * approved or rejected again; re-importing one that did get written only matches it again
+     */
+    async releaseStale() {
+        const cutoff = new Date(Date.now() - this.claimTimeoutMs).toISOString();
+
+        const { data, error } = await this.supabase
+            .from('review_queue')
+            .update({
+                status: 'pending',
+                updated_at: new Date().toISOString()
+            })
+            .eq('status', 'approving')
+            .lt('updated_at', cutoff)
+            .select('id');
+
+        if (error) {
+            this.logger.error('Stale review approvals could not be released:', error);
+            return;
+        }
+
+        if (data && data.length > 0) {
+            this.logger.warn(`📝 Released ${data.length} review items left approving since before ${cutoff}`);
+        }
+    }
+
+    /**
+     * Put a claimed item back in the queue after its import failed
+     */
+    async release(item) {
+        const { error } = await this.supabase
+            .from('review_queue')
+            .update({
+                status: 'pending',
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', item.id)
+            .eq('status', 'approving');
+
+        if (error) {
+            this.logger.error(`Review item ${item.id} could not be put back in the queue:`, error);
+        }
+    }
+
+    /**
+     * Mark an item decided and record the decision; only while it is still in the status it was
+     * read in, so a rejection cannot overwrite an approval in progress
+     */
+    async close(item, status, decision, fromStatus = 'pending') {
+        const now = new Date().toISOString();
+
+        const { data, error } = await this.supabase
+            .from('review_queue')
+            .update({
+                status: status,
+                product: item.product,
+                reviewed_by: decision.reviewer || null,
+                review_notes: decision.notes || null,
+                reviewed_at: now,
+                updated_at: now
+            })
+            .eq('id', item.id)
+            .eq('status', fromStatus)
+            .select();
+
+        if (error) {
+            throw error;
+        }
+
+        if (!data || data.length === 0) {
+            await this.getPending(item.id);
+        }
+
+        // The decision stands once the item is closed; a lost learning record must not undo it
+        try {
+            await this.recordDecision({ ...item, status }, decision, now);
+        } catch (recordError) {
+            this.logger.error(`Review decision for item ${item.id} could not be recorded:`, recordError);
+        }
+
+        this.logger.info(`📝 Review item ${item.id} ${status}${decision.reviewer ? ` by ${decision.reviewer}` : ''}`);
+
+        return data[0];
+    }
+
+    /**
+     * Fields the reviewer changed between extraction and decision
+     */
+    editedFields(item) {
+        const original = item.original_product || {};
+        const product = item.product || {};
+
+        return this.editableFields.filter(field =>
+            JSON.stringify(original[field] === undefined ? null : original[field]) !==
+            JSON.stringify(product[field] === undefined ? null : product[field])
+        );
+    }
+
+    async recordDecision(item, decision, decidedAt) {
+        const record = {
+            id: uuidv4(),
+            review_item_id: item.id,
+            job_id: item.job_id,
+            supplier: item.supplier,
+            decision: item.status,
+            reason: item.reason,
+            issue_types: (item.issues || []).map(issue => issue.type),
+            edited_fields: this.editedFields(item),
+            original_product: item.original_product,
+            final_product: item.product,
+            raw_text: item.raw_text,
+            confidence: item.confidence,
+            reviewer: decision.reviewer || null,
+            notes: decision.notes || null,
+            created_at: decidedAt
+        };
+
+        const { error } = await this.supabase
+            .from('review_decisions')
+            .insert([record]);
+
+        if (error) {
+            throw error;
+        }
+
+        if (this.learningAgent) {
+            await this.learningAgent.recordReviewDecision(record);
+        }
+
+        return record;
+    }
+}
+
+module.exports = ReviewQueue;
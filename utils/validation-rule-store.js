@@ -0,0 +1,69 @@
+/**
+ * Validation Rule Store for Audico Suppliers
+ * Persists each supplier's declarative validation rule set next to its supplier_configs row
+ */
+class ValidationRuleStore {
+    constructor(config = {}) {
+        this.supabase = config.supabase;
+        this.logger = config.logger || console;
+    }
+
+    async getRuleSet(supplierName) {
+        const { data, error } = await this.supabase
+            .from('supplier_validation_rules')
+            .select('*')
+            .eq('supplier_name', supplierName)
+            .eq('is_active', true)
+            .limit(1);
+
+        if (error) {
+            throw error;
+        }
+
+        return (data && data[0]) || null;
+    }
+
+    async listRuleSets() {
+        const { data, error } = await this.supabase
+            .from('supplier_validation_rules')
+            .select('*')
+            .order('supplier_name', { ascending: true });
+
+        if (error) {
+            throw error;
+        }
+
+        return data || [];
+    }
+
+    /**
+     * Replace a supplier's rule set, bumping its version
+     */
+    async saveRuleSet(supplierName, rules, updatedBy = null) {
+        const current = await this.getRuleSet(supplierName);
+
+        const { data, error } = await this.supabase
+            .from('supplier_validation_rules')
+            .upsert([{
+                supplier_name: supplierName,
+                rules: rules,
+                version: current ? (current.version || 1) + 1 : 1,
+                is_active: true,
+                updated_by: updatedBy,
+                last_updated: new Date().toISOString()
+            }], {
+                onConflict: 'supplier_name'
+            })
+            .select();
+
+        if (error) {
+            throw error;
+        }
+
+        this.logger.info(`💾 Saved validation rules for ${supplierName} (v${data[0].version})`);
+
+        return data[0];
+    }
+}
+
+module.exports = ValidationRuleStore;